@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Drinks catalog - single source of truth for every cocktail and mocktail
+ * Loads catalog.json, validates it against the schema in catalogSchema.js and
+ * exposes the views each section renders
+ */
+
+import catalogData from './catalog.json';
+import { validateCatalog } from './catalogSchema.js';
+
+/**
+ * Every drink, validated on load. A malformed entry throws here in the browser
+ * and is also caught at build time by the catalog plugin in vite.config.js.
+ *
+ * @type {import('./catalogSchema.js').CatalogItem[]}
+ */
+const catalog = validateCatalog(catalogData);
+
+// Drinks shown in the Menu slider, in catalog order
+const featuredCocktails = catalog.filter(item => item.featured);
+
+// "Most popular cocktails" list in the Cocktails section
+const popularCocktails = catalog.filter(
+  item => item.popular && item.category === 'cocktail'
+);
+
+// "Most loved mocktails" list in the Cocktails section
+const lovedMocktails = catalog.filter(
+  item => item.popular && item.category === 'mocktail'
+);
+
+/**
+ * Look up a drink by its slug
+ *
+ * @param {string} slug - Catalog slug, e.g. 'violet-breeze'
+ * @returns {import('./catalogSchema.js').CatalogItem|undefined} Matching drink
+ */
+const getDrinkBySlug = slug => catalog.find(item => item.slug === slug);
+
+export {
+  catalog,
+  featuredCocktails,
+  popularCocktails,
+  lovedMocktails,
+  getDrinkBySlug,
+};
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Schema and validator for the drinks catalog (catalog.json)
+ * Framework-free so it can run both in the browser bundle and in vite.config.js
+ */
+
+/**
+ * A single measured ingredient
+ *
+ * @typedef {Object} CatalogIngredient
+ * @property {string} name - Display name, e.g. 'White rum'
+ * @property {number} quantity - Amount for one serving, greater than zero
+ * @property {'ml'|'dash'|'tsp'|'g'|'leaf'|'piece'|'wedge'} unit - Unit of `quantity`
+ */
+
+/**
+ * Price in a currency's major unit (dollars, not cents)
+ *
+ * @typedef {Object} CatalogPrice
+ * @property {number} amount - Non-negative price, e.g. 14
+ * @property {string} currency - ISO 4217 code, e.g. 'USD'
+ */
+
+/**
+ * A drink in the catalog
+ *
+ * @typedef {Object} CatalogItem
+ * @property {number} id - Unique positive integer
+ * @property {string} slug - Unique kebab-case identifier, e.g. 'violet-breeze'
+ * @property {string} name - Display name
+ * @property {'cocktail'|'mocktail'} category - Mocktails must have an ABV of 0
+ * @property {string} base - Spirit base (one of BASES); 'none' for mocktails
+ * @property {string} country - ISO 3166-1 alpha-2 origin code, e.g. 'US'
+ * @property {string} serving - Short serving note shown in lists, e.g. '750 ml'
+ * @property {string} [image] - Public path of the slider image
+ * @property {string} [title] - Marketing headline for the recipe panel
+ * @property {string} [description] - Marketing copy for the recipe panel
+ * @property {CatalogIngredient[]} ingredients - At least one ingredient
+ * @property {string[]} method - Ordered preparation steps, at least one
+ * @property {string} glassware - Glass the drink is served in
+ * @property {string} [garnish] - Garnish description
+ * @property {number} abv - Alcohol by volume in percent (0–100)
+ * @property {string[]} allergens - Allergens the drink contains (ALLERGENS);
+ *   empty when it has none of them
+ * @property {string[]} dietary - Diets the drink suits (DIETARY);
+ *   'alcohol-free' exactly when the ABV is 0
+ * @property {CatalogPrice} price - Menu price
+ * @property {boolean} featured - Shown in the Menu slider (requires `image`)
+ * @property {boolean} popular - Listed in the Cocktails section
+ */
+
+// Units an ingredient quantity may be expressed in
+export const INGREDIENT_UNITS = [
+  'ml',
+  'dash',
+  'tsp',
+  'g',
+  'leaf',
+  'piece',
+  'wedge',
+];
+
+// Drink categories
+export const CATEGORIES = ['cocktail', 'mocktail'];
+
+// Spirit bases, in the order the filter chips list them; 'none' is alcohol-free
+export const BASES = [
+  'rum',
+  'gin',
+  'vodka',
+  'tequila',
+  'whiskey',
+  'brandy',
+  'wine',
+  'beer',
+  'none',
+];
+
+// Allergens guests can avoid, in the order the preference chips list them
+export const ALLERGENS = ['nuts', 'dairy', 'egg', 'gluten'];
+
+// Diets a drink can suit, in the order the preference chips list them
+export const DIETARY = ['vegan', 'sugar-free', 'alcohol-free'];
+
+// Animal-derived allergens a vegan drink can't contain
+const ANIMAL_ALLERGENS = ['dairy', 'egg'];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const isNonEmptyString = value =>
+  typeof value === 'string' && value.trim() !== '';
+const isFiniteNumber = value =>
+  typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Thrown when catalog data does not match the schema.
+ * `issues` lists every problem found, not just the first one.
+ */
+export class CatalogValidationError extends Error {
+  /**
+   * @param {string[]} issues - Human-readable problems, prefixed by entry
+   */
+  constructor(issues) {
+    super(
+      `Invalid drinks catalog (${issues.length} issue${
+        issues.length === 1 ? '' : 's'
+      }):\n  - ${issues.join('\n  - ')}`
+    );
+    this.name = 'CatalogValidationError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Collect schema problems for a single catalog entry
+ *
+ * @param {Object} item - Raw entry from catalog.json
+ * @returns {string[]} Problems found (empty when valid)
+ */
+const validateItem = item => {
+  const issues = [];
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return ['entry must be an object'];
+  }
+
+  if (!Number.isInteger(item.id) || item.id <= 0) {
+    issues.push('id must be a positive integer');
+  }
+  if (typeof item.slug !== 'string' || !SLUG_PATTERN.test(item.slug)) {
+    issues.push('slug must be kebab-case (e.g. "violet-breeze")');
+  }
+  if (!isNonEmptyString(item.name)) issues.push('name is required');
+  if (!CATEGORIES.includes(item.category)) {
+    issues.push(`category must be one of ${CATEGORIES.join(', ')}`);
+  }
+  if (!BASES.includes(item.base)) {
+    issues.push(`base must be one of ${BASES.join(', ')}`);
+  } else if ((item.category === 'mocktail') !== (item.base === 'none')) {
+    issues.push('base must be "none" for mocktails, and only for mocktails');
+  }
+  if (typeof item.country !== 'string' || !COUNTRY_PATTERN.test(item.country)) {
+    issues.push('country must be an ISO 3166-1 alpha-2 code');
+  }
+  if (!isNonEmptyString(item.serving)) issues.push('serving is required');
+  if (!isNonEmptyString(item.glassware)) issues.push('glassware is required');
+
+  for (const key of ['image', 'title', 'description', 'garnish']) {
+    if (key in item && !isNonEmptyString(item[key])) {
+      issues.push(`${key} must be a non-empty string when present`);
+    }
+  }
+
+  if (!Array.isArray(item.ingredients) || item.ingredients.length === 0) {
+    issues.push('ingredients must be a non-empty array');
+  } else {
+    item.ingredients.forEach((ingredient, index) => {
+      const at = `ingredients[${index}]`;
+      if (!isNonEmptyString(ingredient?.name)) {
+        issues.push(`${at}.name is required`);
+      }
+      if (!isFiniteNumber(ingredient?.quantity) || ingredient.quantity <= 0) {
+        issues.push(`${at}.quantity must be a number greater than 0`);
+      }
+      if (!INGREDIENT_UNITS.includes(ingredient?.unit)) {
+        issues.push(`${at}.unit must be one of ${INGREDIENT_UNITS.join(', ')}`);
+      }
+    });
+  }
+
+  if (
+    !Array.isArray(item.method) ||
+    item.method.length === 0 ||
+    !item.method.every(isNonEmptyString)
+  ) {
+    issues.push('method must be a non-empty array of steps');
+  }
+
+  if (!isFiniteNumber(item.abv) || item.abv < 0 || item.abv > 100) {
+    issues.push('abv must be a percentage between 0 and 100');
+  } else if (item.category === 'mocktail' && item.abv !== 0) {
+    issues.push('mocktails must have an abv of 0');
+  }
+
+  for (const [key, allowed] of [
+    ['allergens', ALLERGENS],
+    ['dietary', DIETARY],
+  ]) {
+    if (
+      !Array.isArray(item[key]) ||
+      !item[key].every(value => allowed.includes(value)) ||
+      new Set(item[key]).size !== item[key].length
+    ) {
+      issues.push(
+        `${key} must list each of ${allowed.join(', ')} at most once (may be empty)`
+      );
+    }
+  }
+  if (Array.isArray(item.dietary) && Array.isArray(item.allergens)) {
+    if (item.dietary.includes('alcohol-free') !== (item.abv === 0)) {
+      issues.push('dietary must include "alcohol-free" exactly when abv is 0');
+    }
+    if (
+      item.dietary.includes('vegan') &&
+      item.allergens.some(allergen => ANIMAL_ALLERGENS.includes(allergen))
+    ) {
+      issues.push("vegan drinks can't contain dairy or egg");
+    }
+  }
+
+  if (!isFiniteNumber(item.price?.amount) || item.price.amount < 0) {
+    issues.push('price.amount must be a non-negative number');
+  }
+  if (
+    typeof item.price?.currency !== 'string' ||
+    !CURRENCY_PATTERN.test(item.price.currency)
+  ) {
+    issues.push('price.currency must be an ISO 4217 code (e.g. "USD")');
+  }
+
+  for (const key of ['featured', 'popular']) {
+    if (typeof item[key] !== 'boolean') issues.push(`${key} must be a boolean`);
+  }
+  if (item.featured === true && !isNonEmptyString(item.image)) {
+    issues.push('featured drinks need an image for the Menu slider');
+  }
+
+  return issues;
+};
+
+/**
+ * Validate the whole catalog, including cross-entry uniqueness of id and slug
+ *
+ * @param {unknown} entries - Parsed contents of catalog.json
+ * @returns {CatalogItem[]} The same entries, once they are known to be valid
+ * @throws {CatalogValidationError} When any entry breaks the schema
+ */
+export const validateCatalog = entries => {
+  if (!Array.isArray(entries)) {
+    throw new CatalogValidationError(['catalog must be an array of drinks']);
+  }
+
+  const issues = [];
+  const seenIds = new Set();
+  const seenSlugs = new Set();
+
+  entries.forEach((item, index) => {
+    const label = `#${index} (${item?.slug ?? item?.name ?? 'unnamed'})`;
+
+    validateItem(item).forEach(issue => issues.push(`${label}: ${issue}`));
+
+    if (seenIds.has(item?.id)) issues.push(`${label}: duplicate id ${item.id}`);
+    if (seenSlugs.has(item?.slug)) {
+      issues.push(`${label}: duplicate slug "${item.slug}"`);
+    }
+    seenIds.add(item?.id);
+    seenSlugs.add(item?.slug);
+  });
+
+  if (issues.length > 0) throw new CatalogValidationError(issues);
+
+  return entries;
+};
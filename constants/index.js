@@ -1,3 +1,6 @@
+// Drinks (cocktails, mocktails, Menu slider) live in ./catalog.js; translated
+// copy lives in src/i18n/messages
+
 const navLinks = [
   {
     id: 'cocktails',
@@ -17,167 +20,406 @@ const navLinks = [
   },
 ];
 
-const cocktailLists = [
+const profileLists = [
   {
-    name: 'Chapel Hill Shiraz',
-    country: 'AU',
-    detail: 'Battle',
-    price: '$10',
+    imgPath: '/images/profile1.png',
   },
   {
-    name: 'Caten Malbee',
-    country: 'AU',
-    detail: 'Battle',
-    price: '$49',
+    imgPath: '/images/profile2.png',
   },
   {
-    name: 'Rhino Pale Ale',
-    country: 'CA',
-    detail: '750 ml',
-    price: '$20',
+    imgPath: '/images/profile3.png',
   },
   {
-    name: 'Irish Guinness',
-    country: 'IE',
-    detail: '600 ml',
-    price: '$29',
+    imgPath: '/images/profile4.png',
   },
 ];
 
-const mockTailLists = [
+// Published guest reviews shipped with the site. They seed the Reviews
+// section and the aggregate rating (About, schema.org AggregateRating); a
+// reviews backend (VITE_REVIEWS_API_URL) replaces them at runtime. `date` is
+// 'YYYY-MM-DD', `rating` 1-5, `locale` the language the review is written in.
+const reviews = [
   {
-    name: 'Tropical Bloom',
-    country: 'US',
-    detail: 'Battle',
-    price: '$10',
+    id: 'rv-001',
+    author: 'Maya R.',
+    avatar: profileLists[0].imgPath,
+    rating: 5,
+    text: 'The Classic Mojito here is the one I measure every other one against. Fresh mint, not too sweet, and the bartenders clearly care.',
+    date: '2025-09-14',
+    locale: 'en',
   },
   {
-    name: 'Passionfruit Mint',
-    country: 'US',
-    detail: 'Battle',
-    price: '$49',
+    id: 'rv-002',
+    author: 'Daniel K.',
+    avatar: profileLists[1].imgPath,
+    rating: 5,
+    text: 'Booked a table for a birthday and the staff made it feel like a private party. The Raspberry Mojito disappeared fast.',
+    date: '2025-08-30',
+    locale: 'en',
   },
   {
-    name: 'Citrus Glow',
-    country: 'CA',
-    detail: '750 ml',
-    price: '$20',
+    id: 'rv-003',
+    author: 'Sofía L.',
+    avatar: profileLists[2].imgPath,
+    rating: 4,
+    text: 'Los mocktails son de verdad, no solo zumo con hielo. El ambiente es tranquilo entre semana; los sábados conviene reservar.',
+    date: '2025-08-11',
+    locale: 'es',
   },
   {
-    name: 'Lavender Fizz',
-    country: 'IE',
-    detail: '600 ml',
-    price: '$29',
+    id: 'rv-004',
+    author: 'James T.',
+    avatar: profileLists[3].imgPath,
+    rating: 5,
+    text: 'Ordered ahead for pickup and it was ready to the minute. Garnish as neat as if I had sat at the bar.',
+    date: '2025-07-26',
+    locale: 'en',
   },
-];
-
-const profileLists = [
   {
-    imgPath: '/images/profile1.png',
+    id: 'rv-005',
+    author: 'Priya N.',
+    rating: 4,
+    text: 'Great cocktail list with a few surprises. A little loud after ten, but that is half the fun on a Friday.',
+    date: '2025-07-02',
+    locale: 'en',
   },
   {
-    imgPath: '/images/profile2.png',
+    id: 'rv-006',
+    author: 'Marco B.',
+    rating: 5,
+    text: 'Asked for something off-menu with mezcal and got the best drink of my trip. Will be back next time I am in LA.',
+    date: '2025-06-18',
+    locale: 'en',
   },
   {
-    imgPath: '/images/profile3.png',
+    id: 'rv-007',
+    author: 'Hannah W.',
+    rating: 3,
+    text: 'Drinks were excellent but we waited a while for a table even with a booking. The Virgin Colada made up for it.',
+    date: '2025-05-29',
+    locale: 'en',
   },
   {
-    imgPath: '/images/profile4.png',
+    id: 'rv-008',
+    author: 'Luis G.',
+    rating: 5,
+    text: 'Un bar con alma. Cada cóctel está pensado hasta el último detalle y el personal te recomienda sin prisas.',
+    date: '2025-05-03',
+    locale: 'es',
   },
 ];
 
-const featureLists = [
-  'Perfectly balanced blends',
-  'Garnished to perfection',
-  'Ice-cold every time',
-  'Expertly shaken & stirred',
-];
+// Hero background media. The files live in public/videos (deployed with the
+// site, not committed); anything missing degrades to the poster, then to no
+// video at all, without leaving an empty pinned region.
+const heroMedia = {
+  poster: '/videos/output-poster.jpg',
+  // Tried in order; list the smaller / better-compressed format first
+  sources: [
+    { src: '/videos/output.webm', type: 'video/webm' },
+    { src: '/videos/output.mp4', type: 'video/mp4' },
+  ],
+  // 'video' scrubs <video>.currentTime; 'frames' draws a pre-extracted image
+  // sequence on a canvas (smooth where seeking stutters, e.g. iOS Safari).
+  // VITE_HERO_SCRUB_MODE overrides this at build time.
+  scrubMode: 'video',
+  frames: {
+    // {index} is replaced by the zero-padded frame number (0001, 0002, ...)
+    path: '/videos/frames/frame-{index}.webp',
+    count: 120,
+    padding: 4,
+  },
+};
 
-const goodLists = [
-  'Handpicked ingredients',
-  'Signature techniques',
-  'Bartending artistry in action',
-  'Freshly muddled flavors',
+// About section photo grid and lightbox, in grid order. `row` and `span` place
+// each photo in the top (3-6-3) or bottom (8-4) row. Alt text and captions are
+// English; translations live under `about.gallery.<id>` in the message catalogs.
+const aboutGallery = [
+  {
+    id: 'interior',
+    src: '/images/abt1.png',
+    row: 'top',
+    span: 'md:col-span-3',
+    alt: 'Bar interior showcasing elegant atmosphere',
+    caption: 'Low light, a long bar and room to linger.',
+  },
+  {
+    id: 'bartender',
+    src: '/images/abt2.png',
+    row: 'top',
+    span: 'md:col-span-6',
+    alt: 'Master bartender crafting signature cocktail',
+    caption: 'Every signature drink is built to order, right in front of you.',
+  },
+  {
+    id: 'ingredients',
+    src: '/images/abt5.png',
+    row: 'top',
+    span: 'md:col-span-3',
+    alt: 'Premium ingredients and garnish preparation',
+    caption: 'Fresh citrus, herbs and house syrups, prepped every afternoon.',
+  },
+  {
+    id: 'counter',
+    src: '/images/abt3.png',
+    row: 'bottom',
+    span: 'md:col-span-8',
+    alt: 'Artfully presented cocktails on bar counter',
+    caption: 'A round of house favorites, ready to go out.',
+  },
+  {
+    id: 'garnish',
+    src: '/images/abt4.png',
+    row: 'bottom',
+    span: 'md:col-span-4',
+    alt: 'Close-up of cocktail garnish and presentation details',
+    caption: 'The finishing touch: every garnish placed by hand.',
+  },
 ];
 
-const storeInfo = {
-  heading: 'Where to Find Us',
-  address: '456, Raq Blvd. #404, Los Angeles, CA 90210',
-  contact: {
-    phone: '(555) 987-6543',
-    email: 'hello@jsmcocktail.com',
+// Motion tokens - the shared timing vocabulary behind the animation presets
+// (src/animations/presets.js). Tune these to change the feel of every
+// section at once; individual calls can still override them.
+const motionTokens = {
+  // Seconds
+  duration: {
+    fast: 0.4, // Slide changes in reduced-motion mode
+    reduced: 0.6, // Plain fades in reduced-motion mode
+    base: 1, // Word reveals, grid fades
+    slow: 1.8, // Hero title and subtitle
+  },
+  ease: {
+    reveal: 'expo.out', // Text sliding up into place
+    fade: 'power1.inOut', // Opacity and image transitions
+    reduced: 'power1.out', // Reduced-motion fades
+  },
+  // Seconds between consecutive elements
+  stagger: {
+    words: 0.02,
+    items: 0.04,
+    lines: 0.06,
+    chars: 0.06,
   },
 };
 
-const openingHours = [
-  { day: 'Mon–Thu', time: '11:00am – 12am' },
-  { day: 'Fri', time: '11:00am – 2am' },
-  { day: 'Sat', time: '9:00am – 2am' },
-  { day: 'Sun', time: '9:00am – 1am' },
-];
+// Inertial wheel scrolling (src/utils/smoothScroll.js). Never used with a
+// coarse (touch) pointer or in reduced-motion mode, whatever `enabled` says.
+const smoothScroll = {
+  enabled: true,
+  lerp: 0.1, // Share of the remaining distance covered per frame
+  wheelMultiplier: 1,
+};
+
+// Decorative images a theme can swap, by slot (see `themes` below)
+const decorativeAssets = {
+  heroLeftLeaf: '/images/hero-left-leaf.png',
+  heroRightLeaf: '/images/hero-right-leaf.png',
+  cocktailLeftLeaf: '/images/cocktail-left-leaf.png',
+  cocktailRightLeaf: '/images/cocktail-right-leaf.png',
+  sliderLeftLeaf: '/images/slider-left-leaf.png',
+  sliderRightLeaf: '/images/slider-right-leaf.png',
+  footerLeftLeaf: '/images/footer-left-leaf.png',
+  footerRightLeaf: '/images/footer-right-leaf.png',
+};
 
-const socials = [
+// Site themes (src/context/ThemeProvider.jsx). `tokens` override the house
+// look defined by the --theme-* variables in src/index.css (token names in
+// src/utils/theme.js); `assets` override `decorativeAssets` slots. A theme
+// with a `season` ('MM-DD' to 'MM-DD', may wrap the new year) is picked
+// automatically in that range; the Navbar switcher can pick any theme.
+const themes = [
+  { id: 'classic', tokens: {}, assets: {} },
   {
-    name: 'Instagram',
-    icon: '/images/insta.png',
-    url: '#',
+    id: 'summer',
+    season: { from: '06-01', to: '08-31' },
+    tokens: {
+      accent: '#f6c453',
+      gradientTo: '#f2b98a',
+      glow: '#5a3a1c',
+      navBackground: 'rgba(40, 20, 0, 0.35)',
+      noiseOpacity: 0.35,
+      leafFilter: 'hue-rotate(-15deg) saturate(1.3) brightness(1.05)',
+    },
+    assets: {},
   },
   {
-    name: 'X (Twitter)',
-    icon: '/images/x.png',
-    url: '#',
+    id: 'winter',
+    season: { from: '12-01', to: '02-29' }, // Leap day included
+    tokens: {
+      accent: '#b9dcf2',
+      background: '#04070c',
+      gradientTo: '#8fa6b8',
+      glow: '#2c3e50',
+      navBackground: 'rgba(4, 10, 20, 0.45)',
+      noiseOpacity: 0.55,
+      leafFilter: 'hue-rotate(140deg) saturate(0.35) brightness(1.35)',
+    },
+    assets: {},
   },
   {
-    name: 'Facebook',
-    icon: '/images/fb.png',
-    url: '#',
+    id: 'happy-hour',
+    tokens: {
+      accent: '#ff8a5c',
+      gradientFrom: '#ffe3d3',
+      gradientTo: '#c46b8a',
+      glow: '#5b1f3a',
+      navBackground: 'rgba(40, 5, 20, 0.4)',
+      noiseOpacity: 0.3,
+      leafFilter: 'hue-rotate(-70deg) saturate(1.4) brightness(1)',
+    },
+    assets: {},
   },
 ];
 
-const allCocktails = [
-  {
-    id: 1,
-    name: 'Classic Mojito',
-    image: '/images/drink1.png',
-    title: 'Simple Ingredients, Bold Flavor',
-    description:
-      'Made with tequila, lime juice, and orange liqueur, the Margarita is easy to make and full of character. Add a salted rim for the perfect drink on summer nights.',
-  },
+// Section copy (src/services/content.js): the files in content/ unless
+// VITE_CONTENT_API_URL points at a REST CMS, whose copy is then fetched at
+// build time (bundled as a fallback) and refreshed in the browser.
+const contentSource = {
+  cacheMinutes: 10, // Fetched copy is reused from localStorage this long
+  timeoutMs: 5000, // A slower CMS is given up on; the bundled copy stays
+};
+
+// Order ahead for pickup: the cart drawer, checkout and orders service
+// (src/services/orders.js). Pickup times are checked against `hours` below.
+const ordering = {
+  taxRate: 0.095, // Sales tax applied to the subtotal
+  leadMinutes: 20, // Earliest pickup after placing an order
+  slotMinutes: 15, // Pickup time granularity
+  lastOrderMinutes: 15, // Pickups stop this long before closing
+  maxQuantity: 20, // Per drink, per order
+};
+
+// Time-based promotions (src/utils/specials.js), evaluated in the bar's
+// timezone and only while it is open. Each window runs on the listed
+// weekdays (0 = Sunday) from `from` to `to`; a `to` at or before `from` runs
+// past midnight. `discount` is a `percent` or a fixed `amount` off the
+// catalog price; `scope` limits the rule to catalog `items` (slugs) or
+// `categories`, and without it covers every drink. When several rules match
+// a drink the lowest price wins. `banner` announces the rule in the Hero.
+const specials = [
   {
-    id: 2,
-    name: 'Raspberry Mojito',
-    image: '/images/drink2.png',
-    title: 'A Zesty Classic That Never Fails',
-    description:
-      'The Margarita is a classic that balances tangy lime, smooth tequila, and a touch of sweetness. Shaken, frozen, or on the rocks—it’s always crisp & refreshing.',
+    id: 'happy-hour',
+    windows: [{ days: [1, 2, 3, 4, 5], from: '16:00', to: '18:00' }],
+    discount: { percent: 25 },
+    scope: { categories: ['cocktail'] },
+    banner: true,
   },
   {
-    id: 3,
-    name: 'Violet Breeze',
-    image: '/images/drink3.png',
-    title: 'Simple Ingredients, Bold Flavor',
-    description:
-      'Made with tequila, lime juice, and orange liqueur, the Margarita is easy to make and full of character. Add a salted rim for the perfect drink on summer nights.',
+    id: 'late-night-mojitos',
+    windows: [{ days: [5, 6], from: '23:00', to: '01:00' }],
+    discount: { amount: 3 },
+    scope: { items: ['classic-mojito', 'raspberry-mojito', 'curacao-mojito'] },
   },
   {
-    id: 4,
-    name: 'Curacao Mojito',
-    image: '/images/drink4.png',
-    title: 'Crafted With Care, Poured With Love',
-    description:
-      "Each cocktail is made with fresh ingredients and a passion for perfecting every pour, whether you're celebrating or simply relaxing.",
+    id: 'mocktail-sunday',
+    windows: [{ days: [0], from: '09:00', to: '23:59' }],
+    discount: { amount: 2 },
+    scope: { categories: ['mocktail'] },
   },
 ];
 
+// Drink search and filter chips (src/utils/catalogSearch.js). Price ranges
+// include `min` and exclude `max`, in the catalog currency's major unit.
+const catalogFilters = {
+  priceRanges: [
+    { id: 'under-15', max: 15 },
+    { id: '15-30', min: 15, max: 30 },
+    { id: '30-plus', min: 30 },
+  ],
+};
+
+// Business profile - single source of truth for the bar's identity, location,
+// contact details, opening hours and socials (Contact, Navbar, vCard, SEO tags)
+const businessProfile = {
+  name: 'Velvet Pour',
+  // Production origin for canonical/Open Graph URLs; VITE_SITE_URL overrides it
+  url: 'https://gsap-landing-nu.vercel.app',
+  description:
+    'Velvet Pour is a Los Angeles cocktail bar pouring signature mojitos, classic cocktails and alcohol-free mocktails, crafted from muddle to garnish.',
+  // Share image for Open Graph and Twitter cards, relative to the site root
+  image: '/images/abt2.png',
+  priceRange: '$$',
+  address: {
+    street: '456, Raq Blvd. #404',
+    locality: 'Los Angeles',
+    region: 'CA',
+    postalCode: '90210',
+    country: 'US',
+  },
+  geo: {
+    latitude: 34.0901,
+    longitude: -118.4065,
+  },
+  phone: {
+    display: '(555) 987-6543',
+    e164: '+15559876543',
+  },
+  email: 'hello@ajrcocktail.com',
+  // Evaluated in the bar's own timezone by src/utils/openingHours.js
+  hours: {
+    timeZone: 'America/Los_Angeles',
+    // Date#getDay() order (0 = Sunday); 24h 'HH:MM' times, null = closed.
+    // A close at or before open runs past midnight into the next day.
+    weekly: [
+      { open: '09:00', close: '01:00' },
+      { open: '11:00', close: '00:00' },
+      { open: '11:00', close: '00:00' },
+      { open: '11:00', close: '00:00' },
+      { open: '11:00', close: '00:00' },
+      { open: '11:00', close: '02:00' },
+      { open: '09:00', close: '02:00' },
+    ],
+    // Date-specific overrides, taking precedence over the weekly schedule
+    holidays: [
+      { date: '2026-11-26', label: 'Thanksgiving', closed: true },
+      {
+        date: '2026-12-24',
+        label: 'Christmas Eve',
+        open: '11:00',
+        close: '20:00',
+      },
+      { date: '2026-12-25', label: 'Christmas Day', closed: true },
+      {
+        date: '2026-12-31',
+        label: "New Year's Eve",
+        open: '18:00',
+        close: '03:00',
+      },
+    ],
+  },
+  socials: [
+    {
+      name: 'Instagram',
+      icon: '/images/insta.png',
+      url: '#',
+    },
+    {
+      name: 'X (Twitter)',
+      icon: '/images/x.png',
+      url: '#',
+    },
+    {
+      name: 'Facebook',
+      icon: '/images/fb.png',
+      url: '#',
+    },
+  ],
+};
+
 export {
   navLinks,
-  cocktailLists,
-  mockTailLists,
   profileLists,
-  featureLists,
-  goodLists,
-  openingHours,
-  storeInfo,
-  socials,
-  allCocktails,
+  reviews,
+  heroMedia,
+  aboutGallery,
+  motionTokens,
+  smoothScroll,
+  decorativeAssets,
+  themes,
+  contentSource,
+  ordering,
+  specials,
+  catalogFilters,
+  businessProfile,
 };
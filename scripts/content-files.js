@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Reads the content/ files from disk for Node tooling
+ * Used by the build (content checks and CMS snapshot) and the mock CMS
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseContentFiles } from '../src/utils/content.js';
+
+/**
+ * Read and parse every content/<locale>/*.json and *.md file
+ *
+ * @param {string} root - Project root holding the content/ directory
+ * @returns {import('../src/utils/content.js').ContentByLocale} Copy by locale
+ * @throws {SyntaxError} When a JSON file is malformed
+ */
+export const readContentFiles = root => {
+  const files = {};
+
+  readdirSync(join(root, 'content'), { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(({ name: locale }) => {
+      readdirSync(join(root, 'content', locale)).forEach(name => {
+        const path = `content/${locale}/${name}`;
+        files[path] = readFileSync(join(root, path), 'utf8');
+      });
+    });
+
+  return parseContentFiles(files);
+};
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Mock headless CMS for local development
+ * Serves the content/ files as `GET /content`, re-read on every request, so
+ * copy edits show up without restarting anything:
+ *
+ *   npm run content:mock
+ *   VITE_CONTENT_API_URL=http://localhost:4010 npm run dev
+ */
+
+import { createServer } from 'node:http';
+import { cwd, env } from 'node:process';
+import { readContentFiles } from './content-files.js';
+
+const port = Number(env.CONTENT_MOCK_PORT) || 4010;
+
+const server = createServer((request, response) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store',
+    'Content-Type': 'application/json; charset=utf-8',
+  };
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, headers).end();
+    return;
+  }
+
+  const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+  if (request.method !== 'GET' || pathname.replace(/\/$/, '') !== '/content') {
+    response
+      .writeHead(404, headers)
+      .end(JSON.stringify({ message: 'Not found' }));
+    return;
+  }
+
+  try {
+    response
+      .writeHead(200, headers)
+      .end(JSON.stringify(readContentFiles(cwd())));
+  } catch (error) {
+    response
+      .writeHead(500, headers)
+      .end(JSON.stringify({ message: error.message }));
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock CMS serving content/ at http://localhost:${port}/content`);
+});
@@ -4,25 +4,56 @@
  */
 
 import gsap from 'gsap';
-import { ScrollTrigger, SplitText } from 'gsap/all';
+import {
+  Flip,
+  Observer,
+  ScrollToPlugin,
+  ScrollTrigger,
+  SplitText,
+} from 'gsap/all';
 
 // Component imports
+import SmoothScroll from './components/SmoothScroll';
 import Navbar from './components/Navbar';
 import Hero from './components/Hero';
 import Cocktails from './components/Cocktails';
 import About from './components/About';
+import Reviews from './components/Reviews';
 import Art from './components/Art';
 import Menu from './components/Menu';
 import Contact from './components/Contact';
+import CartDrawer from './components/CartDrawer';
+
+// Context providers
+import MotionProvider from './context/MotionProvider';
+import ThemeProvider from './context/ThemeProvider';
+import ContentProvider from './context/ContentProvider';
+import LocaleProvider from './context/LocaleProvider';
+import SpecialsProvider from './context/SpecialsProvider';
+import CartProvider from './context/CartProvider';
+import CatalogFilterProvider from './context/CatalogFilterProvider';
+import ReviewsProvider from './context/ReviewsProvider';
 
 // Register GSAP plugins globally for all components
-gsap.registerPlugin(ScrollTrigger, SplitText);
+gsap.registerPlugin(ScrollTrigger, ScrollToPlugin, SplitText, Observer, Flip);
 
 /**
  * App Component
  *
  * The root application component that:
- * - Registers GSAP plugins (ScrollTrigger, SplitText) globally
+ * - Registers GSAP plugins (ScrollTrigger, ScrollTo, SplitText, Observer, Flip) globally
+ * - Provides the site-wide reduced-motion preference via MotionProvider
+ * - Applies the seasonal or chosen theme (design tokens, decorative assets)
+ *   via ThemeProvider
+ * - Loads the section copy (content files or headless CMS) via
+ *   ContentProvider
+ * - Provides the active language and translations via LocaleProvider
+ * - Shares the running specials (time-based prices) via SpecialsProvider
+ * - Shares the order-ahead basket via CartProvider
+ * - Shares the drink search and filters (mirrored in the URL) via
+ *   CatalogFilterProvider
+ * - Shares the published guest reviews and their rating via ReviewsProvider
+ * - Mounts the optional smooth-scroll layer (see `smoothScroll` config)
  * - Orchestrates the complete page layout and component hierarchy
  * - Provides the main semantic structure using <main> element
  * - Manages the flow between different page sections
@@ -30,11 +61,13 @@ gsap.registerPlugin(ScrollTrigger, SplitText);
  * Page Structure:
  * 1. Navbar - Fixed navigation with scroll animations
  * 2. Hero - Main landing section with video and text animations
- * 3. Cocktails - Dual-column cocktail/mocktail listings
+ * 3. Cocktails - Drink search and filters above dual-column cocktail/mocktail listings
  * 4. About - Company information with image grids
- * 5. Art - Immersive masked image experience
- * 6. Menu - Interactive cocktail showcase slider
- * 7. Contact - Footer with contact info and social links
+ * 5. Reviews - Guest rating, testimonial marquee and review form
+ * 6. Art - Immersive masked image experience
+ * 7. Menu - Interactive cocktail showcase slider
+ * 8. Contact - Footer with contact info and social links
+ * 9. CartDrawer - Order-ahead basket and pickup checkout (opened from the Navbar)
  *
  * @component
  * @returns {JSX.Element} The complete application layout
@@ -42,31 +75,59 @@ gsap.registerPlugin(ScrollTrigger, SplitText);
  * @requires gsap - Core animation library
  * @requires gsap/ScrollTrigger - Scroll-triggered animations
  * @requires gsap/SplitText - Text splitting animations (GSAP Club plugin)
+ * @requires gsap/Observer - Touch/pointer gestures for the Menu slider
+ * @requires gsap/ScrollToPlugin - Animated section navigation
+ * @requires gsap/Flip - Drink lists and Menu tabs reordering under the filters
  */
 const App = () => {
   return (
-    <main>
-      {/* Fixed Navigation Bar */}
-      <Navbar />
+    <ContentProvider>
+      <LocaleProvider>
+        <MotionProvider>
+          <ThemeProvider>
+            <SpecialsProvider>
+              <CartProvider>
+                <ReviewsProvider>
+                  <CatalogFilterProvider>
+                    <main>
+                      {/* Inertial wheel scrolling (desktop, full motion only) */}
+                      <SmoothScroll />
+
+                      {/* Fixed Navigation Bar */}
+                      <Navbar />
+
+                      {/* Hero Section - Main landing with video background */}
+                      <Hero />
+
+                      {/* Cocktails Showcase - Popular drinks and mocktails */}
+                      <Cocktails />
 
-      {/* Hero Section - Main landing with video background */}
-      <Hero />
+                      {/* About Section - Company story and image gallery */}
+                      <About />
 
-      {/* Cocktails Showcase - Popular drinks and mocktails */}
-      <Cocktails />
+                      {/* Reviews - Guest testimonials and review form */}
+                      <Reviews />
 
-      {/* About Section - Company story and image gallery */}
-      <About />
+                      {/* Art Section - Immersive masked image experience */}
+                      <Art />
 
-      {/* Art Section - Immersive masked image experience */}
-      <Art />
+                      {/* Interactive Menu - Cocktail slider with recipes */}
+                      <Menu />
 
-      {/* Interactive Menu - Cocktail slider with recipes */}
-      <Menu />
+                      {/* Footer/Contact - Business info and social links */}
+                      <Contact />
 
-      {/* Footer/Contact - Business info and social links */}
-      <Contact />
-    </main>
+                      {/* Order Ahead - Cart drawer with pickup checkout */}
+                      <CartDrawer />
+                    </main>
+                  </CatalogFilterProvider>
+                </ReviewsProvider>
+              </CartProvider>
+            </SpecialsProvider>
+          </ThemeProvider>
+        </MotionProvider>
+      </LocaleProvider>
+    </ContentProvider>
   );
 };
 
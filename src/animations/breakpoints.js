@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Breakpoint-aware animation setup with gsap.matchMedia
+ * The ranges line up with Tailwind's `md` (768px) and `lg` (1024px) screens
+ * used by the layout.
+ */
+
+import gsap from 'gsap';
+
+/**
+ * Media queries for each animation breakpoint; exactly one matches at a time
+ */
+export const BREAKPOINTS = {
+  mobile: '(max-width: 767px)',
+  tablet: '(min-width: 768px) and (max-width: 1023px)',
+  desktop: '(min-width: 1024px)',
+};
+
+/**
+ * Run an animation setup for the current breakpoint. When the viewport
+ * crosses into another one (resize, tablet rotation) everything the setup
+ * created is reverted and the setup runs again with the new breakpoint, so
+ * ScrollTrigger ranges and pins are never left stale.
+ *
+ * Call it inside useGSAP: the matchMedia joins that context, inherits its
+ * scope and is reverted with it.
+ *
+ * @param {(breakpoint: 'mobile'|'tablet'|'desktop') => (void|Function)} setup -
+ *   Builds the animations; may return a cleanup function
+ * @returns {gsap.MatchMedia} The matchMedia instance
+ */
+export const matchBreakpoints = setup => {
+  const matchMedia = gsap.matchMedia();
+
+  matchMedia.add(BREAKPOINTS, ({ conditions }) =>
+    setup(Object.keys(BREAKPOINTS).find(name => conditions[name]))
+  );
+
+  return matchMedia;
+};
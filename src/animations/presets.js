@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Named animation presets shared by the page sections
+ * Presets return a tween or timeline (lineReveal excepted), so they can run on
+ * their own or be placed in a timeline with
+ * `timeline.add(preset(...), position)`. Selector targets are scoped like any
+ * other GSAP call, so run presets inside a scoped useGSAP to keep them within
+ * one section instance. Timing comes from `motionTokens` in
+ * constants/index.js; any tween var passed in overrides the preset's.
+ */
+
+import gsap from 'gsap';
+import { SplitText } from 'gsap/all';
+import { motionTokens } from '../../constants/index.js';
+
+const { duration, ease, stagger } = motionTokens;
+
+/**
+ * Slide split pieces of text up into place
+ *
+ * @param {gsap.TweenTarget} target - Element(s) holding the text
+ * @param {'words'|'chars'} piece - SplitText piece to animate
+ * @param {gsap.TweenVars} defaults - Preset tween vars
+ * @param {gsap.TweenVars} vars - Caller overrides
+ * @param {SplitText.Vars} splitVars - Extra SplitText options
+ * @returns {gsap.core.Tween} The reveal tween
+ */
+const splitReveal = (target, piece, defaults, vars, splitVars) => {
+  // chars need words too so lines only break between words
+  const type = piece === 'chars' ? 'chars, words' : piece;
+  // SplitText resolves selector text against the whole document; toArray
+  // honours the scope of the calling useGSAP / gsap.context. Created inside
+  // a context, the split is reverted along with it.
+  const split = SplitText.create(gsap.utils.toArray(target), {
+    type,
+    ...splitVars,
+  });
+
+  return gsap.from(split[piece], { yPercent: 100, ...defaults, ...vars });
+};
+
+/**
+ * Word-by-word fade and slide up (section headings)
+ *
+ * @param {gsap.TweenTarget} target - Element(s) holding the text
+ * @param {gsap.TweenVars} [vars] - Tween overrides
+ * @param {SplitText.Vars} [splitVars] - Extra SplitText options
+ * @returns {gsap.core.Tween} The reveal tween
+ */
+export const wordReveal = (target, vars = {}, splitVars = {}) =>
+  splitReveal(
+    target,
+    'words',
+    {
+      opacity: 0,
+      duration: duration.base,
+      ease: ease.reveal,
+      stagger: stagger.words,
+    },
+    vars,
+    splitVars
+  );
+
+/**
+ * Character-by-character slide up (display titles)
+ *
+ * @param {gsap.TweenTarget} target - Element(s) holding the text
+ * @param {gsap.TweenVars} [vars] - Tween overrides
+ * @param {SplitText.Vars} [splitVars] - Extra SplitText options, e.g.
+ *   `charsClass` to style each character
+ * @returns {gsap.core.Tween} The reveal tween
+ */
+export const charReveal = (target, vars = {}, splitVars = {}) =>
+  splitReveal(
+    target,
+    'chars',
+    { duration: duration.slow, ease: ease.reveal, stagger: stagger.chars },
+    vars,
+    splitVars
+  );
+
+/**
+ * Line-by-line fade and slide up (paragraphs)
+ *
+ * Where lines break depends on the element's width, so the text is split
+ * with `autoSplit`: SplitText re-splits on resize and font load, and
+ * re-creates the tween at the progress the previous one had reached. Because
+ * the tween is replaced on every re-split, this preset returns the SplitText
+ * instance and runs on its own rather than inside a timeline.
+ *
+ * @param {gsap.TweenTarget} target - Element(s) holding the text
+ * @param {gsap.TweenVars} [vars] - Tween overrides
+ * @param {SplitText.Vars} [splitVars] - Extra SplitText options
+ * @returns {SplitText} The split; reverting it also reverts the tween
+ */
+export const lineReveal = (target, vars = {}, splitVars = {}) =>
+  SplitText.create(gsap.utils.toArray(target), {
+    type: 'lines',
+    autoSplit: true,
+    ...splitVars,
+    onSplit: split =>
+      gsap.from(split.lines, {
+        opacity: 0,
+        yPercent: 100,
+        duration: duration.slow,
+        ease: ease.reveal,
+        stagger: stagger.lines,
+        ...vars,
+      }),
+  });
+
+/**
+ * Staggered fade-in of a group of elements (grids, lists)
+ *
+ * @param {gsap.TweenTarget} targets - Elements to fade in
+ * @param {gsap.TweenVars} [vars] - Tween overrides, e.g. `yPercent: 100`
+ * @returns {gsap.core.Tween} The fade tween
+ */
+export const staggerFade = (targets, vars = {}) =>
+  gsap.from(targets, {
+    opacity: 0,
+    duration: duration.base,
+    ease: ease.fade,
+    stagger: stagger.items,
+    ...vars,
+  });
+
+/**
+ * Plain fade-in used in place of the other presets in reduced-motion mode
+ *
+ * @param {gsap.TweenTarget} targets - Elements to fade in
+ * @param {gsap.TweenVars} [vars] - Tween overrides, e.g. a scrollTrigger
+ * @returns {gsap.core.Tween} The fade tween
+ */
+export const reducedFade = (targets, vars = {}) =>
+  gsap.from(targets, {
+    opacity: 0,
+    duration: duration.reduced,
+    ease: ease.reduced,
+    ...vars,
+  });
+
+/**
+ * Mirrored movement of a left/right pair of decorations (the leaves), as a
+ * timeline. The right element moves by (x, y); the left one by (-x, y), or
+ * (-x, -y) with `mirrorY`.
+ *
+ * @param {gsap.TweenTarget} left - Left-hand element
+ * @param {gsap.TweenTarget} right - Right-hand element
+ * @param {Object} options
+ * @param {number|string} [options.x=0] - Horizontal offset of the right element
+ * @param {number|string} [options.y=0] - Vertical offset of the right element
+ * @param {boolean} [options.mirrorY=false] - Move the left element the
+ *   opposite way vertically as well
+ * @param {boolean} [options.from=false] - Animate from the offsets into the
+ *   resting position instead of away from it
+ * @param {boolean} [options.sequence=false] - Move the right element after
+ *   the left one instead of together
+ * @param {gsap.TimelineVars} [options.timeline] - Timeline vars, e.g. a
+ *   scrubbed scrollTrigger
+ * @param {gsap.TweenVars} [options.vars] - Tween overrides for both elements
+ * @returns {gsap.core.Timeline} The parallax timeline
+ */
+export const parallaxPair = (
+  left,
+  right,
+  {
+    x = 0,
+    y = 0,
+    mirrorY = false,
+    from = false,
+    sequence = false,
+    timeline = {},
+    vars = {},
+  } = {}
+) => {
+  const method = from ? 'from' : 'to';
+  const negate = value => (typeof value === 'number' ? -value : `-${value}`);
+  const tweenVars = { duration: duration.base, ease: ease.fade, ...vars };
+  const pair = gsap.timeline(timeline);
+
+  pair[method](
+    left,
+    { x: negate(x), y: mirrorY ? negate(y) : y, ...tweenVars },
+    0
+  );
+  pair[method](right, { x, y, ...tweenVars }, sequence ? '>' : 0);
+
+  return pair;
+};
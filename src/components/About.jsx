@@ -1,6 +1,20 @@
-import gsap from 'gsap';
-import { SplitText } from 'gsap/all';
-import { useGSAP } from '@gsap/react';
+import { useEffect, useRef, useState } from 'react';
+import useLocale from '../hooks/useLocale';
+import useSectionReveal from '../hooks/useSectionReveal';
+import useGalleryRoute from '../hooks/useGalleryRoute';
+import useMotion from '../hooks/useMotion';
+import useReviews from '../hooks/useReviews';
+import { staggerFade, wordReveal } from '../animations/presets';
+import { scrollToSection } from '../utils/sectionScroll';
+import { formatRating } from '../utils/reviews';
+import { aboutGallery } from '../../constants/index.js';
+import Lightbox from './Lightbox';
+
+// Reviewer avatars stacked next to the rating
+const AVATAR_STACK_SIZE = 4;
+
+// Photo ids in gallery order, addressed in the URL as #about/<id>
+const galleryIds = aboutGallery.map(photo => photo.id);
 
 /**
  * About Component
@@ -12,125 +26,187 @@ import { useGSAP } from '@gsap/react';
  * - GSAP SplitText animation for word-by-word title reveal
  * - Scroll-triggered animations for title and image grid
  * - Responsive grid layout with animated image reveals
- * - Customer rating display with social proof
+ * - Guest rating computed from the published reviews, with a stack of
+ *   reviewer avatars and a link to the Reviews section
  * - Detailed brand messaging about cocktail craftsmanship
  * - Decorative noisy texture overlays on images
+ * - Grid built from the aboutGallery data; each photo opens a lightbox
+ *   that grows out of its thumbnail, deep-linkable as #about/<id>
+ * - Translated copy; the title is re-split when the language changes
  * 
  * Animation Sequence:
  * 1. Title words animate in with staggered timing
  * 2. Image grid elements fade in with sequential stagger
  * 3. All animations triggered when section enters viewport
+ * (Reduced-motion mode replaces both steps with a single plain fade)
  * 
  * Dependencies:
- * - gsap: Core animation library with ScrollTrigger
- * - gsap/SplitText: Text splitting plugin for word-level animation
- * - @gsap/react: React hooks for GSAP integration
+ * - ../hooks/useSectionReveal: Scroll-triggered entrance (and reduced fade)
+ * - ../animations/presets: wordReveal and staggerFade presets
+ * - ../hooks/useGalleryRoute: Lightbox photo synced with the URL hash
+ * - ../hooks/useReviews: Aggregate rating and reviewer avatars
+ * - ./Lightbox: Full-screen photo viewer
  * 
  * @returns {JSX.Element} The about section with animated content and image grid
  */
 const About = () => {
-  useGSAP(() => {
-    // Split the main title into individual words for staggered animation
-    const titleSplit = SplitText.create('#about h2', {
-      type: 'words',
-    });
-
-    // Create scroll-triggered timeline for coordinated animations
-    const scrollTimeline = gsap.timeline({
-      scrollTrigger: {
-        trigger: '#about',
-        start: 'top center', // Start when section top hits viewport center
-      },
-    });
-
-    // Sequence animations for smooth visual flow
-    scrollTimeline
-      // Animate title words with upward slide and fade-in effect
-      .from(titleSplit.words, {
-        opacity: 0,        // Start completely transparent
-        duration: 1,       // 1 second animation duration
-        yPercent: 100,     // Start 100% below final position
-        ease: 'expo.out',  // Smooth exponential easing
-        stagger: 0.02,     // 0.02s delay between each word
-      })
-      // Animate image grid elements with staggered fade-in
-      .from(
-        '.top-grid div, .bottom-grid div', // Target all grid items
-        {
-          opacity: 0,             // Start transparent
-          duration: 1,            // 1 second duration
-          ease: 'power1.inOut',   // Smooth power easing
-          stagger: 0.04,          // 0.04s delay between each grid item
-        },
-        '-=0.5' // Start 0.5s before previous animation completes
-      );
+  // Section element; animations are scoped to it
+  const sectionRef = useRef();
+
+  // Active language; the split title is keyed by it so it's re-split fresh
+  const { copyKey, tag, t } = useLocale();
+  const { reduceMotion } = useMotion();
+  const [headingStart, headingEnd] = t('about.heading');
+
+  // Aggregate rating and the newest reviewers with a photo; the rest are
+  // counted in a "+N" bubble
+  const { reviews, summary } = useReviews();
+  const stacked = reviews
+    .filter(review => review.avatar)
+    .slice(0, AVATAR_STACK_SIZE);
+
+  // Open lightbox photo, kept in the URL hash
+  const { index, open, navigate, close } = useGalleryRoute(galleryIds);
+  const [isDeepLink] = useState(() => index !== null);
+
+  // Opened on a photo URL: land on the section behind the lightbox, so the
+  // grid is there when it closes
+  useEffect(() => {
+    if (!isDeepLink) return;
+
+    const land = () =>
+      scrollToSection('about', { immediate: true, updateHash: false });
+
+    if (document.readyState === 'complete') {
+      land();
+      return;
+    }
+
+    window.addEventListener('load', land, { once: true });
+    return () => window.removeEventListener('load', land);
+  }, [isDeepLink]);
+
+  // Grid images by photo id; the lightbox grows out of and back into them
+  const thumbnailRefs = useRef({});
+
+  // Gallery with alt text and captions in the active language
+  const images = aboutGallery.map(photo => ({
+    ...photo,
+    alt: t(`about.gallery.${photo.id}.alt`, { defaultValue: photo.alt }),
+    caption: t(`about.gallery.${photo.id}.caption`, {
+      defaultValue: photo.caption,
+    }),
+  }));
+
+  /**
+   * Render one grid row's photos as buttons opening the lightbox
+   *
+   * @param {'top'|'bottom'} row - Grid row
+   * @returns {JSX.Element[]} Grid cells
+   */
+  const renderRow = row =>
+    images.map((photo, photoIndex) =>
+      photo.row !== row ? null : (
+        <div key={photo.id} className={photo.span}>
+          <button
+            type="button"
+            className="gallery-thumb"
+            onClick={() => open(photoIndex)}
+            aria-label={t('about.openPhoto', { alt: photo.alt })}
+          >
+            <span className="noisy" aria-hidden="true" />
+            <img
+              ref={element => {
+                thumbnailRefs.current[photo.id] = element;
+              }}
+              src={photo.src}
+              alt={photo.alt}
+            />
+          </button>
+        </div>
+      )
+    );
+
+  // Title words slide up, then the image grid fades in (starting 0.5s
+  // before the words finish); reduced motion fades everything in place
+  useSectionReveal({
+    scope: sectionRef,
+    reducedTargets: 'h2, .top-grid div, .bottom-grid div',
+    build: timeline =>
+      timeline
+        .add(wordReveal('h2'))
+        .add(staggerFade('.top-grid div, .bottom-grid div'), '-=0.5'),
+    dependencies: [copyKey],
   });
 
   return (
-    <div id="about">
+    <div id="about" ref={sectionRef}>
       {/* Main content section with responsive padding */}
       <div className="mb-16 md:px-0 px-5">
         <div className="content">
           {/* Primary content area with title and brand messaging */}
           <div className="md:col-span-8">
-            <p className="badge">Best Cocktails</p>
-            <h2>
-              Where every detail matters <span className="text-white">-</span>
-              from muddle to garnish
+            <p className="badge">{t('about.badge')}</p>
+            <h2 key={copyKey}>
+              {headingStart} <span className="text-white">-</span>{' '}
+              {headingEnd}
             </h2>
           </div>
 
           {/* Secondary content with description and social proof */}
           <div className="sub-content">
-            <p>
-              Every cocktail we serve is a reflection of our obsession with
-              detail — from the first muddle to the final garnish. That care is
-              what turns a simple drink into something truly memorable.
-            </p>
+            <p>{t('about.body')}</p>
 
             {/* Customer rating and social proof display */}
             <div>
-              <p className="md:text-3xl text-xl font-bold">
-                <span>4.5</span>/5
-              </p>
-              <p className="text-sm text-white-100">
-                More than +12000 customers
+              <p className="score md:text-3xl text-xl font-bold">
+                <span>{formatRating(summary.value, tag)}</span>/{summary.best}
               </p>
+
+              {/* Newest reviewers, overlapping */}
+              {stacked.length > 0 && (
+                <div className="avatars" aria-hidden="true">
+                  {stacked.map(review => (
+                    <img key={review.id} src={review.avatar} alt="" />
+                  ))}
+                  {summary.count > stacked.length && (
+                    <span className="more">
+                      +{summary.count - stacked.length}
+                    </span>
+                  )}
+                </div>
+              )}
+
+              <a
+                href="#reviews"
+                className="text-sm text-white-100"
+                onClick={event => {
+                  event.preventDefault();
+                  scrollToSection('reviews', { immediate: reduceMotion });
+                }}
+              >
+                {t('about.reviews', { count: summary.count })}
+              </a>
             </div>
           </div>
         </div>
       </div>
 
       {/* Top row of image grid - responsive 3-6-3 layout */}
-      <div className="top-grid">
-        <div className="md:col-span-3">
-          <div className="noisy" />
-          <img src="/images/abt1.png" alt="Bar interior showcasing elegant atmosphere" />
-        </div>
-
-        <div className="md:col-span-6">
-          <div className="noisy" />
-          <img src="/images/abt2.png" alt="Master bartender crafting signature cocktail" />
-        </div>
-
-        <div className="md:col-span-3">
-          <div className="noisy" />
-          <img src="/images/abt5.png" alt="Premium ingredients and garnish preparation" />
-        </div>
-      </div>
+      <div className="top-grid">{renderRow('top')}</div>
 
       {/* Bottom row of image grid - responsive 8-4 layout */}
-      <div className="bottom-grid">
-        <div className="md:col-span-8">
-          <div className="noisy" />
-          <img src="/images/abt3.png" alt="Artfully presented cocktails on bar counter" />
-        </div>
+      <div className="bottom-grid">{renderRow('bottom')}</div>
 
-        <div className="md:col-span-4">
-          <div className="noisy" />
-          <img src="/images/abt4.png" alt="Close-up of cocktail garnish and presentation details" />
-        </div>
-      </div>
+      <Lightbox
+        images={images}
+        index={index}
+        onNavigate={navigate}
+        onClose={close}
+        getThumbnail={photoIndex =>
+          thumbnailRefs.current[aboutGallery[photoIndex].id]
+        }
+      />
     </div>
   );
 };
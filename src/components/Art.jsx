@@ -1,7 +1,21 @@
+import { useRef } from 'react';
 import gsap from 'gsap';
-import { useMediaQuery } from 'react-responsive';
 import { useGSAP } from '@gsap/react';
-import { goodLists, featureLists } from '../../constants/index.js';
+import useMotion from '../hooks/useMotion';
+import useLocale from '../hooks/useLocale';
+import { matchBreakpoints } from '../animations/breakpoints';
+import { motionTokens } from '../../constants/index.js';
+
+// Shared timing for the reveal
+const { duration, ease } = motionTokens;
+
+// Where the pinned reveal starts per breakpoint: smaller screens start a
+// little below the top so the heading isn't hidden under the Navbar
+const PIN_STARTS = {
+  mobile: 'top 20%',
+  tablet: 'top 10%',
+  desktop: 'top top',
+};
 
 /**
  * Art Component
@@ -14,9 +28,11 @@ import { goodLists, featureLists } from '../../constants/index.js';
  * - Scroll-triggered mask animation that reveals a cocktail image
  * - Staggered fade-out of initial content elements
  * - Dynamic image scaling and mask positioning effects
- * - Responsive animation timing for mobile and desktop
- * - Feature lists imported from constants for easy maintenance
+ * - Mobile, tablet and desktop pin positions via gsap.matchMedia, rebuilt
+ *   when the viewport crosses a breakpoint
+ * - Feature lists and copy from the active language's message catalog
  * - Pinned section during animation for enhanced visual impact
+ * - Reduced-motion mode shows the revealed image without pinning or zoom
  *
  * Animation Sequence:
  * 1. Fade out feature lists and title text
@@ -26,66 +42,91 @@ import { goodLists, featureLists } from '../../constants/index.js';
  * Dependencies:
  * - gsap: Core animation library with ScrollTrigger
  * - @gsap/react: React hooks for GSAP integration
- * - react-responsive: Media query hook for responsive behavior
- * - ../../constants: Feature lists data
+ * - ../animations/breakpoints: Breakpoint-aware setup (gsap.matchMedia)
+ * - ../hooks/useLocale: Translated feature lists and copy
  *
  * @returns {JSX.Element} The art section with mask reveal animation
  */
 const Art = () => {
-  // Responsive breakpoint detection for mobile-specific scroll triggers
-  const isMobile = useMediaQuery({ maxWidth: 767 });
+  // Section element; animations are scoped to it
+  const sectionRef = useRef();
 
-  useGSAP(() => {
-    // Responsive scroll trigger start position
-    const start = isMobile ? 'top 20%' : 'top top';
+  // Site-wide reduced-motion preference (OS setting or Navbar toggle)
+  const { reduceMotion } = useMotion();
+  const { t } = useLocale();
 
-    // Main mask reveal timeline with scroll synchronization
-    const maskTimeline = gsap.timeline({
-      scrollTrigger: {
-        trigger: '#art',
-        start,
-        end: 'bottom center',
-        scrub: 1.5, // Smooth animation tied to scroll with slight lag
-        pin: true, // Pin section during animation for cinematic effect
-      },
-    });
+  useGSAP(
+    () => {
+      // Reduced motion: jump to the final state of the reveal and only
+      // fade the overlay copy in, no pin, scrub or mask zoom
+      if (reduceMotion) {
+        gsap.set('.will-fade', { opacity: 0 });
+        gsap.set('.masked-img', { maskPosition: 'center', maskSize: '400%' });
+        gsap.to('#masked-content', {
+          opacity: 1,
+          duration: duration.reduced,
+          ease: ease.reduced,
+          scrollTrigger: {
+            trigger: sectionRef.current,
+            start: 'top center',
+          },
+        });
+        return;
+      }
 
-    // Three-phase animation sequence
-    maskTimeline
-      // Phase 1: Fade out initial content with stagger
-      .to('.will-fade', {
-        opacity: 0,
-        stagger: 0.2, // Sequential fade for visual flow
-        ease: 'power1.inOut',
-      })
-      // Phase 2: Reveal and scale the masked cocktail image
-      .to('.masked-img', {
-        scale: 1.3, // Zoom in for dramatic effect
-        maskPosition: 'center', // Center the mask reveal
-        maskSize: '400%', // Expand mask to reveal full image
-        duration: 1,
-        ease: 'power1.inOut',
-      })
-      // Phase 3: Fade in the final overlay content
-      .to('#masked-content', {
-        opacity: 1,
-        duration: 1,
-        ease: 'power1.inOut',
+      // Torn down and rebuilt (pin included) when the viewport crosses a
+      // breakpoint, so the start position always matches the layout
+      matchBreakpoints(breakpoint => {
+        // Main mask reveal timeline with scroll synchronization
+        const maskTimeline = gsap.timeline({
+          scrollTrigger: {
+            trigger: sectionRef.current,
+            start: PIN_STARTS[breakpoint],
+            end: 'bottom center',
+            scrub: 1.5, // Smooth animation tied to scroll with slight lag
+            pin: true, // Pin section during animation for cinematic effect
+          },
+        });
+
+        // Three-phase animation sequence
+        maskTimeline
+          // Phase 1: Fade out initial content with stagger
+          .to('.will-fade', {
+            opacity: 0,
+            stagger: 0.2, // Sequential fade for visual flow
+            ease: ease.fade,
+          })
+          // Phase 2: Reveal and scale the masked cocktail image
+          .to('.masked-img', {
+            scale: 1.3, // Zoom in for dramatic effect
+            maskPosition: 'center', // Center the mask reveal
+            maskSize: '400%', // Expand mask to reveal full image
+            duration: duration.base,
+            ease: ease.fade,
+          })
+          // Phase 3: Fade in the final overlay content
+          .to('#masked-content', {
+            opacity: 1,
+            duration: duration.base,
+            ease: ease.fade,
+          });
       });
-  });
+    },
+    { scope: sectionRef, dependencies: [reduceMotion], revertOnUpdate: true }
+  );
 
   return (
-    <div id="art">
+    <div ref={sectionRef} id="art">
       <div className="container mx-auto h-full pt-20">
         {/* Section title - will fade out during animation */}
-        <h2 className="will-fade">The ART</h2>
+        <h2 className="will-fade">{t('art.heading')}</h2>
 
         <div className="content">
-          {/* Left feature list - imported from constants */}
+          {/* Left feature list - from the message catalog */}
           <ul className="space-y-4 will-fade">
-            {goodLists.map((feature, index) => (
+            {t('art.goodList').map((feature, index) => (
               <li key={index} className="flex items-center gap-2">
-                <img src="/images/check.png" alt="Checkmark icon" />
+                <img src="/images/check.png" alt={t('art.checkAlt')} />
                 <p>{feature}</p>
               </li>
             ))}
@@ -95,16 +136,16 @@ const Art = () => {
           <div className="cocktail-img">
             <img
               src="/images/under-img.jpg"
-              alt="Artfully crafted cocktail with garnish"
+              alt={t('art.imageAlt')}
               className="abs-center masked-img size-full object-contain"
             />
           </div>
 
-          {/* Right feature list - imported from constants */}
+          {/* Right feature list - from the message catalog */}
           <ul className="space-y-4 will-fade">
-            {featureLists.map((feature, index) => (
+            {t('art.featureList').map((feature, index) => (
               <li key={index} className="flex items-center justify-start gap-2">
-                <img src="/images/check.png" alt="Checkmark icon" />
+                <img src="/images/check.png" alt={t('art.checkAlt')} />
                 <p className="md:w-fit w-60">{feature}</p>
               </li>
             ))}
@@ -112,13 +153,10 @@ const Art = () => {
         </div>
 
         <div className="masked-container">
-          <h2 className="will-fade">Sip-Worthy Perfection</h2>
+          <h2 className="will-fade">{t('art.maskedHeading')}</h2>
           <div id="masked-content">
-            <h3>Made with Craft, Poured with Passion</h3>
-            <p>
-              This isn’t just a drink. It’s a carefully crafted moment made just
-              for you.
-            </p>
+            <h3>{t('art.maskedTitle')}</h3>
+            <p>{t('art.maskedBody')}</p>
           </div>
         </div>
       </div>
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Slide-out order-ahead drawer: basket, totals and pickup checkout
+ */
+
+import { useMemo, useRef, useState } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import { getDrinkBySlug } from '../../constants/catalog.js';
+import { motionTokens, ordering } from '../../constants/index.js';
+import useCart from '../hooks/useCart';
+import useMotion from '../hooks/useMotion';
+import useLocale from '../hooks/useLocale';
+import useFocusTrap from '../hooks/useFocusTrap';
+import useScrollLock from '../hooks/useScrollLock';
+import formatPrice from '../utils/formatPrice';
+import { formatPickup, pickupSlots } from '../services/orders';
+import CheckoutForm from './CheckoutForm';
+
+const { duration, ease } = motionTokens;
+
+/**
+ * CartDrawer Component
+ *
+ * Features:
+ * - Slides in from the right over a dimmed backdrop (GSAP); plain fade in
+ *   reduced-motion mode
+ * - Quantity stepper and remove button per drink, capped at
+ *   `ordering.maxQuantity`
+ * - Subtotal, tax and total priced from the catalog, with running specials
+ * - Pickup checkout (CheckoutForm) with slots refreshed on every open
+ * - Order confirmation once the backend accepts the order; the basket is
+ *   emptied
+ * - Dialog semantics: focus trapped inside, Escape or the backdrop closes it,
+ *   page scroll locked, `inert` while closed
+ * - Polite announcement whenever a drink is added from the page
+ *
+ * @component
+ * @returns {JSX.Element} The drawer, its backdrop and the announcement region
+ */
+const CartDrawer = () => {
+  const backdropRef = useRef();
+  const panelRef = useRef();
+  const confirmationRef = useRef();
+  const { cart, lastAdded, isOpen, setQuantity, remove, clear, closeCart } =
+    useCart();
+  const { reduceMotion } = useMotion();
+  const { tag, t } = useLocale();
+
+  // Confirmed order, shown until the guest starts another one
+  const [order, setOrder] = useState(null);
+
+  // Pickup times offered, recomputed each time the drawer opens
+  const slots = useMemo(() => (isOpen ? pickupSlots() : []), [isOpen]);
+
+  useFocusTrap(panelRef, isOpen, { onEscape: closeCart });
+  useScrollLock(isOpen, panelRef);
+
+  /**
+   * Open / Close Animation
+   *
+   * Panel slides in from the right while the backdrop fades; reduced-motion
+   * mode fades both.
+   */
+  useGSAP(
+    () => {
+      const panel = panelRef.current;
+      const backdrop = backdropRef.current;
+
+      if (!isOpen) {
+        gsap.to([panel, backdrop], {
+          autoAlpha: 0,
+          xPercent: index => (index === 0 && !reduceMotion ? 100 : 0),
+          duration: duration.fast,
+          ease: 'power3.in',
+          overwrite: true,
+        });
+        return;
+      }
+
+      gsap.to(backdrop, {
+        autoAlpha: 1,
+        duration: duration.fast,
+        ease: ease.reduced,
+        overwrite: true,
+      });
+      gsap.fromTo(
+        panel,
+        { autoAlpha: reduceMotion ? 0 : 1, xPercent: reduceMotion ? 0 : 100 },
+        {
+          autoAlpha: 1,
+          xPercent: 0,
+          duration: reduceMotion ? duration.fast : duration.reduced,
+          ease: reduceMotion ? ease.reduced : 'expo.out',
+          overwrite: true,
+        }
+      );
+    },
+    { dependencies: [isOpen, reduceMotion] }
+  );
+
+  // Confirmation card pops in once the order is placed
+  useGSAP(
+    () => {
+      if (!order) return;
+
+      gsap.from(confirmationRef.current, {
+        opacity: 0,
+        y: reduceMotion ? 0 : 40,
+        duration: duration.reduced,
+        ease: ease.reveal,
+      });
+    },
+    { dependencies: [order], revertOnUpdate: true }
+  );
+
+  const handlePlaced = placed => {
+    setOrder(placed);
+    clear();
+  };
+
+  const addedDrink = lastAdded && getDrinkBySlug(lastAdded.slug);
+  const taxRate = new Intl.NumberFormat(tag, {
+    style: 'percent',
+    maximumFractionDigits: 2,
+  }).format(ordering.taxRate);
+
+  return (
+    <>
+      {/* Outside the inert drawer so additions are announced while closed */}
+      <p className="sr-only" role="status">
+        {addedDrink && (
+          <span key={lastAdded.id}>
+            {t('cart.added', { name: addedDrink.name })}
+          </span>
+        )}
+      </p>
+
+      <div
+        ref={backdropRef}
+        className="cart-backdrop"
+        aria-hidden="true"
+        onClick={closeCart}
+      />
+
+      <aside
+        ref={panelRef}
+        id="cart-drawer"
+        className="cart-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="cart-title"
+        inert={!isOpen}
+      >
+        <header>
+          <h2 id="cart-title">{t('cart.title')}</h2>
+          <button
+            type="button"
+            className="cart-close"
+            onClick={closeCart}
+            aria-label={t('cart.close')}
+          >
+            <span aria-hidden="true">×</span>
+          </button>
+        </header>
+
+        {order ? (
+          <section
+            ref={confirmationRef}
+            className="order-confirmation"
+            role="status"
+          >
+            <h3>{t('checkout.confirmed', { name: order.name })}</h3>
+            <p>
+              {t('checkout.summary', {
+                when: formatPickup(order.pickup, t, tag),
+                total: formatPrice(order.total, tag),
+              })}
+            </p>
+            <p>{t('checkout.confirmation', { id: order.id })}</p>
+            <button type="button" onClick={() => setOrder(null)}>
+              {t('checkout.newOrder')}
+            </button>
+          </section>
+        ) : cart.items.length === 0 ? (
+          <p className="cart-empty">{t('cart.empty')}</p>
+        ) : (
+          <>
+            <ul className="cart-lines">
+              {cart.items.map(({ slug, quantity, drink, price, total }) => (
+                <li key={slug}>
+                  <div>
+                    <h3>{drink.name}</h3>
+                    <p>{t('cart.each', { price: formatPrice(price, tag) })}</p>
+                  </div>
+
+                  <div className="stepper">
+                    <button
+                      type="button"
+                      onClick={() => setQuantity(slug, quantity - 1)}
+                      aria-label={t('cart.decrease', { name: drink.name })}
+                    >
+                      −
+                    </button>
+                    <input
+                      type="number"
+                      inputMode="numeric"
+                      min={0}
+                      max={ordering.maxQuantity}
+                      value={quantity}
+                      onChange={event =>
+                        setQuantity(slug, Number(event.target.value))
+                      }
+                      aria-label={t('cart.quantity', { name: drink.name })}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setQuantity(slug, quantity + 1)}
+                      disabled={quantity >= ordering.maxQuantity}
+                      aria-label={t('cart.increase', { name: drink.name })}
+                    >
+                      +
+                    </button>
+                  </div>
+
+                  <span className="line-total">{formatPrice(total, tag)}</span>
+
+                  <button
+                    type="button"
+                    className="remove"
+                    onClick={() => remove(slug)}
+                    aria-label={t('cart.remove', { name: drink.name })}
+                  >
+                    <span aria-hidden="true">×</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <dl className="cart-totals">
+              <dt>{t('cart.subtotal')}</dt>
+              <dd>{formatPrice(cart.subtotal, tag)}</dd>
+              <dt>{t('cart.tax', { rate: taxRate })}</dt>
+              <dd>{formatPrice(cart.tax, tag)}</dd>
+              <dt>{t('cart.total')}</dt>
+              <dd>{formatPrice(cart.total, tag)}</dd>
+            </dl>
+
+            <CheckoutForm slots={slots} onPlaced={handlePlaced} />
+          </>
+        )}
+      </aside>
+    </>
+  );
+};
+
+export default CartDrawer;
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Search box and filter chips for the drinks catalog
+ * Drives the Cocktails lists and the Menu tabs through CatalogFilterProvider
+ */
+
+import { useMemo } from 'react';
+import useLocale from '../hooks/useLocale';
+import useCatalogFilters from '../hooks/useCatalogFilters';
+import formatPrice from '../utils/formatPrice';
+import { DRINK_TYPES } from '../utils/catalogSearch';
+import Chip from './Chip';
+
+/**
+ * CatalogFilters Component
+ *
+ * Features:
+ * - Fuzzy search over drink names and ingredients (typos and accents
+ *   forgiven)
+ * - Chips for alcohol, country of origin, spirit base and price range; chips
+ *   in a group widen the match, groups narrow it
+ * - Clear button while anything is active
+ * - Result count announced to screen readers
+ * - Country names, spirit bases and prices in the active language
+ *
+ * The state lives in CatalogFilterProvider (and the URL), so the Cocktails
+ * lists and the Menu tabs stay in step.
+ *
+ * @component
+ * @returns {JSX.Element} The search form
+ */
+const CatalogFilters = () => {
+  const { tag, t } = useLocale();
+  const {
+    filters,
+    matches,
+    isFiltering,
+    options,
+    updateFilters,
+    toggleFilter,
+    clearFilters,
+  } = useCatalogFilters();
+
+  const regionNames = useMemo(
+    () => new Intl.DisplayNames([tag], { type: 'region' }),
+    [tag]
+  );
+
+  /**
+   * Localized label for a price range ('Under $15', '$15–$30', '$30+')
+   *
+   * @param {{ min?: number, max?: number }} range - Configured range
+   * @returns {string} Chip label
+   */
+  const priceLabel = ({ min, max }) => {
+    const format = amount =>
+      formatPrice({ amount, currency: options.currency }, tag);
+
+    if (min === undefined) return t('filters.priceUnder', { max: format(max) });
+    if (max === undefined) return t('filters.priceOver', { min: format(min) });
+    return t('filters.priceBetween', { min: format(min), max: format(max) });
+  };
+
+  return (
+    <form
+      className="catalog-filters"
+      role="search"
+      aria-label={t('filters.label')}
+      onSubmit={event => event.preventDefault()}
+    >
+      <label className="search">
+        <span className="sr-only">{t('filters.search')}</span>
+        <input
+          type="search"
+          value={filters.query}
+          onChange={event => updateFilters({ query: event.target.value })}
+          placeholder={t('filters.searchPlaceholder')}
+          autoComplete="off"
+          spellCheck={false}
+        />
+      </label>
+
+      <div className="chip-groups">
+        <fieldset>
+          <legend>{t('filters.type')}</legend>
+          {DRINK_TYPES.map(type => (
+            <Chip
+              key={type}
+              pressed={filters.type === type}
+              onToggle={() => updateFilters({ type })}
+            >
+              {t(`filters.types.${type}`)}
+            </Chip>
+          ))}
+        </fieldset>
+
+        <fieldset>
+          <legend>{t('filters.country')}</legend>
+          {options.countries.map(country => (
+            <Chip
+              key={country}
+              pressed={filters.countries.includes(country)}
+              onToggle={() => toggleFilter('countries', country)}
+            >
+              {regionNames.of(country)}
+            </Chip>
+          ))}
+        </fieldset>
+
+        <fieldset>
+          <legend>{t('filters.base')}</legend>
+          {options.bases.map(base => (
+            <Chip
+              key={base}
+              pressed={filters.bases.includes(base)}
+              onToggle={() => toggleFilter('bases', base)}
+            >
+              {t(`filters.bases.${base}`, { defaultValue: base })}
+            </Chip>
+          ))}
+        </fieldset>
+
+        <fieldset>
+          <legend>{t('filters.price')}</legend>
+          {options.priceRanges.map(range => (
+            <Chip
+              key={range.id}
+              pressed={filters.price === range.id}
+              onToggle={() =>
+                updateFilters({
+                  price: filters.price === range.id ? null : range.id,
+                })
+              }
+            >
+              {priceLabel(range)}
+            </Chip>
+          ))}
+        </fieldset>
+      </div>
+
+      {isFiltering && (
+        <button type="button" className="clear" onClick={clearFilters}>
+          {t('filters.clear')}
+        </button>
+      )}
+
+      <p className="sr-only" role="status">
+        {isFiltering && t('filters.results', { count: matches.size })}
+      </p>
+    </form>
+  );
+};
+
+export default CatalogFilters;
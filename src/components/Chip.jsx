@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Toggle chip shared by the filter and dietary preference panels
+ */
+
+/**
+ * Chip Component
+ *
+ * Toggle button for a single filter or preference value.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.pressed - Whether the value is active
+ * @param {() => void} props.onToggle - Click handler
+ * @param {React.ReactNode} props.children - Chip label
+ * @returns {JSX.Element} The chip button
+ */
+const Chip = ({ pressed, onToggle, children }) => (
+  <button
+    type="button"
+    className="chip"
+    aria-pressed={pressed}
+    onClick={onToggle}
+  >
+    {children}
+  </button>
+);
+
+export default Chip;
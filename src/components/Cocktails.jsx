@@ -3,9 +3,21 @@
  * Features dual lists of cocktails and mocktails with decorative leaf animations
  */
 
+import { useRef } from 'react';
 import { useGSAP } from '@gsap/react';
-import gsap from 'gsap';
-import { cocktailLists, mockTailLists } from '../../constants/index.js';
+import { popularCocktails, lovedMocktails } from '../../constants/catalog.js';
+import useMotion from '../hooks/useMotion';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+import useCart from '../hooks/useCart';
+import useCatalogFilters from '../hooks/useCatalogFilters';
+import useFilterFlip from '../hooks/useFilterFlip';
+import { parallaxPair } from '../animations/presets';
+import CatalogFilters from './CatalogFilters';
+import DietaryBadges from './DietaryBadges';
+import DietaryPreferences from './DietaryPreferences';
+import PriceTag from './PriceTag';
+import { isSuitable } from '../utils/dietary';
 
 /**
  * Cocktails Component
@@ -13,17 +25,26 @@ import { cocktailLists, mockTailLists } from '../../constants/index.js';
  * A showcase section featuring:
  * - Dual column layout for cocktails and mocktails
  * - Parallax leaf animations triggered by scroll
- * - Dynamic data rendering from external constants
+ * - Dynamic data rendering from the drinks catalog
  * - Responsive design with mobile-friendly layouts
  * - Decorative elements that enhance visual appeal
  * - Smooth scroll-triggered animation effects
+ * - Leaves stay in their resting position in reduced-motion mode
+ * - Translated headings and locale-formatted prices; running specials show
+ *   the catalog price struck through, the special price and a countdown
+ * - Add button on every drink for the order-ahead cart
+ * - Search box and filter chips; drinks reorder by relevance and drop out
+ *   with a GSAP Flip transition
+ * - Allergen and diet badges on every drink; drinks that don't suit the
+ *   guest's dietary preferences are flagged, or hidden like filtered ones
  *
  * @component
  * @returns {JSX.Element} The rendered cocktails section with animated decorations
  *
  *
- * @requires gsap - For parallax animations and ScrollTrigger
- * @requires ../../constants - For cocktailLists and mockTailLists data
+ * @requires ../animations/presets - For the parallaxPair leaf animation
+ * @requires ../hooks/useFilterFlip - For the Flip transition between filter states
+ * @requires ../../constants/catalog - For popular cocktails and loved mocktails
  */
 const Cocktails = () => {
   /**
@@ -32,82 +53,143 @@ const Cocktails = () => {
    * Creates scroll-triggered parallax effects for decorative leaf elements.
    * Both leaves animate from off-screen positions to create a dynamic
    * entrance effect as the user scrolls through the cocktails section.
+   * Skipped entirely when reduced motion is active.
    */
-  useGSAP(() => {
-    // Create timeline with scroll-triggered parallax animation
-    const parallaxTimeline = gsap.timeline({
-      scrollTrigger: {
-        trigger: '#cocktails', // Element that triggers the animation
-        start: 'top 30%', // Start when section top hits 30% of viewport
-        end: 'bottom 80%', // End when section bottom hits 80% of viewport
-        scrub: true, // Smooth animation tied to scroll position
-      },
-    });
+  const sectionRef = useRef(); // Section element; animations are scoped to it
+  const { reduceMotion } = useMotion();
+  const { t } = useLocale();
+  const { assets } = useTheme(); // Leaf images for the active theme
+  const { add } = useCart();
 
-    // Animate decorative leaves with parallax effect
-    parallaxTimeline
-      .from('#c-left-leaf', {
-        x: -100, // Start 100px to the left
-        y: 100, // Start 100px below final position
-      })
-      .from('#c-right-leaf', {
-        x: 100, // Start 100px to the right
-        y: 100, // Start 100px below final position
+  const { matches, isFiltering, preferences } = useCatalogFilters();
+
+  // List rows glide to their new order as the filters change
+  useFilterFlip(sectionRef, '.list li');
+
+  /**
+   * Render one drinks list. Every drink stays mounted, hidden when filtered
+   * out, so Flip can animate it leaving; while filtering, the best matches
+   * come first. Drinks unsuitable for the guest are dimmed.
+   *
+   * @param {import('../../constants/catalogSchema.js').CatalogItem[]} drinks -
+   *   Drinks in catalog order
+   * @param {string} infoClassName - Classes for the name/origin block
+   * @returns {JSX.Element} The list and, when nothing matches, a notice
+   */
+  const renderList = (drinks, infoClassName) => {
+    const ordered = isFiltering
+      ? [...drinks].sort(
+          (a, b) =>
+            (matches.get(a.slug) ?? Infinity) -
+            (matches.get(b.slug) ?? Infinity)
+        )
+      : drinks;
+
+    return (
+      <>
+        <ul>
+          {ordered.map(drink => {
+            const { slug, name, country, serving } = drink;
+            return (
+              <li
+                key={slug}
+                className={
+                  !matches.has(slug)
+                    ? 'hidden'
+                    : isSuitable(drink, preferences)
+                      ? undefined
+                      : 'unsuitable'
+                }
+              >
+                <div className={infoClassName}>
+                  <h3>{name}</h3>
+                  <p>
+                    {country} | {serving}
+                  </p>
+                  <DietaryBadges drink={drink} />
+                </div>
+                <span>
+                  - <PriceTag drink={drink} />
+                </span>
+                <button
+                  type="button"
+                  className="add-to-cart"
+                  onClick={() => add(slug)}
+                  aria-label={t('cart.addItem', { name })}
+                >
+                  {t('cart.add')}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+        {!drinks.some(drink => matches.has(drink.slug)) && (
+          <p className="no-matches">{t('filters.noMatches')}</p>
+        )}
+      </>
+    );
+  };
+
+  useGSAP(
+    () => {
+      if (reduceMotion) return;
+
+      // Leaves slide in from 100px out and below, left one first, as the
+      // section scrolls through
+      parallaxPair('#c-left-leaf', '#c-right-leaf', {
+        x: 100,
+        y: 100,
+        from: true,
+        sequence: true,
+        timeline: {
+          scrollTrigger: {
+            trigger: sectionRef.current, // Element that triggers the animation
+            start: 'top 30%', // Start when section top hits 30% of viewport
+            end: 'bottom 80%', // End when section bottom hits 80% of viewport
+            scrub: true, // Smooth animation tied to scroll position
+          },
+        },
       });
-  });
+    },
+    { scope: sectionRef, dependencies: [reduceMotion], revertOnUpdate: true }
+  );
 
   return (
-    <section id="cocktails" className="noisy">
+    <section ref={sectionRef} id="cocktails" className="noisy">
       {/* Decorative Elements for Parallax Animation */}
       <img
-        src="/images/cocktail-left-leaf.png"
-        alt="Decorative left leaf element"
+        src={assets.cocktailLeftLeaf}
+        alt={t('common.leftLeafAlt')}
         id="c-left-leaf"
+        className="theme-asset"
       />
       <img
-        src="/images/cocktail-right-leaf.png"
-        alt="Decorative right leaf element"
+        src={assets.cocktailRightLeaf}
+        alt={t('common.rightLeafAlt')}
         id="c-right-leaf"
+        className="theme-asset"
       />
 
+      {/* Search, filters and dietary preferences, shared with the Menu tabs */}
+      <div className="filters">
+        <CatalogFilters />
+        <DietaryPreferences />
+      </div>
+
       {/* Main Content Container */}
       <div className="list">
         {/* Popular Cocktails Section */}
         <div className="popular">
-          <h2>Most popular cocktails:</h2>
+          <h2>{t('cocktails.popularHeading')}</h2>
 
-          <ul>
-            {cocktailLists.map(({ name, country, detail, price }) => (
-              <li key={name}>
-                <div className="md:me-28">
-                  <h3>{name}</h3>
-                  <p>
-                    {country} | {detail}
-                  </p>
-                </div>
-                <span>- {price}</span>
-              </li>
-            ))}
-          </ul>
+          {renderList(popularCocktails, 'md:me-28')}
         </div>
 
         {/* Most Loved Mocktails Section */}
         <div className="loved">
-          <h2>Most loved mocktails:</h2>
+          <h2>{t('cocktails.lovedHeading')}</h2>
 
-          <ul>
-            {mockTailLists.map(({ name, country, detail, price }) => (
-              <li key={name}>
-                <div className="me-28">
-                  <h3>{name}</h3>
-                  <p>
-                    {country} | {detail}
-                  </p>
-                </div>
-                <span>- {price}</span>
-              </li>
-            ))}
-          </ul>
+          {renderList(lovedMocktails, 'me-28')}
         </div>
       </div>
     </section>
@@ -3,10 +3,33 @@
  * Features contact information, hours, social links, and animated leaf decorations
  */
 
-import { openingHours, socials } from '../../constants/index.js';
-import { useGSAP } from '@gsap/react';
-import { SplitText } from 'gsap/all';
-import gsap from 'gsap';
+import { useRef } from 'react';
+import { businessProfile } from '../../constants/index.js';
+import useSectionReveal from '../hooks/useSectionReveal';
+import useOpenStatus from '../hooks/useOpenStatus';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+import {
+  formatTimeOfDay,
+  formatWeekday,
+  groupWeeklyHours,
+} from '../utils/openingHours';
+import { formatAddress, vCardHref } from '../utils/businessProfile';
+import { parallaxPair, staggerFade, wordReveal } from '../animations/presets';
+import ReservationForm from './ReservationForm';
+import OpenStatusBadge from './OpenStatusBadge';
+import CopyButton from './CopyButton';
+
+const { name, address, phone, email, hours, socials } = businessProfile;
+
+// Weekly hours grouped into display rows ('Mon–Thu', 'Fri', ...)
+const hourRows = groupWeeklyHours(hours);
+
+// Single-line address, shown and copied as-is
+const addressLine = formatAddress(address);
+
+// Contact card download generated from the same profile
+const vCardFileName = `${name.toLowerCase().replace(/\s+/g, '-')}.vcf`;
 
 /**
  * Contact Component
@@ -15,18 +38,24 @@ import gsap from 'gsap';
  * - Word-by-word title animation using GSAP SplitText
  * - Sequential content reveals with staggered timing
  * - Animated decorative leaf elements
- * - Complete contact information and business details
- * - Dynamic opening hours from external constants
+ * - Business details rendered entirely from the businessProfile config:
+ *   tel:/mailto: links, "copy address" and a downloadable vCard
+ * - Opening hours rendered from the structured hours model, with a
+ *   live "Open now" badge and today's row highlighted (updates without reload)
  * - Social media links with accessibility features
+ * - "Book a table" reservation form validated against opening hours
  * - Responsive design for all screen sizes
+ * - Plain fade-in without splitting or leaf movement in reduced-motion mode
+ * - Translated copy and locale-formatted hours; the title is re-split when
+ *   the copy changes (language switch or CMS update)
  *
  * @component
  * @returns {JSX.Element} The rendered contact/footer section with animations
  *
  *
- * @requires gsap - For animations and ScrollTrigger
- * @requires gsap/SplitText - For text splitting animations (GSAP Club plugin)
- * @requires ../../constants - For openingHours and socials data
+ * @requires ../hooks/useSectionReveal - For the scroll-triggered entrance
+ * @requires ../animations/presets - For the word reveal, fades and leaf drift
+ * @requires ../../constants - For the businessProfile (address, contact, hours, socials)
  */
 const Contact = () => {
   /**
@@ -39,96 +68,108 @@ const Contact = () => {
    *
    * All animations are synchronized to create a cohesive entrance effect
    */
-  useGSAP(() => {
-    // Split main title into individual words for granular animation
-    const titleSplit = SplitText.create('#contact h2', { type: 'words' });
-
-    // Create scroll-triggered timeline for coordinated animations
-    const timeline = gsap.timeline({
-      scrollTrigger: {
-        trigger: '#contact', // Element that triggers the animation
-        start: 'top center', // Start when section top hits viewport center
-      },
-      ease: 'power1.inOut', // Consistent easing for all animations
-    });
-
-    // Sequence animations for smooth visual flow
-    timeline
-      // Animate title words with upward reveal effect
-      .from(titleSplit.words, {
-        opacity: 0, // Start completely transparent
-        yPercent: 100, // Start 100% below final position
-        stagger: 0.02, // 0.02s delay between each word
-      })
-      // Animate content sections with similar reveal effect
-      .from('#contact h3, #contact p', {
-        opacity: 0, // Start transparent
-        yPercent: 100, // Start below final position
-        stagger: 0.02, // Stagger each content element
-      })
-      // Animate right decorative leaf
-      .to('#f-right-leaf', {
-        x: '50', // Move out 50px for floating effect
-        duration: 1, // 1 second animation duration
-        ease: 'power1.inOut', // Smooth easing
-      })
-      // Animate left leaf simultaneously with right leaf
-      .to(
-        '#f-left-leaf',
-        {
-          x: '-50', // Match right leaf movement
-          duration: 1, // Same duration for synchronization
-          ease: 'power1.inOut', // Consistent easing
-        },
-        '<' // Start at same time as previous animation
-      );
+  const footerRef = useRef(); // Section element; animations are scoped to it
+  const { today } = useOpenStatus(); // Bar-local weekday, for the highlight
+  const { copyKey, tag, t } = useLocale(); // Title is keyed by copy to re-split
+  const { assets } = useTheme(); // Leaf images for the active theme
+
+  // Entrance from the shared presets; reduced motion fades the content in
+  // place and the leaves stay put
+  useSectionReveal({
+    scope: footerRef,
+    reducedTargets: 'h2, h3, p',
+    build: timeline =>
+      timeline
+        // Title words, then the content blocks, slide up into place
+        .add(wordReveal('h2'))
+        .add(staggerFade('h3, p', { yPercent: 100 }))
+        // Leaves drift 50px apart together
+        .add(parallaxPair('#f-left-leaf', '#f-right-leaf', { x: 50 })),
+    dependencies: [copyKey],
   });
 
   return (
-    <footer id="contact">
+    <footer id="contact" ref={footerRef}>
       {/* Decorative Elements for Animation */}
       <img
-        src="/images/footer-right-leaf.png"
-        alt="Decorative right leaf element"
+        src={assets.footerRightLeaf}
+        alt={t('common.rightLeafAlt')}
         id="f-right-leaf"
+        className="theme-asset"
       />
       <img
-        src="/images/footer-left-leaf.png"
-        alt="Decorative left leaf element"
+        src={assets.footerLeftLeaf}
+        alt={t('common.leftLeafAlt')}
         id="f-left-leaf"
+        className="theme-asset"
       />
 
       {/* Main Content Container */}
       <div className="content">
         {/* Main Section Title - animated with SplitText */}
-        <h2>Where to Find Us</h2>
+        <h2 key={copyKey}>{t('contact.heading')}</h2>
 
         {/* Physical Location Information */}
         <div>
-          <h3>Visit Our Bar</h3>
-          <p>456, Raq Blvd. #404, Los Angeles, CA 90210</p>
+          <h3>{t('contact.visit')}</h3>
+          <address>
+            <p>{addressLine}</p>
+          </address>
+          <div className="contact-actions">
+            <CopyButton value={addressLine} label={t('contact.copyAddress')} />
+            <a
+              href={vCardHref(businessProfile, window.location.origin)}
+              download={vCardFileName}
+            >
+              {t('contact.saveContact')}
+            </a>
+          </div>
         </div>
 
         {/* Contact Information */}
         <div>
-          <h3>Contact Us</h3>
-          <p>(555) 987-6543</p>
-          <p>hello@ajrcocktail.com</p>
+          <h3>{t('contact.contactUs')}</h3>
+          <p>
+            <a href={`tel:${phone.e164}`}>{phone.display}</a>
+          </p>
+          <p>
+            <a href={`mailto:${email}`}>{email}</a>
+          </p>
         </div>
 
         {/* Business Hours - Dynamic content from constants */}
         <div>
-          <h3>Open Every Day</h3>
-          {openingHours.map(time => (
-            <p key={time.day}>
-              {time.day} : {time.time}
-            </p>
-          ))}
+          <h3>{t('contact.hours')}</h3>
+          <OpenStatusBadge />
+          {hourRows.map(row => {
+            const first = formatWeekday(row.weekdays[0], tag);
+            const last = formatWeekday(row.weekdays.at(-1), tag);
+            const isToday = row.weekdays.includes(today.weekday);
+
+            return (
+              <p
+                key={row.weekdays.join()}
+                className={isToday ? 'text-yellow' : undefined}
+                aria-current={isToday ? 'date' : undefined}
+              >
+                {row.weekdays.length > 1 ? `${first}–${last}` : first} :{' '}
+                {row.closed
+                  ? t('contact.closed')
+                  : `${formatTimeOfDay(row.open, tag)} – ${formatTimeOfDay(row.close, tag)}`}
+              </p>
+            );
+          })}
+        </div>
+
+        {/* Table Reservations - Validated against opening hours */}
+        <div>
+          <h3>{t('contact.book')}</h3>
+          <ReservationForm />
         </div>
 
         {/* Social Media Links - Dynamic with accessibility features */}
         <div>
-          <h3>Socials</h3>
+          <h3>{t('contact.socials')}</h3>
 
           <div className="flex-center gap-5">
             {socials.map(social => (
@@ -137,11 +178,11 @@ const Contact = () => {
                 href={social.url}
                 target="_blank"
                 rel="noopener noreferrer"
-                aria-label={`Visit our ${social.name} page`}
+                aria-label={t('contact.socialLabel', { name: social.name })}
               >
                 <img
                   src={social.icon}
-                  alt={`${social.name} social media icon`}
+                  alt={t('contact.socialIconAlt', { name: social.name })}
                 />
               </a>
             ))}
@@ -152,7 +193,7 @@ const Contact = () => {
       {/* Decorative Drink Image */}
       <img
         src="/images/footer-drinks.png"
-        alt="Decorative cocktail illustration"
+        alt={t('contact.drinkAlt')}
         className="drink-img"
       />
     </footer>
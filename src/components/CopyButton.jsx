@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Button that copies a text value to the clipboard with inline feedback
+ */
+
+import { useEffect, useState } from 'react';
+import useLocale from '../hooks/useLocale';
+
+// How long the "Copied" confirmation stays up (ms)
+const FEEDBACK_DURATION = 2000;
+
+/**
+ * CopyButton Component
+ *
+ * Copies `value` with the async Clipboard API and swaps its label for a
+ * short confirmation (or failure notice) announced to screen readers.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.value - Text to copy
+ * @param {string} props.label - Idle button label, e.g. 'Copy address'
+ * @returns {JSX.Element} The copy button
+ */
+const CopyButton = ({ value, label }) => {
+  const [state, setState] = useState('idle'); // 'idle' | 'copied' | 'failed'
+  const { t } = useLocale();
+
+  // Return to the idle label after showing feedback
+  useEffect(() => {
+    if (state === 'idle') return;
+
+    const timeout = window.setTimeout(
+      () => setState('idle'),
+      FEEDBACK_DURATION
+    );
+    return () => window.clearTimeout(timeout);
+  }, [state]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setState('copied');
+    } catch {
+      setState('failed');
+    }
+  };
+
+  return (
+    <button type="button" className="copy-button" onClick={copy}>
+      <span aria-live="polite">
+        {state === 'copied'
+          ? t('copy.copied')
+          : state === 'failed'
+            ? t('copy.failed')
+            : label}
+      </span>
+    </button>
+  );
+};
+
+export default CopyButton;
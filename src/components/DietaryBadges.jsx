@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Allergen and diet badges for a drink, flagged against the
+ * guest's dietary preferences
+ */
+
+import useLocale from '../hooks/useLocale';
+import useCatalogFilters from '../hooks/useCatalogFilters';
+import { dietaryConflicts } from '../utils/dietary';
+
+/**
+ * DietaryBadges Component
+ *
+ * Features:
+ * - One badge per allergen the drink contains, then one per diet it suits,
+ *   printed as a short code ('G', 'V') and read out in full ("Contains
+ *   gluten", "Vegan")
+ * - Badges that clash with the guest's preferences are highlighted, and a
+ *   note says why the drink doesn't suit them
+ * - Labelled mode spells the labels out next to the codes (recipe panel)
+ *
+ * Renders nothing for a drink with no allergens, diets or conflicts unless
+ * labelled.
+ *
+ * @component
+ * @param {Object} props
+ * @param {import('../../constants/catalogSchema.js').CatalogItem} props.drink
+ * @param {boolean} [props.labelled=false] - Show the labels, not just codes
+ * @returns {JSX.Element|null} The badges and any preference note
+ */
+const DietaryBadges = ({ drink, labelled = false }) => {
+  const { tag, t } = useLocale();
+  const { preferences } = useCatalogFilters();
+
+  const conflicts = dietaryConflicts(drink, preferences);
+  const clashes = new Set(conflicts.map(({ id }) => id));
+  const badges = [
+    ...drink.allergens.map(id => ({ kind: 'allergen', id })),
+    ...drink.dietary.map(id => ({ kind: 'dietary', id })),
+  ];
+
+  const showBadges = badges.length > 0 || labelled;
+  if (!showBadges && conflicts.length === 0) return null;
+
+  return (
+    <div className="diet-info">
+      {showBadges && (
+        <div
+          className="diet-badges"
+          role="list"
+          aria-label={t('dietary.badgesLabel')}
+        >
+          {badges.map(({ kind, id }) => (
+            <span
+              key={id}
+              role="listitem"
+              className={`diet-badge ${kind}${clashes.has(id) ? ' clash' : ''}`}
+              title={labelled ? undefined : t(`dietary.badges.${id}`)}
+            >
+              <span className="code" aria-hidden="true">
+                {t(`dietary.codes.${id}`)}
+              </span>
+              <span className={labelled ? 'label' : 'sr-only'}>
+                {t(`dietary.badges.${id}`)}
+              </span>
+            </span>
+          ))}
+          {labelled && drink.allergens.length === 0 && (
+            <span role="listitem" className="label">
+              {t('dietary.noAllergens')}
+            </span>
+          )}
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <p className="diet-flag">
+          <span aria-hidden="true">⚠ </span>
+          {t('dietary.flag', {
+            reasons: new Intl.ListFormat(tag, { type: 'conjunction' }).format(
+              conflicts.map(({ id }) => t(`dietary.conflicts.${id}`))
+            ),
+          })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default DietaryBadges;
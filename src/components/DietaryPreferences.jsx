@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Guest dietary preference panel for the drinks catalog
+ * Allergens to avoid, diets to keep and whether unsuitable drinks are flagged
+ * or hidden, kept in CatalogFilterProvider
+ */
+
+import { catalog } from '../../constants/catalog.js';
+import { ALLERGENS, DIETARY } from '../../constants/catalogSchema.js';
+import useLocale from '../hooks/useLocale';
+import useCatalogFilters from '../hooks/useCatalogFilters';
+import { PREFERENCE_MODES, hasPreferences, isSuitable } from '../utils/dietary';
+import Chip from './Chip';
+
+/**
+ * DietaryPreferences Component
+ *
+ * Features:
+ * - Collapsible panel (native <details>) whose summary counts the active
+ *   preferences
+ * - Chips for allergens to avoid and diets every drink must suit
+ * - Flag or hide unsuitable drinks: flagged ones stay listed with a note,
+ *   hidden ones drop out of the Cocktails lists and Menu tabs like filtered
+ *   drinks
+ * - How many drinks are flagged or hidden is shown and announced to screen
+ *   readers
+ *
+ * Preferences are saved to localStorage, not the URL, so a shared link never
+ * carries someone else's allergies.
+ *
+ * @component
+ * @returns {JSX.Element} The preference panel
+ */
+const DietaryPreferences = () => {
+  const { t } = useLocale();
+  const { preferences, updatePreferences, togglePreference } =
+    useCatalogFilters();
+
+  const isActive = hasPreferences(preferences);
+  const count = preferences.avoid.length + preferences.require.length;
+  const unsuitable = catalog.filter(
+    drink => !isSuitable(drink, preferences)
+  ).length;
+
+  /**
+   * Status line for the active preferences, empty when there are none
+   *
+   * @returns {string} Flagged or hidden drink count
+   */
+  const status = () => {
+    if (!isActive) return '';
+    if (unsuitable === 0) return t('dietary.allSuitable');
+    return t(
+      preferences.mode === 'hide' ? 'dietary.hidden' : 'dietary.flagged',
+      { count: unsuitable }
+    );
+  };
+
+  return (
+    <div className="dietary-preferences">
+      <details>
+        <summary>
+          {isActive
+            ? t('dietary.summaryCount', { count })
+            : t('dietary.summary')}
+        </summary>
+
+        <div className="chip-groups">
+          <fieldset>
+            <legend>{t('dietary.avoid')}</legend>
+            {ALLERGENS.map(id => (
+              <Chip
+                key={id}
+                pressed={preferences.avoid.includes(id)}
+                onToggle={() => togglePreference('avoid', id)}
+              >
+                {t(`dietary.allergens.${id}`)}
+              </Chip>
+            ))}
+          </fieldset>
+
+          <fieldset>
+            <legend>{t('dietary.require')}</legend>
+            {DIETARY.map(id => (
+              <Chip
+                key={id}
+                pressed={preferences.require.includes(id)}
+                onToggle={() => togglePreference('require', id)}
+              >
+                {t(`dietary.diets.${id}`)}
+              </Chip>
+            ))}
+          </fieldset>
+
+          <fieldset>
+            <legend>{t('dietary.mode')}</legend>
+            {PREFERENCE_MODES.map(mode => (
+              <Chip
+                key={mode}
+                pressed={preferences.mode === mode}
+                onToggle={() => updatePreferences({ mode })}
+              >
+                {t(`dietary.modes.${mode}`)}
+              </Chip>
+            ))}
+          </fieldset>
+        </div>
+
+        {isActive && (
+          <button
+            type="button"
+            className="clear"
+            onClick={() => updatePreferences({ avoid: [], require: [] })}
+          >
+            {t('dietary.clear')}
+          </button>
+        )}
+      </details>
+
+      {/* Outside <details> so it is announced while the panel is closed */}
+      <p className="status" role="status">
+        {status()}
+      </p>
+    </div>
+  );
+};
+
+export default DietaryPreferences;
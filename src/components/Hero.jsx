@@ -1,8 +1,35 @@
 import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
-import { SplitText } from 'gsap/all';
-import { useRef } from 'react';
-import { useMediaQuery } from 'react-responsive';
+import { ScrollTrigger } from 'gsap/all';
+import { useRef, useState } from 'react';
+import { heroMedia } from '../../constants/index.js';
+import useMotion from '../hooks/useMotion';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+import useFrameSequence from '../hooks/useFrameSequence';
+import { drawImageFit, syncCanvasSize } from '../utils/canvas';
+import { matchBreakpoints } from '../animations/breakpoints';
+import {
+  charReveal,
+  lineReveal,
+  parallaxPair,
+  reducedFade,
+} from '../animations/presets';
+import { scrollToSection } from '../utils/sectionScroll';
+import SpecialBanner from './SpecialBanner';
+
+// Scroll range of the pinned media scrub per breakpoint. On mobile the video
+// sits lower in the viewport and keeps scrubbing past the hero.
+const SCRUB_RANGES = {
+  mobile: { start: 'top 50%', end: '120% top' },
+  tablet: { start: 'center 70%', end: 'bottom top' },
+  desktop: { start: 'center 60%', end: 'bottom top' },
+};
+
+// 'video' scrubs the <video> element's currentTime; 'frames' draws a
+// preloaded image sequence on a canvas (smoother on browsers that seek slowly)
+const scrubWithFrames =
+  (import.meta.env.VITE_HERO_SCRUB_MODE || heroMedia.scrubMode) === 'frames';
 
 /**
  * Hero Component
@@ -13,113 +40,191 @@ import { useMediaQuery } from 'react-responsive';
  * Features:
  * - GSAP text animation with SplitText for character-by-character reveal
  * - Scroll-triggered video scrubbing synchronized with scroll position
+ * - Poster frame, WebM/MP4 sources and a loading indicator for the video;
+ *   the pinned scrub is only built once the media is ready, and a missing
+ *   video falls back to the static poster with no pin at all
+ * - Optional canvas frame-sequence scrub (`heroMedia.scrubMode: 'frames'`)
  * - Parallax leaf animations that move based on scroll
- * - Responsive behavior for mobile and desktop
+ * - Mobile, tablet and desktop scrub ranges via gsap.matchMedia, rebuilt
+ *   when the viewport crosses a breakpoint
  * - Gradient text effects applied via CSS classes
+ * - Reduced-motion mode: simple fade-in, no pinning, scrubbing or parallax
+ * - Translated copy; the split text is rebuilt when the language changes
+ * - Animated "Happy Hour now" banner while a promotion with a banner runs
  *
  * Dependencies:
  * - @gsap/react: React hooks for GSAP
- * - gsap: Animation library with SplitText plugin
- * - react-responsive: Media query hook for responsive behavior
+ * - gsap: Animation library with ScrollTrigger
+ * - ../animations/presets: Character, line and parallax presets
+ * - ../animations/breakpoints: Breakpoint-aware setup (gsap.matchMedia)
  *
  * @returns {JSX.Element} The hero section with animated content and video background
  */
 const Hero = () => {
+  // Hero section; the copy and leaf animations are scoped to it
+  const sectionRef = useRef();
+
   // Video element reference for controlling playback via GSAP
   const videoRef = useRef();
 
-  // Responsive breakpoint detection for mobile-specific animations
-  const isMobile = useMediaQuery({ maxWidth: 767 });
-
-  useGSAP(() => {
-    // Split title text into individual characters and words for animation
-    const heroSplit = new SplitText('.title', {
-      type: 'chars, words',
-    });
-
-    // Split subtitle text into lines for staggered line-by-line animation
-    const paragraphSplit = new SplitText('.subtitle', {
-      type: 'lines',
-    });
-
-    // Apply gradient CSS class to each character before animating
-    // This ensures the gradient effect is visible during the animation
-    heroSplit.chars.forEach(char => char.classList.add('text-gradient'));
-
-    // Animate title characters from bottom (yPercent: 100) with stagger
-    gsap.from(heroSplit.chars, {
-      yPercent: 100,
-      duration: 1.8,
-      ease: 'expo.out',
-      stagger: 0.06, // Delay between each character animation
-    });
-
-    // Animate subtitle lines with opacity and slide-up effect
-    gsap.from(paragraphSplit.lines, {
-      opacity: 0,
-      yPercent: 100,
-      duration: 1.8,
-      ease: 'expo.out',
-      stagger: 0.06,
-      delay: 1, // Start after title animation begins
-    });
-
-    // Parallax animation for decorative leaf elements
-    // Creates depth by moving elements at different speeds during scroll
-    gsap
-      .timeline({
-        scrollTrigger: {
-          trigger: '#hero',
-          start: 'top top',
-          end: 'bottom top',
-          scrub: true, // Smooth animation tied to scroll position
+  // Canvas the frame sequence is drawn on (frames mode only)
+  const canvasRef = useRef();
+
+  // 'loading' until the video's metadata (duration) is known, 'error' when
+  // no source can be played
+  const [videoStatus, setVideoStatus] = useState('loading');
+  const frameSequence = useFrameSequence(heroMedia.frames, scrubWithFrames);
+  const mediaStatus = scrubWithFrames ? frameSequence.status : videoStatus;
+
+  // Site-wide reduced-motion preference (OS setting or Navbar toggle)
+  const { reduceMotion } = useMotion();
+
+  // Active copy; split elements are keyed by it so React swaps in fresh
+  // nodes and useGSAP re-splits new copy (language switch or CMS update)
+  const { copyKey, t } = useLocale();
+
+  // Decorative leaves, swapped by seasonal themes
+  const { assets } = useTheme();
+
+  useGSAP(
+    () => {
+      // Reduced motion: fade the copy in and leave the video unpinned
+      if (reduceMotion) {
+        reducedFade('.title, .subtitle');
+        return;
+      }
+
+      // Title characters slide up one by one, with the gradient applied to
+      // each character so it's visible during the animation
+      charReveal('.title', {}, { charsClass: 'text-gradient' });
+
+      // Subtitle lines follow once the title is under way; lines are
+      // re-split when their width changes, keeping the animation's progress
+      lineReveal('.subtitle', { delay: 1 });
+
+      // Parallax for the decorative leaves: they drift apart vertically
+      // while the hero scrolls out, creating depth
+      parallaxPair('.left-leaf', '.right-leaf', {
+        y: 200,
+        mirrorY: true,
+        timeline: {
+          scrollTrigger: {
+            trigger: sectionRef.current,
+            start: 'top top',
+            end: 'bottom top',
+            scrub: true, // Smooth animation tied to scroll position
+          },
         },
-      })
-      .to('.right-leaf', { y: 200 }, 0) // Move right leaf down
-      .to('.left-leaf', { y: -200 }, 0) // Move left leaf up
-      .to('.arrow', { y: 100 }, 0); // Move arrow down
-
-    // Responsive scroll trigger values for video animation
-    const startValue = isMobile ? 'top 50%' : 'center 60%';
-    const endValue = isMobile ? '120% top' : 'bottom top';
-
-    // Video scrubbing timeline - advances video playback based on scroll
-    let tl = gsap.timeline({
-      scrollTrigger: {
-        trigger: 'video',
-        start: startValue,
-        end: endValue,
-        scrub: true, // Ties animation directly to scroll position
-        pin: true, // Pins the video element during animation
-      },
-    });
-
-    // Set up video timeline once metadata is loaded
-    // This ensures we know the video duration before animating
-    videoRef.current.onloadedmetadata = () => {
-      tl.to(videoRef.current, {
-        currentTime: videoRef.current.duration, // Scrub from start to end
+      }).to('.arrow', { y: 100 }, 0); // Move arrow down
+    },
+    {
+      scope: sectionRef,
+      dependencies: [reduceMotion, copyKey],
+      revertOnUpdate: true,
+    }
+  );
+
+  // Media scrub - separate from the copy animation so a late-loading video
+  // doesn't replay the title, and so nothing is pinned until there is
+  // something to scrub
+  useGSAP(
+    () => {
+      if (mediaStatus !== 'ready') return;
+
+      // The pin is created after the triggers further down the page, so
+      // re-order and re-measure them to include its spacing
+      const refreshAfterPin = () => {
+        ScrollTrigger.sort();
+        ScrollTrigger.refresh();
+      };
+
+      // Torn down and rebuilt whenever the viewport crosses a breakpoint
+      matchBreakpoints(breakpoint => {
+        const scrollTrigger = {
+          ...SCRUB_RANGES[breakpoint],
+          scrub: true, // Ties animation directly to scroll position
+          pin: true, // Pins the media element during animation
+        };
+
+        if (!scrubWithFrames) {
+          // Reduced motion leaves the video on its first frame, unpinned
+          if (reduceMotion) return;
+
+          // Video scrubbing timeline - advances playback based on scroll
+          gsap
+            .timeline({
+              scrollTrigger: { ...scrollTrigger, trigger: videoRef.current },
+            })
+            .to(videoRef.current, {
+              currentTime: videoRef.current.duration, // Scrub start to end
+            });
+          refreshAfterPin();
+          return;
+        }
+
+        // Frame sequence: the timeline tweens a frame index and redraws,
+        // cropping to fill on mobile like the video's object-cover
+        const canvas = canvasRef.current;
+        const fit = breakpoint === 'mobile' ? 'cover' : 'contain';
+        const playhead = { frame: 0 };
+        const render = () => {
+          const image = frameSequence.getFrame(playhead.frame);
+          if (image) drawImageFit(canvas, image, fit);
+        };
+        const handleResize = () => {
+          syncCanvasSize(canvas);
+          render();
+        };
+
+        handleResize();
+        window.addEventListener('resize', handleResize);
+
+        // Reduced motion shows the first frame as a still
+        if (!reduceMotion) {
+          gsap
+            .timeline({ scrollTrigger: { ...scrollTrigger, trigger: canvas } })
+            .to(playhead, {
+              frame: heroMedia.frames.count - 1,
+              ease: 'none',
+              onUpdate: render,
+            });
+          refreshAfterPin();
+        }
+
+        return () => window.removeEventListener('resize', handleResize);
       });
-    };
-  }, []);
+    },
+    { dependencies: [reduceMotion, mediaStatus], revertOnUpdate: true }
+  );
+
+  const [headlineStart, headlineEnd] = t('hero.headline');
 
   return (
     <>
       {/* Main hero section with noisy texture background */}
-      <section id="hero" className="noisy">
-        {/* Main title - animated with GSAP SplitText */}
-        <h1 className="title">MOJITO</h1>
+      <section ref={sectionRef} id="hero" className="noisy">
+        {/* "Happy Hour now" banner, only while a promotion runs */}
+        <SpecialBanner />
+
+        {/* Main title - animated with GSAP SplitText (gradient on the whole
+            title in reduced-motion mode, where characters aren't split) */}
+        <h1
+          key={copyKey}
+          className={`title ${reduceMotion ? 'text-gradient' : ''}`}
+        >
+          {t('hero.title')}
+        </h1>
 
         {/* Decorative leaf images for parallax effect */}
         <img
-          src="/images/hero-left-leaf.png"
-          alt="Decorative left leaf element"
-          className="left-leaf"
+          src={assets.heroLeftLeaf}
+          alt={t('common.leftLeafAlt')}
+          className="left-leaf theme-asset"
         />
         <img
-          src="/images/hero-right-leaf.png"
-          alt="Decorative right leaf element"
-          className="right-leaf"
+          src={assets.heroRightLeaf}
+          alt={t('common.rightLeafAlt')}
+          className="right-leaf theme-asset"
         />
 
         <div className="body">
@@ -129,21 +234,26 @@ const Hero = () => {
           <div className="content">
             {/* Desktop-only tagline and subtitle */}
             <div className="space-y-5 hidden md:block">
-              <p>Cool. Crisp. Classic.</p>
-              <p className="subtitle">
-                Sip the Spirit <br /> of Summer
+              <p>{t('hero.tagline')}</p>
+              <p key={copyKey} className="subtitle">
+                {headlineStart} <br /> {headlineEnd}
               </p>
             </div>
 
             {/* Call-to-action section with description and link */}
             <div className="view-cocktails">
-              <p className="subtitle">
-                Every cocktail on our menu is a blend of premium ingredients,
-                creative flair, and timeless recipes — designed to delight your
-                senses.
+              <p key={copyKey} className="subtitle">
+                {t('hero.description')}
               </p>
-              <a href="#cocktails" aria-label="Navigate to cocktails section">
-                View cocktails
+              <a
+                href="#cocktails"
+                aria-label={t('hero.ctaLabel')}
+                onClick={event => {
+                  event.preventDefault();
+                  scrollToSection('cocktails', { immediate: reduceMotion });
+                }}
+              >
+                {t('hero.cta')}
               </a>
             </div>
           </div>
@@ -151,15 +261,55 @@ const Hero = () => {
       </section>
 
       {/* Background video container - positioned absolutely behind hero content */}
-      <div className="video absolute inset-0">
-        <video
-          ref={videoRef}
-          muted
-          playsInline
-          preload="auto"
-          src="/videos/output.mp4"
-          aria-label="Background video showing cocktail preparation"
-        />
+      <div className="video absolute inset-0" data-state={mediaStatus}>
+        {/* Static poster while frames load, or instead of unplayable media */}
+        {(mediaStatus === 'error' ||
+          (scrubWithFrames && mediaStatus !== 'ready')) && (
+          <img src={heroMedia.poster} alt="" className="video-poster" />
+        )}
+
+        {scrubWithFrames ? (
+          <canvas
+            ref={canvasRef}
+            role="img"
+            aria-label={t('hero.videoLabel')}
+            hidden={mediaStatus !== 'ready'}
+          />
+        ) : (
+          mediaStatus !== 'error' && (
+            <video
+              ref={videoRef}
+              muted
+              playsInline
+              preload="auto"
+              poster={heroMedia.poster}
+              aria-label={t('hero.videoLabel')}
+              onLoadedMetadata={() => setVideoStatus('ready')}
+              onError={() => setVideoStatus('error')}
+            >
+              {heroMedia.sources.map(({ src, type }, index) => (
+                <source
+                  key={src}
+                  src={src}
+                  type={type}
+                  // Errors fire on <source>, not <video>; the last one
+                  // failing means nothing is playable
+                  onError={
+                    index === heroMedia.sources.length - 1
+                      ? () => setVideoStatus('error')
+                      : undefined
+                  }
+                />
+              ))}
+            </video>
+          )
+        )}
+
+        {mediaStatus === 'loading' && (
+          <span className="video-loader" role="status">
+            <span className="sr-only">{t('hero.videoLoading')}</span>
+          </span>
+        )}
       </div>
     </>
   );
@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Full-screen photo lightbox for the About gallery
+ * Expands from the clicked thumbnail with GSAP Flip and shrinks back into it on close
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import { Flip, Observer } from 'gsap/all';
+import { motionTokens } from '../../constants/index.js';
+import useMotion from '../hooks/useMotion';
+import useLocale from '../hooks/useLocale';
+import useFocusTrap from '../hooks/useFocusTrap';
+import useScrollLock from '../hooks/useScrollLock';
+
+const { duration, ease } = motionTokens;
+
+// Horizontal drag distance (px) that counts as a swipe to the next photo
+const SWIPE_THRESHOLD = 60;
+
+/**
+ * Whether an element is at least partly on screen, i.e. worth flying to/from
+ *
+ * @param {HTMLElement|null|undefined} element - Thumbnail
+ * @returns {boolean} True when some of it is in the viewport
+ */
+const isInViewport = element => {
+  if (!element) return false;
+
+  const { top, bottom, left, right } = element.getBoundingClientRect();
+  return (
+    bottom > 0 &&
+    right > 0 &&
+    top < window.innerHeight &&
+    left < window.innerWidth
+  );
+};
+
+/**
+ * Lightbox Component
+ *
+ * Features:
+ * - Opens by growing the photo out of its grid thumbnail (GSAP Flip.fit) and
+ *   closes by shrinking it back; photos whose thumbnail is offscreen (deep
+ *   links) and reduced-motion mode use a plain fade
+ * - Previous/next buttons, Left/Right/Home/End keys and touch or pointer
+ *   swipes (GSAP Observer), wrapping at both ends
+ * - Caption and "2 of 5" counter, announced as the photo changes
+ * - Dialog semantics: focus starts on the close button, stays trapped inside
+ *   and returns to the thumbnail on close; Escape or the backdrop closes it,
+ *   page scroll locked, `inert` while closed
+ *
+ * Stays mounted while closed so the closing animation can finish; the
+ * last photo shown is kept until the next one opens.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<{ id: string, src: string, alt: string, caption: string }>} props.images -
+ *   Photos with translated alt text and captions
+ * @param {number|null} props.index - Open photo, null when closed
+ * @param {(index: number) => void} props.onNavigate - Show another photo
+ * @param {() => void} props.onClose - Close the lightbox
+ * @param {(index: number) => HTMLElement|undefined} props.getThumbnail -
+ *   Grid image a photo expands from and shrinks back into
+ * @returns {JSX.Element} The lightbox dialog
+ */
+const Lightbox = ({ images, index, onNavigate, onClose, getThumbnail }) => {
+  const rootRef = useRef();
+  const backdropRef = useRef();
+  const stageRef = useRef();
+  const imageRef = useRef();
+  const closeRef = useRef();
+  const chromeRef = useRef(); // Caption and controls, faded around the photo
+  const closingRef = useRef(null); // Close timeline, cut short by a reopen
+  const { reduceMotion } = useMotion();
+  const { t } = useLocale();
+
+  const isOpen = index !== null;
+  const total = images.length;
+
+  // Photo on screen; kept while closing so it can shrink back into place
+  const [shown, setShown] = useState(index ?? 0);
+  if (isOpen && index !== shown) setShown(index);
+  const image = images[shown];
+
+  // Previous render's state, read by the photo-change animation
+  const wasOpenRef = useRef(false);
+  const previousShownRef = useRef(shown);
+  useEffect(() => {
+    wasOpenRef.current = isOpen;
+    previousShownRef.current = shown;
+  });
+
+  useFocusTrap(rootRef, isOpen, { onEscape: onClose });
+  useScrollLock(isOpen, rootRef);
+
+  /**
+   * Step through the photos, wrapping at both ends
+   *
+   * @param {number} offset - -1 for previous, +1 for next
+   */
+  const step = offset => onNavigate((shown + offset + total) % total);
+
+  const handleKeyDown = event => {
+    const targets = {
+      ArrowLeft: (shown - 1 + total) % total,
+      ArrowRight: (shown + 1) % total,
+      Home: 0,
+      End: total - 1,
+    };
+    if (!(event.key in targets)) return;
+
+    event.preventDefault();
+    onNavigate(targets[event.key]);
+  };
+
+  /**
+   * Open / Close Animation
+   *
+   * Opening fits the photo onto its thumbnail and animates it back to full
+   * size (Flip.fit with runBackwards) while the backdrop and chrome fade in.
+   * Closing runs the fit forwards, then hides the dialog and clears the
+   * inline sizes Flip left on the photo.
+   */
+  useGSAP(
+    () => {
+      const root = rootRef.current;
+      const photo = imageRef.current;
+      const fades = [backdropRef.current, closeRef.current, chromeRef.current];
+      const thumbnail = getThumbnail(shown);
+      const fly = !reduceMotion && isInViewport(thumbnail);
+
+      if (isOpen) {
+        closingRef.current?.kill();
+        gsap.set(photo, { clearProps: 'transform,width,height,opacity' });
+        gsap.set(root, { autoAlpha: 1 });
+        gsap.fromTo(
+          fades,
+          { opacity: 0 },
+          { opacity: 1, duration: duration.fast, ease: ease.reduced }
+        );
+
+        if (fly) {
+          Flip.fit(photo, thumbnail, {
+            duration: duration.reduced,
+            ease: 'power3.inOut',
+            runBackwards: true,
+            overwrite: true,
+          });
+        } else {
+          gsap.fromTo(
+            photo,
+            { opacity: 0 },
+            { opacity: 1, duration: duration.fast, ease: ease.reduced }
+          );
+        }
+        return;
+      }
+
+      // Closed from the start: nothing on screen to animate away
+      if (getComputedStyle(root).visibility !== 'visible') return;
+
+      const timeline = (closingRef.current = gsap.timeline({
+        onComplete: () => {
+          gsap.set(root, { autoAlpha: 0 });
+          gsap.set(photo, { clearProps: 'transform,width,height,opacity' });
+        },
+      }));
+
+      timeline.to(fades, {
+        opacity: 0,
+        duration: duration.fast,
+        ease: ease.reduced,
+      });
+      timeline.add(
+        fly
+          ? Flip.fit(photo, thumbnail, {
+              duration: duration.reduced,
+              ease: 'power3.inOut',
+              overwrite: true,
+            })
+          : gsap.to(photo, { opacity: 0, duration: duration.fast }),
+        0
+      );
+    },
+    { dependencies: [isOpen] }
+  );
+
+  /**
+   * Photo Change Animation
+   *
+   * Slides the new photo in from the side it came from (a plain fade in
+   * reduced-motion mode). Skipped when the change comes with opening.
+   */
+  useGSAP(
+    () => {
+      const previous = previousShownRef.current;
+      if (!isOpen || !wasOpenRef.current || previous === shown) return;
+
+      const direction =
+        shown === (previous + 1) % total
+          ? 1
+          : shown === (previous - 1 + total) % total
+            ? -1
+            : Math.sign(shown - previous);
+
+      gsap.fromTo(
+        imageRef.current,
+        { opacity: 0, xPercent: reduceMotion ? 0 : direction * 8 },
+        {
+          opacity: 1,
+          xPercent: 0,
+          duration: reduceMotion ? duration.fast : duration.reduced,
+          ease: reduceMotion ? ease.reduced : ease.reveal,
+          overwrite: true,
+        }
+      );
+    },
+    { dependencies: [shown] }
+  );
+
+  /**
+   * Swipe / Drag Navigation
+   *
+   * GSAP Observer tracks touch and pointer drags on the photo. The photo
+   * follows the finger (not in reduced-motion mode); releasing past
+   * SWIPE_THRESHOLD changes photo, otherwise it springs back.
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const photo = imageRef.current;
+    const observer = Observer.create({
+      target: stageRef.current,
+      type: 'touch,pointer',
+      dragMinimum: 5,
+      onDrag: self => {
+        if (!reduceMotion) gsap.set(photo, { x: self.x - self.startX });
+      },
+      onDragEnd: self => {
+        const offset = self.x - self.startX;
+
+        if (Math.abs(offset) < SWIPE_THRESHOLD) {
+          gsap.to(photo, { x: 0, duration: 0.4, ease: 'power1.out' });
+          return;
+        }
+
+        gsap.set(photo, { x: 0 });
+        onNavigate((shown + (offset < 0 ? 1 : -1) + total) % total);
+      },
+    });
+
+    return () => observer.kill();
+  }, [isOpen, shown, total, reduceMotion, onNavigate]);
+
+  return (
+    <div
+      ref={rootRef}
+      className="lightbox"
+      role="dialog"
+      aria-modal="true"
+      aria-label={t('lightbox.label')}
+      inert={!isOpen}
+      onKeyDown={handleKeyDown}
+    >
+      <div
+        ref={backdropRef}
+        className="lightbox-backdrop"
+        aria-hidden="true"
+        onClick={onClose}
+      />
+
+      <button
+        type="button"
+        ref={closeRef}
+        className="close"
+        onClick={onClose}
+        aria-label={t('lightbox.close')}
+      >
+        <span aria-hidden="true">×</span>
+      </button>
+
+      <figure>
+        <div ref={stageRef} className="stage">
+          <img
+            ref={imageRef}
+            src={image.src}
+            alt={image.alt}
+            draggable={false}
+          />
+        </div>
+
+        <div ref={chromeRef} className="chrome">
+          <figcaption aria-live="polite">
+            <span className="counter">
+              {t('lightbox.counter', { current: shown + 1, total })}
+            </span>
+            {image.caption}
+          </figcaption>
+
+          <div className="controls">
+            <button
+              type="button"
+              onClick={() => step(-1)}
+              aria-label={t('lightbox.previous')}
+            >
+              <span aria-hidden="true">←</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => step(1)}
+              aria-label={t('lightbox.next')}
+            >
+              <span aria-hidden="true">→</span>
+            </button>
+          </div>
+        </div>
+      </figure>
+    </div>
+  );
+};
+
+export default Lightbox;
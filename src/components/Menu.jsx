@@ -5,10 +5,45 @@
 
 'use client';
 
-import { allCocktails } from '../../constants/index.js';
-import { useRef, useState } from 'react';
+import { featuredCocktails } from '../../constants/catalog.js';
+import { motionTokens } from '../../constants/index.js';
+import {
+  useCallback,
+  useEffect,
+  useId,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+} from 'react';
 import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
+import { Observer, ScrollTrigger } from 'gsap/all';
+import useMotion from '../hooks/useMotion';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+import useSpecials from '../hooks/useSpecials';
+import useCart from '../hooks/useCart';
+import useCatalogFilters from '../hooks/useCatalogFilters';
+import useFilterFlip from '../hooks/useFilterFlip';
+import useMenuRoute from '../hooks/useMenuRoute';
+import useAutoplay from '../hooks/useAutoplay';
+import formatPrice from '../utils/formatPrice';
+import { scrollToSection } from '../utils/sectionScroll';
+import RecipeSheet from './RecipeSheet';
+import PriceTag from './PriceTag';
+
+// Slide slugs used for deep links, in slider order
+const cocktailSlugs = featuredCocktails.map(cocktail => cocktail.slug);
+
+// Shared timing for the slide transitions
+const { duration, ease } = motionTokens;
+
+// Seconds each slide stays up while autoplay is on
+const AUTOPLAY_DURATION = 6;
+
+// Horizontal drag distance (px) that counts as a swipe to the next slide
+const SWIPE_THRESHOLD = 60;
 
 /**
  * Menu Component
@@ -17,10 +52,24 @@ import gsap from 'gsap';
  * - Dynamic cocktail slider with tab navigation
  * - GSAP animations for smooth content transitions
  * - Previous/next arrow navigation with cocktail names
+ * - WAI-ARIA tabs pattern (roving tabindex, arrow/Home/End keys); tab,
+ *   panel and heading ids come from useId, so two Menus never share one
+ * - Touch swipe and pointer drag on the cocktail image (GSAP Observer)
+ * - Optional autoplay with a progress bar, paused on hover, keyboard focus
+ *   or when the section is offscreen
  * - Responsive design with decorative leaf elements
  * - Accessibility features including ARIA labels
  * - Real-time content updates based on selected cocktail
+ * - Full recipe sheet with serving scaling and ml/oz units
  * - Circular navigation (infinite loop) through cocktails
+ * - Deep links per slide (`#menu/<slug>`) with Back/Forward history support
+ * - Opacity-only transitions in reduced-motion mode
+ * - Translated labels and featured-drink copy (catalog English as fallback)
+ * - Special prices: during a promotion the catalog price is struck through
+ *   above the add button, with a countdown to the end of the promotion
+ * - "Add to order" button for the drink on screen
+ * - Tabs follow the shared search and filters (GSAP Flip as tabs drop out);
+ *   the slider only cycles through matching drinks
  *
  * @component
  * @returns {JSX.Element} The rendered interactive menu section
@@ -28,14 +77,89 @@ import gsap from 'gsap';
  *
  * @requires gsap - For content transition animations
  * @requires react - For state management and refs
- * @requires ../../constants - For allCocktails data array
+ * @requires ../../constants/catalog - For the featured cocktails shown in the slider
  */
 const Menu = () => {
   /**
    * React Refs and State Management
    */
+  const sectionRef = useRef(); // Section element; animations are scoped to it
   const contentRef = useRef(); // Reference to content container for potential animations
-  const [currentIndex, setCurrentIndex] = useState(0); // Currently selected cocktail index
+  const cocktailRef = useRef(); // Swipe/drag target wrapping the cocktail image
+  const progressRef = useRef(); // Autoplay progress bar
+  const tabRefs = useRef([]); // Tab buttons, focused by arrow-key navigation
+  const idPrefix = useId(); // Unique per instance, so ARIA links never clash
+  const headingId = `${idPrefix}-heading`;
+  const panelId = `${idPrefix}-panel`;
+  const tabId = slug => `${idPrefix}-tab-${slug}`;
+  const { reduceMotion } = useMotion(); // Site-wide reduced-motion preference
+  const { tag, t } = useLocale(); // Translations for the active language
+  const { assets } = useTheme(); // Leaf images for the active theme
+  const { priceOf } = useSpecials(); // Prices with any running special
+  const { add } = useCart(); // Order-ahead basket
+
+  // Currently selected cocktail index, synced with `#menu/<slug>` in the URL
+  const {
+    index: currentIndex,
+    navigate,
+    isDeepLink,
+  } = useMenuRoute(cocktailSlugs);
+
+  // Slides left by the search and filters, as indexes into featuredCocktails
+  const { matches } = useCatalogFilters();
+  const slideOrder = useMemo(
+    () =>
+      featuredCocktails
+        .map((cocktail, index) => (matches.has(cocktail.slug) ? index : -1))
+        .filter(index => index !== -1),
+    [matches]
+  );
+
+  // A selected slide that's been filtered out gives way to the first match;
+  // the URL keeps the selection until the guest navigates
+  const displayIndex = slideOrder.includes(currentIndex)
+    ? currentIndex
+    : (slideOrder[0] ?? currentIndex);
+  const currentPosition = Math.max(slideOrder.indexOf(displayIndex), 0);
+
+  // Tabs glide into place as the filters change
+  useFilterFlip(sectionRef, '.cocktail-tabs [role="tab"]');
+
+  // Bumped to replay the entrance once a deep-linked slide scrolls into view
+  const [entranceKey, replayEntrance] = useReducer(count => count + 1, 0);
+
+  // Autoplay mode and the conditions that hold it
+  const [isAutoplay, setIsAutoplay] = useState(false);
+  const [isHovered, setIsHovered] = useState(false);
+  const [hasFocus, setHasFocus] = useState(false);
+  const [isOnscreen, setIsOnscreen] = useState(false);
+
+  /**
+   * Deep Link Landing
+   *
+   * When the page is opened on a slide URL, scroll to the menu once the
+   * layout (including ScrollTrigger pin spacing and images) has settled,
+   * then replay the GSAP entrance so the guest actually sees it.
+   */
+  useEffect(() => {
+    if (!isDeepLink) return;
+
+    const land = () => {
+      // Jump instantly so the entrance isn't spent mid-scroll; the shared
+      // helper clears the fixed nav and earlier pin spacing, and the slide
+      // hash stays in the URL
+      scrollToSection('menu', { immediate: true, updateHash: false });
+      replayEntrance();
+    };
+
+    if (document.readyState === 'complete') {
+      land();
+      return;
+    }
+
+    window.addEventListener('load', land, { once: true });
+    return () => window.removeEventListener('load', land);
+  }, [isDeepLink]);
 
   /**
    * GSAP Animation Setup
@@ -44,73 +168,225 @@ const Menu = () => {
    * Animates multiple elements with coordinated timing for smooth
    * visual transitions between different cocktail information.
    *
-   * Dependencies: [currentIndex] - Re-runs animations when cocktail changes
+   * Dependencies: [displayIndex, reduceMotion, entranceKey] - Re-runs
+   * animations when cocktail or motion preference changes, or on deep link.
+   * Scoped to the section so a second Menu on the page isn't affected.
    */
-  useGSAP(() => {
-    // Animate cocktail title with fade-in effect
-    gsap.fromTo('#title', { opacity: 0 }, { opacity: 1, duration: 1 });
-
-    // Animate cocktail image with slide-in from left
-    gsap.fromTo(
-      '.cocktail img',
-      { opacity: 0, xPercent: -100 }, // Start: transparent and 100% left
-      {
-        xPercent: 0, // End: original position
-        opacity: 1, // End: fully visible
-        duration: 1, // 1 second transition
-        ease: 'power1.inOut', // Smooth easing
-      }
-    );
-
-    // Animate recipe title with upward slide and fade
-    gsap.fromTo(
-      '.details h2',
-      { yPercent: 100, opacity: 0 }, // Start: below and transparent
-      {
-        yPercent: 0, // End: original position
-        opacity: 100, // End: fully visible
-        ease: 'power1.inOut', // Consistent easing
+  useGSAP(
+    () => {
+      // Reduced motion: cross-fade the new content without sliding
+      if (reduceMotion) {
+        gsap.fromTo(
+          '.title, .cocktail img, .details h2, .details p, .recipe-sheet li, .recipe-sheet dd',
+          { opacity: 0 },
+          { opacity: 1, duration: duration.fast, ease: ease.reduced }
+        );
+        return;
       }
-    );
-
-    // Animate recipe description with same upward transition
-    gsap.fromTo(
-      '.details p',
-      { yPercent: 100, opacity: 0 }, // Start: below and transparent
-      {
-        yPercent: 0, // End: original position
-        opacity: 100, // End: fully visible
-        ease: 'power1.inOut', // Consistent easing
-      }
-    );
-  }, [currentIndex]); // Re-run animations when currentIndex changes
+
+      // Animate cocktail title with fade-in effect
+      gsap.fromTo(
+        '.title',
+        { opacity: 0 },
+        { opacity: 1, duration: duration.base }
+      );
+
+      // Animate cocktail image with slide-in from left
+      gsap.fromTo(
+        '.cocktail img',
+        { opacity: 0, xPercent: -100 }, // Start: transparent and 100% left
+        {
+          xPercent: 0, // End: original position
+          opacity: 1, // End: fully visible
+          duration: duration.base, // 1 second transition
+          ease: ease.fade, // Smooth easing
+        }
+      );
+
+      // Animate recipe title with upward slide and fade
+      gsap.fromTo(
+        '.details h2',
+        { yPercent: 100, opacity: 0 }, // Start: below and transparent
+        {
+          yPercent: 0, // End: original position
+          opacity: 100, // End: fully visible
+          ease: ease.fade, // Consistent easing
+        }
+      );
+
+      // Animate recipe description with same upward transition
+      gsap.fromTo(
+        '.details p',
+        { yPercent: 100, opacity: 0 }, // Start: below and transparent
+        {
+          yPercent: 0, // End: original position
+          opacity: 100, // End: fully visible
+          ease: ease.fade, // Consistent easing
+        }
+      );
+
+      // Animate recipe sheet rows with the same upward transition, staggered
+      gsap.fromTo(
+        '.recipe-sheet li, .recipe-sheet dd',
+        { yPercent: 100, opacity: 0 }, // Start: below and transparent
+        {
+          yPercent: 0, // End: original position
+          opacity: 1, // End: fully visible
+          ease: ease.fade, // Consistent easing
+          stagger: 0.03, // Cascade down the ingredient and method lists
+        }
+      );
+    },
+    {
+      scope: sectionRef, // Selectors only match this slider's elements
+      dependencies: [displayIndex, reduceMotion, entranceKey], // Re-run when the slide or preference changes
+    }
+  );
 
   /**
    * Navigation Logic and Helper Functions
    */
-  const totalCocktails = allCocktails.length; // Total number of available cocktails
+  const totalCocktails = slideOrder.length; // Number of cocktails matching the filters
+
+  /**
+   * Navigate to a specific cocktail by its position among the matching slides
+   * Implements circular navigation (wraps around at boundaries) and pushes
+   * a history entry so Back/Forward walk through the slides
+   *
+   * @param {number} position - Target position in slideOrder (can be negative or beyond its length)
+   * @param {{ replace?: boolean }} [options] - Replace the history entry instead
+   * @returns {number|null} The featuredCocktails index that was selected,
+   *   null when no cocktail matches
+   */
+  const goToSlide = useCallback(
+    (position, options) => {
+      if (totalCocktails === 0) return null;
+
+      const newIndex =
+        slideOrder[
+          ((position % totalCocktails) + totalCocktails) % totalCocktails
+        ];
+      navigate(newIndex, options);
+      return newIndex;
+    },
+    [navigate, slideOrder, totalCocktails]
+  );
+
+  /**
+   * Keyboard Navigation
+   *
+   * Left/Right move to the previous/next cocktail (wrapping), Home/End jump
+   * to the first/last. Used by the tablist, where focus follows the newly
+   * selected tab, and by the tab panel itself.
+   *
+   * @param {KeyboardEvent} event - Key press
+   * @returns {number|null} Selected index, or null when the key isn't handled
+   */
+  const handleSlideKeys = event => {
+    const targets = {
+      ArrowLeft: currentPosition - 1,
+      ArrowRight: currentPosition + 1,
+      Home: 0,
+      End: totalCocktails - 1,
+    };
+    if (!(event.key in targets)) return null;
+
+    event.preventDefault();
+    return goToSlide(targets[event.key]);
+  };
+
+  const handleTabKeyDown = event => {
+    const next = handleSlideKeys(event);
+    if (next !== null) tabRefs.current[next]?.focus();
+  };
+
+  // Only react when the panel itself has focus, not its buttons or controls
+  const handlePanelKeyDown = event => {
+    if (event.target === event.currentTarget) handleSlideKeys(event);
+  };
+
+  /**
+   * Swipe / Drag Navigation
+   *
+   * GSAP Observer tracks touch and pointer drags on the cocktail image. The
+   * image follows the finger while dragging (skipped in reduced-motion mode);
+   * releasing past SWIPE_THRESHOLD changes slide, otherwise it springs back.
+   */
+  useEffect(() => {
+    const image = cocktailRef.current.querySelector('img');
+
+    const observer = Observer.create({
+      target: cocktailRef.current,
+      type: 'touch,pointer',
+      dragMinimum: 5,
+      onDrag: self => {
+        if (!reduceMotion) gsap.set(image, { x: self.x - self.startX });
+      },
+      onDragEnd: self => {
+        const offset = self.x - self.startX;
+
+        if (Math.abs(offset) < SWIPE_THRESHOLD) {
+          gsap.to(image, { x: 0, duration: 0.4, ease: 'power1.out' });
+          return;
+        }
+
+        // Clear the drag offset; the slide entrance takes over from here
+        gsap.set(image, { x: 0 });
+        goToSlide(currentPosition + (offset < 0 ? 1 : -1));
+      },
+    });
+
+    return () => observer.kill();
+  }, [currentPosition, reduceMotion, goToSlide]);
 
   /**
-   * Navigate to a specific cocktail by index
-   * Implements circular navigation (wraps around at boundaries)
+   * Autoplay
    *
-   * @param {number} index - Target cocktail index (can be negative or beyond array length)
+   * Advances one slide every AUTOPLAY_DURATION seconds without adding
+   * history entries. Holds while the slide stage is hovered, while keyboard
+   * focus is inside the section, or while the section is offscreen.
    */
-  const goToSlide = index => {
-    const newIndex = (index + totalCocktails) % totalCocktails;
-    setCurrentIndex(newIndex);
+  useGSAP(() => {
+    ScrollTrigger.create({
+      trigger: sectionRef.current,
+      start: 'top bottom',
+      end: 'bottom top',
+      onToggle: self => setIsOnscreen(self.isActive),
+    });
+  });
+
+  useAutoplay({
+    enabled: isAutoplay && totalCocktails > 1,
+    paused: isHovered || hasFocus || !isOnscreen,
+    duration: AUTOPLAY_DURATION,
+    progressRef,
+    onAdvance: () => goToSlide(currentPosition + 1, { replace: true }),
+    resetKey: displayIndex,
+  });
+
+  // Keyboard focus pauses autoplay; mouse clicks on controls don't
+  const handleFocus = event => {
+    setHasFocus(event.target.matches(':focus-visible'));
+  };
+
+  const handleBlur = event => {
+    if (!event.currentTarget.contains(event.relatedTarget)) setHasFocus(false);
   };
 
   /**
    * Get cocktail data at a specific offset from current index
    * Used for displaying previous/next cocktail information
    *
-   * @param {number} indexOffset - Offset from current index (-1 for previous, +1 for next)
+   * @param {number} indexOffset - Offset from current slide (-1 for previous, +1 for next)
    * @returns {Object} Cocktail data object
    */
   const getCocktailAt = indexOffset => {
-    return allCocktails[
-      (currentIndex + indexOffset + totalCocktails) % totalCocktails
+    if (totalCocktails === 0) return featuredCocktails[displayIndex];
+
+    return featuredCocktails[
+      slideOrder[
+        (currentPosition + indexOffset + totalCocktails) % totalCocktails
+      ]
     ];
   };
 
@@ -119,90 +395,176 @@ const Menu = () => {
   const prevCocktail = getCocktailAt(-1); // Previous cocktail
   const nextCocktail = getCocktailAt(1); // Next cocktail
 
+  // Price to charge now, and the running special behind it, if any
+  const { price: currentPrice, special } = priceOf(currentCocktail);
+
+  // Slide copy in the active language, falling back to the catalog's English
+  const slideTitle = t(`drinks.${currentCocktail.slug}.title`, {
+    defaultValue: currentCocktail.title,
+  });
+  const slideDescription = t(`drinks.${currentCocktail.slug}.description`, {
+    defaultValue: currentCocktail.description,
+  });
+
   return (
-    <section id="menu" aria-labelledby="menu-heading">
+    <section
+      ref={sectionRef}
+      id="menu"
+      aria-labelledby={headingId}
+      aria-roledescription={t('menu.roleDescription')}
+      onFocus={handleFocus}
+      onBlur={handleBlur}
+    >
       {/* Decorative Elements */}
       <img
-        src="/images/slider-left-leaf.png"
-        alt="Decorative left leaf element"
+        src={assets.sliderLeftLeaf}
+        alt={t('common.leftLeafAlt')}
         id="m-left-leaf"
+        className="theme-asset"
       />
       <img
-        src="/images/slider-right-leaf.png"
-        alt="Decorative right leaf element"
+        src={assets.sliderRightLeaf}
+        alt={t('common.rightLeafAlt')}
         id="m-right-leaf"
+        className="theme-asset"
       />
 
       {/* Accessibility: Screen reader heading */}
-      <h2 id="menu-heading" className="sr-only">
-        Cocktail Menu
+      <h2 id={headingId} className="sr-only">
+        {t('menu.heading')}
       </h2>
 
-      {/* Navigation Tabs - Dynamic cocktail selection */}
-      <nav className="cocktail-tabs" aria-label="Cocktail Navigation">
-        {allCocktails.map((cocktail, index) => {
-          const isActive = index === currentIndex;
+      {/* Navigation Tabs - WAI-ARIA tabs with roving tabindex */}
+      <div
+        className="cocktail-tabs"
+        role="tablist"
+        aria-label={t('menu.tablistLabel')}
+        onKeyDown={handleTabKeyDown}
+      >
+        {featuredCocktails.map((cocktail, index) => {
+          const isActive = index === displayIndex;
+          const isMatch = matches.has(cocktail.slug);
 
           return (
             <button
               key={cocktail.id}
+              ref={element => (tabRefs.current[index] = element)}
+              id={tabId(cocktail.slug)}
               className={`
 				${isActive ? 'text-white border-white' : 'text-white/50 border-white/50'}
+				${isMatch ? '' : 'hidden'}
 			 `}
-              onClick={() => goToSlide(index)}
-              aria-pressed={isActive}
-              aria-label={`Select ${cocktail.name} cocktail`}
+              onClick={() => goToSlide(slideOrder.indexOf(index))}
+              role="tab"
+              aria-selected={isActive}
+              aria-controls={panelId}
+              tabIndex={isActive ? 0 : -1}
             >
               {cocktail.name}
             </button>
           );
         })}
-      </nav>
-
-      {/* Main Content Area */}
-      <div className="content">
-        {/* Navigation Arrows with Preview Names */}
-        <div className="arrows">
-          <button
-            className="text-left"
-            onClick={() => goToSlide(currentIndex - 1)}
-            aria-label={`Go to previous cocktail: ${prevCocktail.name}`}
-          >
-            <span>{prevCocktail.name}</span>
-            <img src="/images/right-arrow.png" alt="" aria-hidden="true" />
-          </button>
-
-          <button
-            className="text-left"
-            onClick={() => goToSlide(currentIndex + 1)}
-            aria-label={`Go to next cocktail: ${nextCocktail.name}`}
-          >
-            <span>{nextCocktail.name}</span>
-            <img src="/images/left-arrow.png" alt="" aria-hidden="true" />
-          </button>
-        </div>
+      </div>
 
-        {/* Current Cocktail Display - Animated on change */}
-        <div className="cocktail">
-          <img
-            src={currentCocktail.image}
-            className="object-contain"
-            alt={`${currentCocktail.name} cocktail presentation`}
-          />
-        </div>
+      {/* Nothing left to show once every featured drink is filtered out */}
+      {totalCocktails === 0 && (
+        <p className="no-matches">{t('filters.noMatches')}</p>
+      )}
 
-        {/* Recipe Information - Animated content */}
-        <div className="recipe">
-          <div ref={contentRef} className="info">
-            <p>Recipe for:</p>
-            <p id="title">{currentCocktail.name}</p>
+      {/* Autoplay Toggle and Progress */}
+      <div className="autoplay" hidden={totalCocktails < 2}>
+        <button
+          type="button"
+          onClick={() => setIsAutoplay(!isAutoplay)}
+          aria-pressed={isAutoplay}
+        >
+          {t('menu.autoplay')}
+        </button>
+        {isAutoplay && (
+          <div className="progress" aria-hidden="true">
+            <div ref={progressRef} />
           </div>
+        )}
+      </div>
 
-          <div className="details">
-            <h2>{currentCocktail.title}</h2>
-            <p>{currentCocktail.description}</p>
+      {/* Tab Panel - Slide stage and full recipe for the selected cocktail */}
+      <div
+        id={panelId}
+        role="tabpanel"
+        aria-labelledby={tabId(currentCocktail.slug)}
+        tabIndex={0}
+        onKeyDown={handlePanelKeyDown}
+        hidden={totalCocktails === 0}
+      >
+        {/* Main Content Area */}
+        <div
+          className="content"
+          onMouseEnter={() => setIsHovered(true)}
+          onMouseLeave={() => setIsHovered(false)}
+        >
+          {/* Navigation Arrows with Preview Names */}
+          <div className="arrows">
+            <button
+              className="text-left"
+              onClick={() => goToSlide(currentPosition - 1)}
+              aria-label={t('menu.previous', { name: prevCocktail.name })}
+            >
+              <span>{prevCocktail.name}</span>
+              <img src="/images/right-arrow.png" alt="" aria-hidden="true" />
+            </button>
+
+            <button
+              className="text-left"
+              onClick={() => goToSlide(currentPosition + 1)}
+              aria-label={t('menu.next', { name: nextCocktail.name })}
+            >
+              <span>{nextCocktail.name}</span>
+              <img src="/images/left-arrow.png" alt="" aria-hidden="true" />
+            </button>
+          </div>
+
+          {/* Current Cocktail Display - Animated on change */}
+          <div ref={cocktailRef} className="cocktail">
+            <img
+              src={currentCocktail.image}
+              className="object-contain"
+              alt={t('menu.imageAlt', { name: currentCocktail.name })}
+              draggable={false}
+            />
+          </div>
+
+          {/* Recipe Information - Animated content */}
+          <div className="recipe">
+            {/* Announce slide changes, except while autoplay rotates them */}
+            <div
+              ref={contentRef}
+              className="info"
+              aria-live={isAutoplay ? 'off' : 'polite'}
+            >
+              <p>{t('menu.recipeFor')}</p>
+              <p className="title">{currentCocktail.name}</p>
+            </div>
+
+            <div className="details">
+              <h2>{slideTitle}</h2>
+              <p>{slideDescription}</p>
+              {special && <PriceTag drink={currentCocktail} />}
+              <button
+                type="button"
+                className="add-to-cart"
+                onClick={() => add(currentCocktail.slug)}
+                aria-label={t('cart.addItem', { name: currentCocktail.name })}
+              >
+                {t('cart.addToOrder', {
+                  price: formatPrice(currentPrice, tag),
+                })}
+              </button>
+            </div>
           </div>
         </div>
+
+        {/* Full Recipe - Ingredients, method and serving details */}
+        <RecipeSheet cocktail={currentCocktail} />
       </div>
     </section>
   );
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Full-screen mobile navigation drawer opened from the Navbar
+ */
+
+import { useRef } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import { motionTokens, navLinks } from '../../constants/index.js';
+import useMotion from '../hooks/useMotion';
+import useLocale from '../hooks/useLocale';
+import OpenStatusBadge from './OpenStatusBadge';
+
+const { duration, ease, stagger } = motionTokens;
+
+/**
+ * NavDrawer Component
+ *
+ * Features:
+ * - Slides down over the page with a staggered link entrance (GSAP)
+ * - Plain fade, no slide or stagger, in reduced-motion mode
+ * - `inert` while closed so its links are unreachable by keyboard and
+ *   screen readers
+ * - Scroll-spy state mirrored with aria-current
+ * - Extra controls (motion toggle, language) passed in as children
+ *
+ * Focus trapping, Escape and the scroll lock are handled by the Navbar,
+ * since the trap has to include its toggle button.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.id - Element id referenced by the toggle's aria-controls
+ * @param {boolean} props.isOpen - Whether the drawer is shown
+ * @param {string|null} props.activeId - Section currently in view
+ * @param {(id: string) => (event: MouseEvent) => void} props.onNavigate -
+ *   Click handler factory for section links (closes the drawer first)
+ * @param {React.ReactNode} [props.children] - Controls under the links
+ * @param {React.RefObject<HTMLElement>} props.ref - The drawer element
+ * @returns {JSX.Element} The drawer
+ */
+const NavDrawer = ({ ref, id, isOpen, activeId, onNavigate, children }) => {
+  const listRef = useRef();
+  const { reduceMotion } = useMotion();
+  const { t } = useLocale();
+
+  useGSAP(
+    () => {
+      const drawer = ref.current;
+      const links = listRef.current.children;
+
+      if (!isOpen) {
+        gsap.to(drawer, {
+          autoAlpha: 0,
+          yPercent: reduceMotion ? 0 : -100,
+          duration: duration.fast,
+          ease: ease.reduced,
+          overwrite: true,
+        });
+        return;
+      }
+
+      if (reduceMotion) {
+        gsap.fromTo(
+          drawer,
+          { autoAlpha: 0, yPercent: 0 },
+          {
+            autoAlpha: 1,
+            duration: duration.fast,
+            ease: ease.reduced,
+            overwrite: true,
+          }
+        );
+        return;
+      }
+
+      gsap
+        .timeline()
+        .fromTo(
+          drawer,
+          { autoAlpha: 1, yPercent: -100 },
+          {
+            yPercent: 0,
+            duration: duration.reduced,
+            ease: ease.reveal,
+            overwrite: true,
+          }
+        )
+        .fromTo(
+          links,
+          { opacity: 0, yPercent: 100 },
+          {
+            opacity: 1,
+            yPercent: 0,
+            duration: duration.reduced,
+            ease: ease.reveal,
+            stagger: stagger.lines,
+          },
+          `-=${duration.reduced / 2}` // Links rise as the drawer settles
+        );
+    },
+    { dependencies: [isOpen, reduceMotion] }
+  );
+
+  return (
+    <aside
+      ref={ref}
+      id={id}
+      className="nav-drawer"
+      aria-label={t('nav.menu')}
+      inert={!isOpen}
+    >
+      <ul ref={listRef}>
+        {navLinks.map(link => (
+          <li key={link.id}>
+            <a
+              href={`#${link.id}`}
+              onClick={onNavigate(link.id)}
+              aria-current={activeId === link.id ? 'location' : undefined}
+            >
+              {t(`nav.links.${link.id}`, { defaultValue: link.title })}
+            </a>
+          </li>
+        ))}
+      </ul>
+
+      <OpenStatusBadge />
+
+      {children}
+    </aside>
+  );
+};
+
+export default NavDrawer;
@@ -1,45 +1,386 @@
 import gsap from 'gsap';
 import { useGSAP } from '@gsap/react';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useMediaQuery } from 'react-responsive';
 
-import { navLinks } from '../../constants/index.js';
+import { businessProfile, navLinks } from '../../constants/index.js';
+import useMotion from '../hooks/useMotion';
+import useCart from '../hooks/useCart';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+import useScrollSpy from '../hooks/useScrollSpy';
+import useFocusTrap from '../hooks/useFocusTrap';
+import useScrollLock from '../hooks/useScrollLock';
+import { BREAKPOINTS } from '../animations/breakpoints';
+import { scrollToSection } from '../utils/sectionScroll';
+import OpenStatusBadge from './OpenStatusBadge';
+import NavDrawer from './NavDrawer';
 
+// Sections tracked by the scroll-spy, in page order
+const sectionIds = navLinks.map(link => link.id);
+
+// Mobile drawer element id, referenced by the toggle's aria-controls
+const DRAWER_ID = 'nav-drawer';
+
+/**
+ * Whether a click asks the browser to open the link elsewhere (new tab/window)
+ *
+ * @param {MouseEvent} event - Click event
+ * @returns {boolean} True for modified clicks
+ */
+const isModifiedClick = event =>
+  event.metaKey || event.ctrlKey || event.shiftKey || event.altKey;
+
+/**
+ * Navigate to a section with GSAP ScrollTo instead of the native anchor jump,
+ * leaving modified clicks (new tab/window) to the browser
+ *
+ * @param {string} id - Section element id
+ * @param {boolean} reduceMotion - Jump instead of animating
+ * @returns {(event: MouseEvent) => void} Click handler
+ */
+const navigateTo = (id, reduceMotion) => event => {
+  if (isModifiedClick(event)) return;
+
+  event.preventDefault();
+  scrollToSection(id, { immediate: reduceMotion });
+};
+
+/**
+ * Navbar Component
+ *
+ * Features:
+ * - Background fades in once the page scrolls past the nav
+ * - Scroll-spy highlighting with aria-current and a sliding underline
+ * - GSAP ScrollTo section navigation that clears the fixed header
+ * - Below 768px, a hamburger toggle opening a full-screen drawer with focus
+ *   trapping, Escape to close, a ScrollTrigger-safe scroll lock and
+ *   automatic close after navigating
+ * - Open status, reduced-motion toggle, language and theme switchers
+ * - Cart button with a live drink count that bumps when a drink is added
+ *
+ * @component
+ * @returns {JSX.Element} The fixed navigation bar
+ */
 const Navbar = () => {
-  useGSAP(() => {
-    const navTween = gsap.timeline({
-      scrollTrigger: {
-        trigger: 'nav',
-        start: 'bottom top',
-      },
-    });
+  const { reduceMotion, toggleReduceMotion } = useMotion();
+  const { locale, locales, setLocale, t } = useLocale();
+  const {
+    preference: themePreference,
+    setPreference: setThemePreference,
+    themes,
+  } = useTheme();
+  const { cart, lastAdded, isOpen: isCartOpen, openCart } = useCart();
+
+  // Mobile drawer state, only used below the md breakpoint
+  const isMobile = useMediaQuery({ query: BREAKPOINTS.mobile });
+  const [isDrawerOpen, setIsDrawerOpen] = useState(false);
+  const navRef = useRef();
+  const drawerRef = useRef();
+  const pendingSectionRef = useRef(null); // Section to scroll to once closed
+
+  const closeDrawer = useCallback(() => setIsDrawerOpen(false), []);
 
-    navTween.fromTo(
-      'nav',
-      { backgroundColor: 'transparent' },
-      {
-        backgroundColor: '#00000050',
-        backgroundFilter: 'blur(10px)',
-        duration: 1,
-        ease: 'power1.inOut',
-      }
-    );
+  // Trap spans the whole nav so the toggle (now a close button) stays reachable
+  useFocusTrap(navRef, isDrawerOpen, {
+    onEscape: closeDrawer,
+    initialFocusRef: drawerRef,
   });
+  useScrollLock(isDrawerOpen, drawerRef);
+
+  // Growing past the breakpoint removes the drawer; don't leave the page locked
+  useEffect(() => {
+    if (!isMobile) setIsDrawerOpen(false);
+  }, [isMobile]);
+
+  // Navigate after the drawer has closed and the scroll lock is released
+  useEffect(() => {
+    if (isDrawerOpen || !pendingSectionRef.current) return;
+
+    scrollToSection(pendingSectionRef.current, { immediate: reduceMotion });
+    pendingSectionRef.current = null;
+  }, [isDrawerOpen, reduceMotion]);
+
+  /**
+   * Drawer link handler: close first, navigate once unlocked
+   *
+   * @param {string} id - Section element id
+   * @returns {(event: MouseEvent) => void} Click handler
+   */
+  const navigateFromDrawer = id => event => {
+    if (isModifiedClick(event)) return;
+
+    event.preventDefault();
+    pendingSectionRef.current = id;
+    setIsDrawerOpen(false);
+  };
+
+  // The cart dialog replaces the mobile drawer rather than stacking on it
+  const openCartFromNav = () => {
+    setIsDrawerOpen(false);
+    openCart();
+  };
+
+  // Section currently in view, marked with aria-current and the underline
+  const activeId = useScrollSpy(sectionIds);
+  const indicatorRef = useRef();
+  const linkRefs = useRef({});
+  const activeIdRef = useRef(activeId); // Latest active link, for resize/fonts
+
+  /**
+   * Slide the underline under the active link, or fade it out when none is
+   * active
+   *
+   * @param {number} duration - Tween duration in seconds (0 snaps)
+   */
+  const placeIndicator = useCallback(duration => {
+    if (!indicatorRef.current) return; // Links live in the drawer on mobile
+
+    const link = linkRefs.current[activeIdRef.current];
+    gsap.to(indicatorRef.current, {
+      ...(link && { x: link.offsetLeft, width: link.offsetWidth }),
+      opacity: link ? 1 : 0,
+      duration,
+      ease: 'power3.out',
+      overwrite: true,
+    });
+  }, []);
+
+  /**
+   * Active Link Underline
+   *
+   * Slides a single underline under the active link. Re-measured when the
+   * language changes (link widths differ) and on breakpoint changes.
+   */
+  useGSAP(
+    () => {
+      activeIdRef.current = activeId;
+      placeIndicator(reduceMotion ? 0 : 0.4);
+    },
+    {
+      dependencies: [activeId, locale, reduceMotion, isMobile, placeIndicator],
+    }
+  );
+
+  // Snap the underline back under its link on resize and once web fonts
+  // load; registered once, not on every active-link change
+  useEffect(() => {
+    let active = true;
+    const snap = () => {
+      if (active) placeIndicator(0);
+    };
+    window.addEventListener('resize', snap);
+    document.fonts?.ready.then(snap);
+
+    return () => {
+      active = false; // fonts.ready can settle after unmount
+      window.removeEventListener('resize', snap);
+    };
+  }, [placeIndicator]);
+
+  /**
+   * Cart Count Bump
+   *
+   * Pops the count badge each time a drink is added; skipped in
+   * reduced-motion mode.
+   */
+  const cartCountRef = useRef();
+  useGSAP(
+    () => {
+      if (!lastAdded || reduceMotion || !cartCountRef.current) return;
+
+      gsap.fromTo(
+        cartCountRef.current,
+        { scale: 1.6 },
+        { scale: 1, duration: 0.5, ease: 'back.out(3)', overwrite: true }
+      );
+    },
+    { dependencies: [lastAdded] }
+  );
+
+  // Opened on a section URL (e.g. /#about): land below the header once the
+  // layout and pin spacing have settled, instead of the browser's raw jump
+  useEffect(() => {
+    const id = window.location.hash.slice(1);
+    if (!sectionIds.includes(id)) return;
+
+    const land = () =>
+      scrollToSection(id, { immediate: true, updateHash: false });
+
+    if (document.readyState === 'complete') {
+      land();
+      return;
+    }
+
+    window.addEventListener('load', land, { once: true });
+    return () => window.removeEventListener('load', land);
+  }, []);
+
+  useGSAP(
+    () => {
+      const navTween = gsap.timeline({
+        scrollTrigger: {
+          trigger: navRef.current,
+          start: 'bottom top',
+        },
+      });
+
+      // The colour itself is the theme's --theme-nav-background
+      navTween.fromTo(
+        navRef.current,
+        { '--nav-fill': 0 },
+        {
+          '--nav-fill': 1,
+          duration: reduceMotion ? 0 : 1, // Snap instead of fading
+          ease: 'power1.inOut',
+        }
+      );
+    },
+    { dependencies: [reduceMotion], revertOnUpdate: true }
+  );
+
+  // Preference controls, inline on desktop and inside the drawer on mobile
+  const settings = (
+    <>
+      {/* Persisted reduced-motion toggle, defaults to the OS setting */}
+      <button
+        type="button"
+        className="motion-toggle"
+        onClick={toggleReduceMotion}
+        aria-pressed={reduceMotion}
+      >
+        {t('nav.reduceMotion')}
+      </button>
+
+      {/* Language switcher, persisted and defaulting to the browser language */}
+      <label className="language-switcher">
+        <span className="sr-only">{t('nav.language')}</span>
+        <select
+          value={locale}
+          onChange={event => setLocale(event.target.value)}
+        >
+          {Object.entries(locales).map(([code, { label }]) => (
+            <option key={code} value={code} lang={code}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {/* Theme switcher, persisted and defaulting to the seasonal theme */}
+      <label className="theme-switcher">
+        <span className="sr-only">{t('nav.theme')}</span>
+        <select
+          value={themePreference}
+          onChange={event => setThemePreference(event.target.value)}
+        >
+          <option value="auto">{t('theme.auto')}</option>
+          {themes.map(id => (
+            <option key={id} value={id}>
+              {t(`theme.names.${id}`, { defaultValue: id })}
+            </option>
+          ))}
+        </select>
+      </label>
+    </>
+  );
+
+  // Opens the order-ahead drawer; the count is announced in the label
+  const cartToggle = (
+    <button
+      type="button"
+      className="cart-toggle"
+      onClick={openCartFromNav}
+      aria-expanded={isCartOpen}
+      aria-controls="cart-drawer"
+      aria-label={t('cart.open', { count: cart.count })}
+    >
+      <span aria-hidden="true">{t('cart.title')}</span>
+      <span ref={cartCountRef} className="cart-count" aria-hidden="true">
+        {cart.count}
+      </span>
+    </button>
+  );
 
   return (
-    <nav>
+    <nav ref={navRef}>
       <div>
-        <a href="#hero" className="flex items-center gap-2">
-          <img src="/images/logo.png" alt="logo" />
-          <p>Velvet Pour</p>
+        <a
+          href="#hero"
+          className="flex items-center gap-2"
+          onClick={
+            isDrawerOpen
+              ? navigateFromDrawer('hero')
+              : navigateTo('hero', reduceMotion)
+          }
+        >
+          <img src="/images/logo.png" alt={t('nav.logoAlt')} />
+          <p>{businessProfile.name}</p>
         </a>
 
-        <ul>
-          {navLinks.map(link => (
-            <li key={link.id}>
-              <a href={`#${link.id}`}>{link.title}</a>
-            </li>
-          ))}
-        </ul>
+        {isMobile ? (
+          <>
+            {cartToggle}
+
+            {/* Hamburger toggle, morphs into a close icon while open */}
+            <button
+              type="button"
+              className="menu-toggle"
+              onClick={() => setIsDrawerOpen(!isDrawerOpen)}
+              aria-expanded={isDrawerOpen}
+              aria-controls={DRAWER_ID}
+              aria-label={isDrawerOpen ? t('nav.closeMenu') : t('nav.openMenu')}
+            >
+              <span aria-hidden="true" />
+              <span aria-hidden="true" />
+              <span aria-hidden="true" />
+            </button>
+          </>
+        ) : (
+          <>
+            {/* Section links with scroll-spy highlighting */}
+            <ul>
+              {navLinks.map(link => (
+                <li key={link.id}>
+                  <a
+                    ref={element => (linkRefs.current[link.id] = element)}
+                    href={`#${link.id}`}
+                    onClick={navigateTo(link.id, reduceMotion)}
+                    aria-current={activeId === link.id ? 'location' : undefined}
+                  >
+                    {t(`nav.links.${link.id}`, { defaultValue: link.title })}
+                  </a>
+                </li>
+              ))}
+              <li
+                ref={indicatorRef}
+                className="nav-indicator"
+                aria-hidden="true"
+              />
+            </ul>
+
+            {/* Live open/closed status from the business hours */}
+            <OpenStatusBadge compact />
+
+            {settings}
+
+            {cartToggle}
+          </>
+        )}
       </div>
+
+      {/* Mobile drawer with the links, status and preference controls */}
+      {isMobile && (
+        <NavDrawer
+          ref={drawerRef}
+          id={DRAWER_ID}
+          isOpen={isDrawerOpen}
+          activeId={activeId}
+          onNavigate={navigateFromDrawer}
+        >
+          {settings}
+        </NavDrawer>
+      )}
     </nav>
   );
 };
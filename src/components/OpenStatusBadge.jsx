@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Live "Open now / Closed" badge shown in the Navbar and Contact section
+ */
+
+import useOpenStatus from '../hooks/useOpenStatus';
+import useLocale from '../hooks/useLocale';
+import {
+  formatDuration,
+  formatTimeOfDay,
+  formatWeekday,
+} from '../utils/openingHours';
+
+// Show a countdown instead of the closing time within this many minutes
+const COUNTDOWN_THRESHOLD = 120;
+
+/**
+ * Human-readable detail line for a status
+ *
+ * @param {ReturnType<import('../utils/openingHours').getOpenStatus>} status
+ * @param {ReturnType<typeof useLocale>} locale - Translate function and Intl tag
+ * @returns {string} E.g. 'closes in 45 min', 'until 2 AM', 'opens Tue 11 AM'
+ */
+const describeStatus = (status, { t, tag }) => {
+  if (status.isOpen) {
+    return status.closesInMinutes <= COUNTDOWN_THRESHOLD
+      ? t('openStatus.closesIn', {
+          duration: formatDuration(status.closesInMinutes, tag),
+        })
+      : t('openStatus.until', { time: formatTimeOfDay(status.closesAt, tag) });
+  }
+
+  const { nextOpening, today } = status;
+  if (!nextOpening) return t('openStatus.checkBack');
+
+  const day =
+    nextOpening.date === today.date
+      ? t('openStatus.today')
+      : formatWeekday(nextOpening.weekday, tag);
+  return t('openStatus.opens', {
+    day,
+    time: formatTimeOfDay(nextOpening.time, tag),
+  });
+};
+
+/**
+ * OpenStatusBadge Component
+ *
+ * Pill with a status dot, "Open now"/"Closed" and a detail line computed
+ * from the structured business hours in the bar's timezone.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} [props.compact=false] - Hide the detail line (Navbar)
+ * @returns {JSX.Element} The status badge
+ */
+const OpenStatusBadge = ({ compact = false }) => {
+  const status = useOpenStatus();
+  const locale = useLocale();
+  const { t } = locale;
+  const detail = describeStatus(status, locale);
+
+  return (
+    <span
+      className={`open-status ${status.isOpen ? 'is-open' : 'is-closed'}`}
+      title={compact ? detail : undefined}
+    >
+      <span className="dot" aria-hidden="true" />
+      {status.isOpen ? t('openStatus.open') : t('openStatus.closed')}
+      {status.holiday &&
+        ` · ${t(`holidays.${status.today.date}`, { defaultValue: status.holiday })}`}
+      {!compact && <span className="detail"> · {detail}</span>}
+    </span>
+  );
+};
+
+export default OpenStatusBadge;
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Drink price with any running special applied
+ */
+
+import useLocale from '../hooks/useLocale';
+import useSpecials from '../hooks/useSpecials';
+import formatPrice from '../utils/formatPrice';
+import { formatDuration } from '../utils/openingHours';
+
+/**
+ * PriceTag Component
+ *
+ * Shows the catalog price, or during a special the catalog price struck
+ * through next to the special price with a countdown to the end of the
+ * promotion. Screen readers hear "Regular price $14, Special price $10.50".
+ *
+ * @component
+ * @param {Object} props
+ * @param {import('../../constants/catalogSchema.js').CatalogItem} props.drink
+ * @param {boolean} [props.countdown=true] - Show when the special ends
+ * @returns {JSX.Element} The price
+ */
+const PriceTag = ({ drink, countdown = true }) => {
+  const { tag, t } = useLocale();
+  const { priceOf } = useSpecials();
+  const { price, listPrice, special } = priceOf(drink);
+
+  if (!special) {
+    return <span className="price-tag">{formatPrice(price, tag)}</span>;
+  }
+
+  return (
+    <span className="price-tag special">
+      <del>
+        <span className="sr-only">{t('specials.listPrice')} </span>
+        {formatPrice(listPrice, tag)}
+      </del>{' '}
+      <ins>
+        <span className="sr-only">{t('specials.specialPrice')} </span>
+        {formatPrice(price, tag)}
+      </ins>
+      {countdown && (
+        <small>
+          {t('specials.endsIn', {
+            name: t(`specials.names.${special.id}`, {
+              defaultValue: special.id,
+            }),
+            duration: formatDuration(special.endsInMinutes, tag),
+          })}
+        </small>
+      )}
+    </span>
+  );
+};
+
+export default PriceTag;
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Full recipe panel for the Menu slider
+ * Ingredient list with serving scaling and metric/imperial units, method steps,
+ * glassware, garnish and allergens for the currently selected cocktail
+ */
+
+import { useState } from 'react';
+import useLocale from '../hooks/useLocale';
+import DietaryBadges from './DietaryBadges';
+import {
+  MAX_SERVINGS,
+  MIN_SERVINGS,
+  clampServings,
+  formatAmount,
+} from '../utils/recipe';
+
+// Measurement systems offered by the unit toggle
+const UNIT_SYSTEMS = [
+  { id: 'metric', label: 'ml' },
+  { id: 'imperial', label: 'oz' },
+];
+
+/**
+ * RecipeSheet Component
+ *
+ * Renders the complete recipe for one catalog drink:
+ * - Servings stepper (1–12) that rescales every ingredient quantity
+ * - ml/oz toggle for liquid measures
+ * - Numbered method steps
+ * - Glassware and garnish details
+ * - Allergen and diet badges, flagged against the guest's preferences
+ *
+ * Servings and unit choices live here so they persist while the guest moves
+ * through the slider. Entrance animations are driven by Menu's useGSAP.
+ *
+ * @component
+ * @param {Object} props
+ * @param {import('../../constants/catalogSchema.js').CatalogItem} props.cocktail - Drink to show
+ * @returns {JSX.Element} The recipe panel
+ */
+const RecipeSheet = ({ cocktail }) => {
+  const [servings, setServings] = useState(MIN_SERVINGS);
+  const [system, setSystem] = useState('metric');
+  const { t } = useLocale();
+
+  const changeServings = delta => setServings(clampServings(servings + delta));
+
+  return (
+    <div className="recipe-sheet">
+      {/* Ingredients with scaling controls */}
+      <div className="ingredients">
+        <div className="sheet-heading">
+          <h3>{t('recipe.ingredients')}</h3>
+
+          <div className="controls">
+            {/* Servings stepper */}
+            <div
+              className="servings"
+              role="group"
+              aria-label={t('recipe.servingsLabel')}
+            >
+              <button
+                type="button"
+                onClick={() => changeServings(-1)}
+                disabled={servings <= MIN_SERVINGS}
+                aria-label={t('recipe.fewerServings')}
+              >
+                −
+              </button>
+              <output aria-live="polite">
+                {t('recipe.servings', { count: servings })}
+              </output>
+              <button
+                type="button"
+                onClick={() => changeServings(1)}
+                disabled={servings >= MAX_SERVINGS}
+                aria-label={t('recipe.moreServings')}
+              >
+                +
+              </button>
+            </div>
+
+            {/* Metric / imperial toggle */}
+            <div className="units" role="group" aria-label={t('recipe.units')}>
+              {UNIT_SYSTEMS.map(({ id, label }) => (
+                <button
+                  key={id}
+                  type="button"
+                  onClick={() => setSystem(id)}
+                  aria-pressed={system === id}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <ul>
+          {cocktail.ingredients.map(ingredient => (
+            <li key={ingredient.name}>
+              <span>{ingredient.name}</span>
+              <span>{formatAmount(ingredient, servings, system)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* Method steps */}
+      <div className="method">
+        <h3>{t('recipe.method')}</h3>
+        <ol>
+          {cocktail.method.map(step => (
+            <li key={step}>{step}</li>
+          ))}
+        </ol>
+      </div>
+
+      {/* Serving details */}
+      <dl className="serve">
+        <div>
+          <dt>{t('recipe.glassware')}</dt>
+          <dd>{cocktail.glassware}</dd>
+        </div>
+        {cocktail.garnish && (
+          <div>
+            <dt>{t('recipe.garnish')}</dt>
+            <dd>{cocktail.garnish}</dd>
+          </div>
+        )}
+        <div>
+          <dt>{t('dietary.recipeHeading')}</dt>
+          <dd>
+            <DietaryBadges drink={cocktail} labelled />
+          </dd>
+        </div>
+      </dl>
+    </div>
+  );
+};
+
+export default RecipeSheet;
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview "Book a table" form for the Contact section
+ * Validates against opening hours and submits through a pluggable reservations client
+ */
+
+import { useRef, useState } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import useMotion from '../hooks/useMotion';
+import useLocale from '../hooks/useLocale';
+import { formatTimeOfDay } from '../utils/openingHours';
+import {
+  MAX_PARTY_SIZE,
+  MIN_PARTY_SIZE,
+  ReservationError,
+  reservationsClient,
+  toDateInputValue,
+  validateReservation,
+} from '../services/reservations';
+
+// Blank form state; party size is kept as a string while editing
+const EMPTY_FORM = {
+  date: '',
+  time: '',
+  partySize: '2',
+  name: '',
+  phone: '',
+  notes: '',
+};
+
+/**
+ * Format a booked 'YYYY-MM-DD' date for the confirmation ('Sat, Nov 14')
+ *
+ * @param {string} date - Calendar date in the bar's timezone
+ * @param {string} tag - BCP 47 locale
+ * @returns {string} Localized date
+ */
+const formatBookingDate = (date, tag) =>
+  new Intl.DateTimeFormat(tag, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC', // The string is already a bar-local calendar date
+  }).format(new Date(`${date}T00:00Z`));
+
+/**
+ * ReservationForm Component
+ *
+ * Features:
+ * - Date, time, party size, name, phone and notes fields
+ * - Client-side validation against the weekly opening hours
+ * - Inline, screen-reader friendly field errors (aria-invalid/aria-describedby)
+ * - Animated confirmation card once the booking is accepted
+ * - Labels, errors and the confirmed date/time in the active language
+ *
+ * @component
+ * @param {Object} props
+ * @param {{ createReservation: Function }} [props.client] - Reservations
+ *   backend; defaults to the HTTP client or the in-memory mock
+ * @returns {JSX.Element} The reservation form or its confirmation
+ */
+const ReservationForm = ({ client = reservationsClient }) => {
+  const confirmationRef = useRef();
+  const { reduceMotion } = useMotion();
+  const { locale, tag, t } = useLocale();
+
+  const [values, setValues] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [reservation, setReservation] = useState(null);
+
+  /**
+   * Confirmation Animation
+   *
+   * Pops the confirmation card in and cascades its lines once a booking
+   * succeeds. Reduced-motion mode uses a plain fade.
+   */
+  useGSAP(
+    () => {
+      if (!reservation) return;
+
+      if (reduceMotion) {
+        gsap.from(confirmationRef.current, { opacity: 0, duration: 0.4 });
+        return;
+      }
+
+      gsap
+        .timeline()
+        .from(confirmationRef.current, {
+          opacity: 0,
+          scale: 0.9,
+          y: 40,
+          duration: 0.8,
+          ease: 'expo.out',
+        })
+        .from(
+          confirmationRef.current.children,
+          { opacity: 0, yPercent: 100, stagger: 0.08, ease: 'power1.inOut' },
+          '-=0.4'
+        );
+    },
+    { dependencies: [reservation], revertOnUpdate: true }
+  );
+
+  const updateField = event => {
+    const { name, value } = event.target;
+    setValues(current => ({ ...current, [name]: value }));
+    setErrors(current => ({ ...current, [name]: undefined }));
+  };
+
+  const handleSubmit = async event => {
+    event.preventDefault();
+
+    const request = {
+      ...values,
+      partySize: Number(values.partySize),
+      name: values.name.trim(),
+      phone: values.phone.trim(),
+      notes: values.notes.trim(),
+    };
+
+    const fieldErrors = validateReservation(request, new Date(), t);
+    setErrors(fieldErrors);
+    setFormError('');
+    if (Object.keys(fieldErrors).length > 0) return;
+
+    setIsSubmitting(true);
+    try {
+      setReservation(await client.createReservation(request, { locale }));
+      setValues(EMPTY_FORM);
+    } catch (error) {
+      if (error instanceof ReservationError) {
+        setErrors(error.fieldErrors);
+        setFormError(error.message);
+      } else {
+        setFormError(t('reservation.failed'));
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Shared props wiring a field to its state and error message
+   *
+   * @param {string} name - Field name in the form state
+   * @returns {Object} Props for the input element
+   */
+  const fieldProps = name => ({
+    id: `reservation-${name}`,
+    name,
+    value: values[name],
+    onChange: updateField,
+    'aria-invalid': Boolean(errors[name]),
+    'aria-describedby': errors[name] ? `reservation-${name}-error` : undefined,
+  });
+
+  const renderError = name =>
+    errors[name] && (
+      <span id={`reservation-${name}-error`} className="field-error">
+        {errors[name]}
+      </span>
+    );
+
+  if (reservation) {
+    return (
+      <div
+        ref={confirmationRef}
+        className="reservation-confirmation"
+        role="status"
+      >
+        <h4>{t('reservation.confirmed', { name: reservation.name })}</h4>
+        <span>
+          {t('reservation.summary', {
+            count: reservation.partySize,
+            date: formatBookingDate(reservation.date, tag),
+            time: formatTimeOfDay(reservation.time, tag),
+          })}
+        </span>
+        <span>{t('reservation.confirmation', { id: reservation.id })}</span>
+        <button type="button" onClick={() => setReservation(null)}>
+          {t('reservation.bookAnother')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="reservation" onSubmit={handleSubmit} noValidate>
+      <label htmlFor="reservation-date">
+        {t('reservation.date')}
+        <input
+          type="date"
+          min={toDateInputValue(new Date())}
+          required
+          {...fieldProps('date')}
+        />
+        {renderError('date')}
+      </label>
+
+      <label htmlFor="reservation-time">
+        {t('reservation.time')}
+        <input type="time" step={900} required {...fieldProps('time')} />
+        {renderError('time')}
+      </label>
+
+      <label htmlFor="reservation-partySize">
+        {t('reservation.partySize')}
+        <input
+          type="number"
+          min={MIN_PARTY_SIZE}
+          max={MAX_PARTY_SIZE}
+          required
+          {...fieldProps('partySize')}
+        />
+        {renderError('partySize')}
+      </label>
+
+      <label htmlFor="reservation-name">
+        {t('reservation.name')}
+        <input
+          type="text"
+          autoComplete="name"
+          required
+          {...fieldProps('name')}
+        />
+        {renderError('name')}
+      </label>
+
+      <label htmlFor="reservation-phone">
+        {t('reservation.phone')}
+        <input
+          type="tel"
+          autoComplete="tel"
+          required
+          {...fieldProps('phone')}
+        />
+        {renderError('phone')}
+      </label>
+
+      <label htmlFor="reservation-notes" className="wide">
+        {t('reservation.notes')}
+        <textarea rows={2} maxLength={500} {...fieldProps('notes')} />
+        {renderError('notes')}
+      </label>
+
+      {formError && (
+        <span className="form-error wide" role="alert">
+          {formError}
+        </span>
+      )}
+
+      <button type="submit" className="wide" disabled={isSubmitting}>
+        {isSubmitting ? t('reservation.submitting') : t('reservation.submit')}
+      </button>
+    </form>
+  );
+};
+
+export default ReservationForm;
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview "Leave a review" form for the Reviews section
+ * Submits through a pluggable reviews client; new reviews wait for moderation
+ */
+
+import { useRef, useState } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import useMotion from '../hooks/useMotion';
+import useLocale from '../hooks/useLocale';
+import { RATING_SCALE } from '../utils/reviews';
+import {
+  MAX_AUTHOR_LENGTH,
+  MAX_TEXT_LENGTH,
+  ReviewError,
+  reviewsClient,
+  validateReview,
+} from '../services/reviews';
+
+// Blank form state; the rating is kept as a string while editing
+const EMPTY_FORM = {
+  author: '',
+  rating: '',
+  text: '',
+};
+
+// Star values offered, 1 to RATING_SCALE
+const STARS = Array.from({ length: RATING_SCALE }, (_, i) => i + 1);
+
+/**
+ * ReviewForm Component
+ *
+ * Features:
+ * - Name, star rating (radio group) and review text fields
+ * - Client-side validation with inline, screen-reader friendly errors
+ *   (aria-invalid/aria-describedby)
+ * - Submissions are held for moderation: the confirmation says so, and the
+ *   review isn't added to the list on the page
+ * - Labels, errors and the confirmation in the active language
+ *
+ * @component
+ * @param {Object} props
+ * @param {{ submitReview: Function }} [props.client] - Reviews backend;
+ *   defaults to the HTTP client or the in-memory mock
+ * @returns {JSX.Element} The review form or its confirmation
+ */
+const ReviewForm = ({ client = reviewsClient }) => {
+  const confirmationRef = useRef();
+  const { reduceMotion } = useMotion();
+  const { locale, t } = useLocale();
+
+  const [values, setValues] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(null);
+
+  /**
+   * Confirmation Animation
+   *
+   * Pops the confirmation card in once a review is accepted for
+   * moderation. Reduced-motion mode uses a plain fade.
+   */
+  useGSAP(
+    () => {
+      if (!submitted) return;
+
+      if (reduceMotion) {
+        gsap.from(confirmationRef.current, { opacity: 0, duration: 0.4 });
+        return;
+      }
+
+      gsap.from(confirmationRef.current, {
+        opacity: 0,
+        scale: 0.9,
+        y: 40,
+        duration: 0.8,
+        ease: 'expo.out',
+      });
+    },
+    { dependencies: [submitted], revertOnUpdate: true }
+  );
+
+  const updateField = event => {
+    const { name, value } = event.target;
+    setValues(current => ({ ...current, [name]: value }));
+    setErrors(current => ({ ...current, [name]: undefined }));
+  };
+
+  const handleSubmit = async event => {
+    event.preventDefault();
+
+    const request = {
+      author: values.author.trim(),
+      rating: Number(values.rating),
+      text: values.text.trim(),
+      locale,
+    };
+
+    const fieldErrors = validateReview(request, t);
+    setErrors(fieldErrors);
+    setFormError('');
+    if (Object.keys(fieldErrors).length > 0) return;
+
+    setIsSubmitting(true);
+    try {
+      setSubmitted(await client.submitReview(request, { locale }));
+      setValues(EMPTY_FORM);
+    } catch (error) {
+      if (error instanceof ReviewError) {
+        setErrors(error.fieldErrors);
+        setFormError(error.message);
+      } else {
+        setFormError(t('reviews.failed'));
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Shared props wiring a field to its state and error message
+   *
+   * @param {string} name - Field name in the form state
+   * @returns {Object} Props for the input element
+   */
+  const fieldProps = name => ({
+    id: `review-${name}`,
+    name,
+    value: values[name],
+    onChange: updateField,
+    'aria-invalid': Boolean(errors[name]),
+    'aria-describedby': errors[name] ? `review-${name}-error` : undefined,
+  });
+
+  const renderError = name =>
+    errors[name] && (
+      <span id={`review-${name}-error`} className="field-error">
+        {errors[name]}
+      </span>
+    );
+
+  if (submitted) {
+    return (
+      <div ref={confirmationRef} className="review-confirmation" role="status">
+        <h4>{t('reviews.thanks', { name: submitted.author })}</h4>
+        <span>{t('reviews.pending')}</span>
+        <button type="button" onClick={() => setSubmitted(null)}>
+          {t('reviews.writeAnother')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="review-form" onSubmit={handleSubmit} noValidate>
+      <label htmlFor="review-author">
+        {t('reviews.author')}
+        <input
+          type="text"
+          autoComplete="name"
+          maxLength={MAX_AUTHOR_LENGTH}
+          required
+          {...fieldProps('author')}
+        />
+        {renderError('author')}
+      </label>
+
+      <fieldset
+        className="star-input"
+        aria-describedby={errors.rating ? 'review-rating-error' : undefined}
+      >
+        <legend>{t('reviews.rating')}</legend>
+        <div className="stars">
+          {STARS.map(star => (
+            <label
+              key={star}
+              className={star <= Number(values.rating) ? 'filled' : undefined}
+            >
+              <input
+                type="radio"
+                name="rating"
+                value={star}
+                checked={values.rating === String(star)}
+                onChange={updateField}
+                className="sr-only"
+              />
+              <span aria-hidden="true">★</span>
+              <span className="sr-only">
+                {t('reviews.stars', { count: star })}
+              </span>
+            </label>
+          ))}
+        </div>
+        {renderError('rating')}
+      </fieldset>
+
+      <label htmlFor="review-text" className="wide">
+        {t('reviews.text')}
+        <textarea
+          rows={4}
+          maxLength={MAX_TEXT_LENGTH}
+          {...fieldProps('text')}
+        />
+        {renderError('text')}
+      </label>
+
+      <p className="wide moderation-note">{t('reviews.moderationNote')}</p>
+
+      {formError && (
+        <span className="form-error wide" role="alert">
+          {formError}
+        </span>
+      )}
+
+      <button type="submit" className="wide" disabled={isSubmitting}>
+        {isSubmitting ? t('reviews.submitting') : t('reviews.submit')}
+      </button>
+    </form>
+  );
+};
+
+export default ReviewForm;
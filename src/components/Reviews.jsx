@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Guest reviews section - aggregate rating, testimonial marquee
+ * and the "leave a review" form
+ */
+
+import { useRef, useState } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import { ScrollTrigger } from 'gsap/all';
+import useLocale from '../hooks/useLocale';
+import useMotion from '../hooks/useMotion';
+import useReviews from '../hooks/useReviews';
+import useSectionReveal from '../hooks/useSectionReveal';
+import { staggerFade, wordReveal } from '../animations/presets';
+import { RATING_SCALE, formatRating, initials } from '../utils/reviews';
+import ReviewForm from './ReviewForm';
+
+// Marquee speed: seconds for one review card to scroll past
+const SECONDS_PER_REVIEW = 8;
+
+/**
+ * Play the marquee loop only while it is on screen, not hovered and not
+ * paused with the toggle button
+ *
+ * @param {gsap.core.Tween|null} loop - Marquee tween
+ * @param {{ isOnScreen: boolean, isHovered: boolean, isPaused: boolean }} state
+ */
+const syncMarquee = (loop, { isOnScreen, isHovered, isPaused }) => {
+  if (!loop) return;
+  if (isOnScreen && !isHovered && !isPaused) loop.play();
+  else loop.pause();
+};
+
+/**
+ * Format a review's 'YYYY-MM-DD' date as month and year ('Sep 2025')
+ *
+ * @param {string} date - Publication date
+ * @param {string} tag - BCP 47 locale
+ * @returns {string} Localized date
+ */
+const formatReviewDate = (date, tag) =>
+  new Intl.DateTimeFormat(tag, {
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC', // The string is a calendar date, not an instant
+  }).format(new Date(`${date}T00:00Z`));
+
+/**
+ * Stars Component
+ *
+ * Star rating read out as a single phrase ("Rated 4.5 out of 5").
+ *
+ * @component
+ * @param {Object} props
+ * @param {number} props.value - Rating, may be fractional
+ * @returns {JSX.Element} The stars
+ */
+const Stars = ({ value }) => {
+  const { tag, t } = useLocale();
+
+  return (
+    <span
+      className="stars"
+      role="img"
+      aria-label={t('reviews.ratingLabel', {
+        value: formatRating(value, tag),
+        best: RATING_SCALE,
+      })}
+    >
+      {Array.from({ length: RATING_SCALE }, (_, i) => (
+        <span
+          key={i}
+          aria-hidden="true"
+          className={i < Math.round(value) ? 'filled' : undefined}
+        >
+          ★
+        </span>
+      ))}
+    </span>
+  );
+};
+
+/**
+ * ReviewCard Component
+ *
+ * One testimonial: stars, the review text (in the language it was written
+ * in), and the author's avatar or initials with the review date.
+ *
+ * @component
+ * @param {Object} props
+ * @param {import('../utils/reviews').Review} props.review - Review to show
+ * @returns {JSX.Element} The card
+ */
+const ReviewCard = ({ review }) => {
+  const { tag } = useLocale();
+
+  return (
+    <li className="review-card">
+      <figure>
+        <Stars value={review.rating} />
+        <blockquote lang={review.locale}>
+          <p>{review.text}</p>
+        </blockquote>
+        <figcaption>
+          {review.avatar ? (
+            <img src={review.avatar} alt="" className="avatar" />
+          ) : (
+            <span className="avatar" aria-hidden="true">
+              {initials(review.author)}
+            </span>
+          )}
+          <cite>{review.author}</cite>
+          <time dateTime={review.date}>
+            {formatReviewDate(review.date, tag)}
+          </time>
+        </figcaption>
+      </figure>
+    </li>
+  );
+};
+
+/**
+ * Reviews Component
+ *
+ * Features:
+ * - Aggregate rating computed from the published reviews
+ * - Testimonial marquee: the cards scroll sideways in an endless GSAP loop
+ *   (a second, hidden copy of the list closes the gap), paused on hover,
+ *   with the pause button and while the section is off screen
+ * - Reduced-motion mode shows a still, horizontally scrollable row instead
+ * - "Leave a review" form; submissions are held for moderation
+ * - Heading word reveal and staggered fade-in on scroll
+ *
+ * Dependencies:
+ * - ../hooks/useReviews: Published reviews and their aggregate rating
+ * - ./ReviewForm: Review submission form
+ *
+ * @component
+ * @returns {JSX.Element} The reviews section
+ */
+const Reviews = () => {
+  const sectionRef = useRef();
+  const marqueeRef = useRef();
+  const trackRef = useRef();
+  const loopRef = useRef(null); // Marquee tween
+  // What currently allows the marquee to play; read by event handlers
+  const marqueeStateRef = useRef({
+    isOnScreen: false,
+    isHovered: false,
+    isPaused: false,
+  });
+  const [isPaused, setIsPaused] = useState(false);
+
+  const { copyKey, tag, t } = useLocale();
+  const { reduceMotion } = useMotion();
+  const { reviews, summary } = useReviews();
+
+  // Heading words slide up, then the summary, marquee and form fade in
+  useSectionReveal({
+    scope: sectionRef,
+    reducedTargets: 'h2, .review-summary, .marquee, .review-panel',
+    build: timeline =>
+      timeline
+        .add(wordReveal('h2'))
+        .add(staggerFade('.review-summary, .marquee, .review-panel'), '-=0.5'),
+    dependencies: [copyKey],
+  });
+
+  /**
+   * Marquee Animation
+   *
+   * Moves the track left by half its width (one copy of the list) on an
+   * endless linear loop, so the copy takes the original's place seamlessly.
+   * A ScrollTrigger pauses it off screen and hovering pauses it too.
+   */
+  useGSAP(
+    () => {
+      if (reduceMotion || reviews.length === 0) return;
+
+      const marquee = marqueeRef.current;
+      const state = marqueeStateRef.current;
+      state.isOnScreen = false; // Until this build's ScrollTrigger says so
+      const loop = (loopRef.current = gsap.to(trackRef.current, {
+        xPercent: -50,
+        duration: reviews.length * SECONDS_PER_REVIEW,
+        ease: 'none',
+        repeat: -1,
+        paused: true,
+      }));
+
+      ScrollTrigger.create({
+        trigger: marquee,
+        start: 'top bottom',
+        end: 'bottom top',
+        onToggle: self => {
+          state.isOnScreen = self.isActive;
+          syncMarquee(loop, state);
+        },
+      });
+
+      const hover = event => {
+        state.isHovered = event.type === 'pointerenter';
+        syncMarquee(loop, state);
+      };
+      marquee.addEventListener('pointerenter', hover);
+      marquee.addEventListener('pointerleave', hover);
+
+      return () => {
+        loopRef.current = null;
+        marquee.removeEventListener('pointerenter', hover);
+        marquee.removeEventListener('pointerleave', hover);
+      };
+    },
+    {
+      scope: sectionRef,
+      dependencies: [reviews, reduceMotion],
+      revertOnUpdate: true,
+    }
+  );
+
+  const togglePaused = () => {
+    const next = !isPaused;
+    marqueeStateRef.current.isPaused = next;
+    syncMarquee(loopRef.current, marqueeStateRef.current);
+    setIsPaused(next);
+  };
+
+  return (
+    <section id="reviews" ref={sectionRef}>
+      <div className="heading">
+        <p className="badge">{t('reviews.badge')}</p>
+        <h2 key={copyKey}>{t('reviews.heading')}</h2>
+      </div>
+
+      <div className="review-summary">
+        <p className="score">
+          <span>{formatRating(summary.value, tag)}</span>/{summary.best}
+        </p>
+        <Stars value={summary.value} />
+        <p className="count">{t('reviews.count', { count: summary.count })}</p>
+      </div>
+
+      {!reduceMotion && (
+        <button
+          type="button"
+          className="marquee-toggle"
+          aria-pressed={isPaused}
+          onClick={togglePaused}
+        >
+          {t('reviews.pause')}
+        </button>
+      )}
+
+      <div
+        ref={marqueeRef}
+        className={`marquee${reduceMotion ? ' still' : ''}`}
+        role="region"
+        aria-label={t('reviews.listLabel')}
+        tabIndex={reduceMotion ? 0 : undefined}
+      >
+        <div ref={trackRef} className="marquee-track">
+          <ul>
+            {reviews.map(review => (
+              <ReviewCard key={review.id} review={review} />
+            ))}
+          </ul>
+
+          {/* Second copy for the seamless loop; hidden from assistive tech */}
+          {!reduceMotion && (
+            <ul aria-hidden="true" inert>
+              {reviews.map(review => (
+                <ReviewCard key={review.id} review={review} />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="review-panel">
+        <h3>{t('reviews.formHeading')}</h3>
+        <ReviewForm />
+      </div>
+    </section>
+  );
+};
+
+export default Reviews;
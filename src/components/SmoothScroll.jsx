@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Mount point for the page's smooth-scroll layer
+ */
+
+import useSmoothScroll from '../hooks/useSmoothScroll';
+
+/**
+ * SmoothScroll Component
+ *
+ * Renders nothing; it only runs useSmoothScroll, which needs the motion
+ * preference from MotionProvider and so can't live in App itself.
+ *
+ * @component
+ * @returns {null}
+ */
+const SmoothScroll = () => {
+  useSmoothScroll();
+  return null;
+};
+
+export default SmoothScroll;
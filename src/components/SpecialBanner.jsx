@@ -0,0 +1,127 @@
+/**
+ * @fileoverview "Happy Hour now" banner shown in the Hero while a special runs
+ */
+
+import { useRef } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import { catalog } from '../../constants/catalog.js';
+import { motionTokens } from '../../constants/index.js';
+import useLocale from '../hooks/useLocale';
+import useMotion from '../hooks/useMotion';
+import useSpecials from '../hooks/useSpecials';
+import formatPrice from '../utils/formatPrice';
+import { formatDuration } from '../utils/openingHours';
+import { reducedFade } from '../animations/presets';
+import { scrollToSection } from '../utils/sectionScroll';
+
+// Fixed discounts are in the catalog's (single) currency
+const CURRENCY = catalog[0]?.price.currency ?? 'USD';
+
+/**
+ * What a special offers, e.g. '25% off cocktails'
+ *
+ * @param {import('../utils/specials').ActiveSpecial} special - Running rule
+ * @param {ReturnType<typeof useLocale>} locale - Translate function and Intl tag
+ * @returns {string} Localized offer
+ */
+const describeOffer = ({ discount, scope = {} }, { t, tag }) => {
+  const amount =
+    discount.percent !== undefined
+      ? t('specials.percentOff', { value: discount.percent })
+      : t('specials.amountOff', {
+          amount: formatPrice(
+            { amount: discount.amount, currency: CURRENCY },
+            tag
+          ),
+        });
+  const covered = scope.items
+    ? t('specials.scopes.items')
+    : scope.categories?.length === 1
+      ? t(`specials.scopes.${scope.categories[0]}`)
+      : t('specials.scopes.all');
+
+  return t('specials.offer', { discount: amount, scope: covered });
+};
+
+/**
+ * SpecialBanner Component
+ *
+ * Features:
+ * - Shown only while a rule flagged `banner` runs (e.g. Happy Hour), with
+ *   its offer and a live "ends in" countdown
+ * - Drops in and keeps a pulsing "live" dot; a plain fade and a still dot in
+ *   reduced-motion mode
+ * - Links to the drink lists, where the special prices are shown
+ *
+ * @component
+ * @returns {JSX.Element|null} The banner, or nothing outside the promotion
+ */
+const SpecialBanner = () => {
+  const bannerRef = useRef();
+  const locale = useLocale();
+  const { t, tag } = locale;
+  const { reduceMotion } = useMotion();
+  const { banner } = useSpecials();
+
+  useGSAP(
+    () => {
+      if (!bannerRef.current) return;
+
+      if (reduceMotion) {
+        reducedFade(bannerRef.current);
+        return;
+      }
+
+      gsap.from(bannerRef.current, {
+        yPercent: -120,
+        opacity: 0,
+        duration: motionTokens.duration.base,
+        ease: motionTokens.ease.reveal,
+      });
+      gsap.to('.live-dot span', {
+        scale: 2.4,
+        opacity: 0,
+        duration: 1.2,
+        ease: 'power1.out',
+        repeat: -1,
+      });
+    },
+    {
+      scope: bannerRef,
+      dependencies: [banner?.id, reduceMotion],
+      revertOnUpdate: true,
+    }
+  );
+
+  if (!banner) return null;
+
+  const name = t(`specials.names.${banner.id}`, { defaultValue: banner.id });
+  const offer = describeOffer(banner, locale);
+
+  return (
+    <a
+      ref={bannerRef}
+      href="#cocktails"
+      className="special-banner"
+      aria-label={t('specials.bannerLabel', { name, offer })}
+      onClick={event => {
+        event.preventDefault();
+        scrollToSection('cocktails', { immediate: reduceMotion });
+      }}
+    >
+      <span className="live-dot" aria-hidden="true">
+        <span />
+      </span>
+      <strong>{t('specials.live', { name })}</strong>
+      <span>{offer}</span>
+      <span className="ends">
+        {t('specials.endsSoon', {
+          duration: formatDuration(banner.endsInMinutes, tag),
+        })}
+      </span>
+    </a>
+  );
+};
+
+export default SpecialBanner;
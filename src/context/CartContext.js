@@ -0,0 +1,33 @@
+/**
+ * @fileoverview React context holding the order-ahead basket
+ * Consumed through the useCart hook and populated by CartProvider
+ */
+
+import { createContext } from 'react';
+import { priceCart } from '../utils/cart.js';
+
+/**
+ * Cart Context
+ *
+ * Shape:
+ * - lines: Basket lines ({ slug, quantity }), persisted to localStorage
+ * - cart: Lines priced from the catalog with count, subtotal, tax and total
+ * - lastAdded: Most recent addition ({ slug, id }), for announcements
+ * - isOpen: Whether the cart drawer is shown
+ * - add / setQuantity / remove / clear: Basket updates
+ * - openCart / closeCart: Drawer visibility
+ */
+const CartContext = createContext({
+  lines: [],
+  cart: priceCart([]),
+  lastAdded: null,
+  isOpen: false,
+  add: () => {},
+  setQuantity: () => {},
+  remove: () => {},
+  clear: () => {},
+  openCart: () => {},
+  closeCart: () => {},
+});
+
+export default CartContext;
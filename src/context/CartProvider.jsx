@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Provider for the order-ahead basket and the cart drawer state
+ * Restores the basket from localStorage and keeps it in sync
+ */
+
+import { useCallback, useEffect, useMemo, useReducer, useState } from 'react';
+import CartContext from './CartContext.js';
+import { ordering } from '../../constants/index.js';
+import useSpecials from '../hooks/useSpecials';
+import { cartReducer, parseCartLines, priceCart } from '../utils/cart.js';
+
+// localStorage key holding the basket lines
+const STORAGE_KEY = 'velvet-pour:cart';
+
+/**
+ * Read the persisted basket, dropping anything no longer in the catalog;
+ * empty when storage is unavailable or corrupt
+ *
+ * @returns {import('../utils/cart.js').CartLine[]} Stored lines
+ */
+const readStoredLines = () => {
+  try {
+    return parseCartLines(
+      JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? '[]')
+    );
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * CartProvider Component
+ *
+ * Supplies the basket to the whole page:
+ * - Lines restored from localStorage and saved on every change
+ * - Prices, tax and totals derived from the catalog and the running
+ *   specials on each update
+ * - Drawer open/closed state shared by the Navbar button and CartDrawer
+ *
+ * @component
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Page content consuming the context
+ * @returns {JSX.Element} Context provider wrapping the application
+ */
+const CartProvider = ({ children }) => {
+  const [lines, dispatch] = useReducer(cartReducer, undefined, readStoredLines);
+  const [lastAdded, setLastAdded] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const { active } = useSpecials();
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(lines));
+    } catch {
+      // Storage can be unavailable; the basket still works for this visit
+    }
+  }, [lines]);
+
+  // `id` changes on every call, so adding the same drink twice re-announces
+  const add = useCallback((slug, quantity = 1) => {
+    dispatch({ type: 'add', slug, quantity });
+    setLastAdded(current => ({ slug, id: (current?.id ?? 0) + 1 }));
+  }, []);
+
+  const setQuantity = useCallback(
+    (slug, quantity) => dispatch({ type: 'setQuantity', slug, quantity }),
+    []
+  );
+  const remove = useCallback(slug => dispatch({ type: 'remove', slug }), []);
+  const clear = useCallback(() => dispatch({ type: 'clear' }), []);
+  const openCart = useCallback(() => setIsOpen(true), []);
+  const closeCart = useCallback(() => setIsOpen(false), []);
+
+  const value = useMemo(
+    () => ({
+      lines,
+      cart: priceCart(lines, ordering.taxRate, active),
+      lastAdded,
+      isOpen,
+      add,
+      setQuantity,
+      remove,
+      clear,
+      openCart,
+      closeCart,
+    }),
+    [
+      lines,
+      active,
+      lastAdded,
+      isOpen,
+      add,
+      setQuantity,
+      remove,
+      clear,
+      openCart,
+      closeCart,
+    ]
+  );
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+};
+
+export default CartProvider;
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview React context holding the drink search, filter chips and
+ * dietary preferences
+ * Consumed through the useCatalogFilters hook and populated by CatalogFilterProvider
+ */
+
+import { createContext } from 'react';
+import { EMPTY_FILTERS } from '../utils/catalogSearch.js';
+import { EMPTY_PREFERENCES } from '../utils/dietary.js';
+
+/**
+ * Catalog Filter Context
+ *
+ * Shape:
+ * - filters: Active search text and chips, mirrored in the URL query
+ * - matches: Slugs of the drinks that pass (and, in 'hide' mode, suit the
+ *   dietary preferences), mapped to their rank
+ * - isFiltering: Whether anything narrows the lists
+ * - options: Chip values offered (countries, spirit bases, price ranges)
+ * - preferences: Allergens to avoid, diets to keep and whether unsuitable
+ *   drinks are flagged or hidden, persisted to localStorage
+ * - updateFilters / toggleFilter / clearFilters: Filter changes
+ * - updatePreferences / togglePreference: Dietary preference changes
+ * - subscribe: Register a callback run just before the filters or
+ *   preferences change
+ *   (used to record GSAP Flip state while the old layout is still rendered)
+ */
+const CatalogFilterContext = createContext({
+  filters: EMPTY_FILTERS,
+  matches: new Map(),
+  isFiltering: false,
+  options: { countries: [], bases: [], priceRanges: [], currency: 'USD' },
+  preferences: EMPTY_PREFERENCES,
+  updateFilters: () => {},
+  toggleFilter: () => {},
+  clearFilters: () => {},
+  updatePreferences: () => {},
+  togglePreference: () => {},
+  subscribe: () => () => {},
+});
+
+export default CatalogFilterContext;
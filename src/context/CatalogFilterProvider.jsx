@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Provider for the drink search, filter chips and dietary
+ * preferences
+ * Restores the filters from the URL query and keeps the address bar in sync;
+ * the dietary preferences are the guest's own and stay in localStorage
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import CatalogFilterContext from './CatalogFilterContext.js';
+import { catalog } from '../../constants/catalog.js';
+import {
+  EMPTY_FILTERS,
+  clampQuery,
+  filtersKey,
+  getFilterOptions,
+  isFiltering,
+  parseFilters,
+  searchCatalog,
+  writeFilters,
+} from '../utils/catalogSearch.js';
+import {
+  EMPTY_PREFERENCES,
+  isSuitable,
+  parsePreferences,
+  preferencesKey,
+} from '../utils/dietary.js';
+
+// localStorage key holding the guest's dietary preferences
+const STORAGE_KEY = 'velvet-pour:dietary';
+
+// Chip values offered, derived once from the catalog
+const options = getFilterOptions(catalog);
+
+/**
+ * Read the filters named by the current URL
+ *
+ * @returns {import('../utils/catalogSearch.js').CatalogFilters} Filters
+ */
+const readFilters = () =>
+  parseFilters(new URLSearchParams(window.location.search), options);
+
+/**
+ * Read the persisted dietary preferences, falling back to none when storage
+ * is unavailable or holds something unreadable
+ *
+ * @returns {import('../utils/dietary.js').DietaryPreferences} Preferences
+ */
+const readStoredPreferences = () => {
+  try {
+    return parsePreferences(
+      JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+    );
+  } catch {
+    return EMPTY_PREFERENCES;
+  }
+};
+
+/**
+ * CatalogFilterProvider Component
+ *
+ * Supplies the search state to the Cocktails lists and the Menu tabs:
+ * - Filters restored from `?q=…&type=…&country=…&base=…&price=…` on load
+ *   and after Back/Forward
+ * - The URL query is replaced (no history entry per keystroke) on every
+ *   change; the hash and unrelated parameters are kept
+ * - Dietary preferences (allergens to avoid, diets to keep, flag or hide)
+ *   restored from localStorage and saved on every change; in 'hide' mode
+ *   unsuitable drinks drop out of the matches like filtered ones
+ * - Matching drinks and their ranks computed once for every consumer
+ * - Subscribers are called synchronously before each filter or preference
+ *   change, while the old layout is still on screen, so they can record
+ *   GSAP Flip state
+ *
+ * @component
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Page content consuming the context
+ * @returns {JSX.Element} Context provider wrapping the application
+ */
+const CatalogFilterProvider = ({ children }) => {
+  const [filters, setFilters] = useState(readFilters);
+  const filtersRef = useRef(filters); // Latest filters, for stable callbacks
+  const [preferences, setPreferences] = useState(readStoredPreferences);
+  const preferencesRef = useRef(preferences); // Latest, for stable callbacks
+  const listenersRef = useRef(new Set());
+
+  /**
+   * Switch to a new filter set, notifying subscribers first. No-op when
+   * nothing actually changes, so no Flip state is left behind.
+   */
+  const apply = useCallback(next => {
+    if (filtersKey(next) === filtersKey(filtersRef.current)) return;
+
+    listenersRef.current.forEach(listener => listener());
+    filtersRef.current = next;
+    setFilters(next);
+  }, []);
+
+  const updateFilters = useCallback(
+    changes => {
+      const next = { ...filtersRef.current, ...changes };
+      apply({ ...next, query: clampQuery(next.query) });
+    },
+    [apply]
+  );
+
+  // Chips within a group toggle independently
+  const toggleFilter = useCallback(
+    (key, value) => {
+      const values = filtersRef.current[key];
+      updateFilters({
+        [key]: values.includes(value)
+          ? values.filter(item => item !== value)
+          : [...values, value],
+      });
+    },
+    [updateFilters]
+  );
+
+  const clearFilters = useCallback(() => apply(EMPTY_FILTERS), [apply]);
+
+  /**
+   * Update and persist the dietary preferences, notifying subscribers first
+   *
+   * @param {Partial<import('../utils/dietary.js').DietaryPreferences>} changes
+   */
+  const updatePreferences = useCallback(changes => {
+    const next = parsePreferences({ ...preferencesRef.current, ...changes });
+    if (preferencesKey(next) === preferencesKey(preferencesRef.current)) return;
+
+    listenersRef.current.forEach(listener => listener());
+    preferencesRef.current = next;
+    setPreferences(next);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch {
+      // Storage can be unavailable; the preferences still apply for this visit
+    }
+  }, []);
+
+  // Allergen and diet chips toggle independently
+  const togglePreference = useCallback(
+    (key, value) => {
+      const values = preferencesRef.current[key];
+      updatePreferences({
+        [key]: values.includes(value)
+          ? values.filter(item => item !== value)
+          : [...values, value],
+      });
+    },
+    [updatePreferences]
+  );
+
+  const subscribe = useCallback(listener => {
+    listenersRef.current.add(listener);
+    return () => listenersRef.current.delete(listener);
+  }, []);
+
+  // Mirror the filters into the query string without adding history entries
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    writeFilters(filters, url.searchParams);
+
+    const next = `${url.pathname}${url.search}${url.hash}`;
+    const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    if (next !== current) window.history.replaceState(null, '', next);
+  }, [filters]);
+
+  // Back/Forward can land on a URL with other filters
+  useEffect(() => {
+    const sync = () => apply(readFilters());
+
+    window.addEventListener('popstate', sync);
+    return () => window.removeEventListener('popstate', sync);
+  }, [apply]);
+
+  const value = useMemo(
+    () => ({
+      filters,
+      matches: searchCatalog(
+        preferences.mode === 'hide'
+          ? catalog.filter(drink => isSuitable(drink, preferences))
+          : catalog,
+        filters
+      ),
+      isFiltering: isFiltering(filters),
+      options,
+      preferences,
+      updateFilters,
+      toggleFilter,
+      clearFilters,
+      updatePreferences,
+      togglePreference,
+      subscribe,
+    }),
+    [
+      filters,
+      preferences,
+      updateFilters,
+      toggleFilter,
+      clearFilters,
+      updatePreferences,
+      togglePreference,
+      subscribe,
+    ]
+  );
+
+  return (
+    <CatalogFilterContext.Provider value={value}>
+      {children}
+    </CatalogFilterContext.Provider>
+  );
+};
+
+export default CatalogFilterProvider;
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview React context holding the section copy
+ * Consumed through the useContent hook (and by LocaleProvider, which layers
+ * it over the message catalogs) and populated by ContentProvider
+ */
+
+import { createContext } from 'react';
+import { localContent } from '../services/content.js';
+
+/**
+ * Content Context
+ *
+ * Shape:
+ * - content: Section copy by locale (`{ en: { hero: {...} }, es: {...} }`)
+ * - source: Where the copy is loaded from ('local' files or the 'cms')
+ * - status: 'loading' until the adapter answers, then 'ready' or 'error'
+ *   (the copy shown so far stays in place on errors)
+ * - revision: Bumped whenever the copy on screen changes
+ */
+const ContentContext = createContext({
+  content: localContent,
+  source: 'local',
+  status: 'ready',
+  revision: 0,
+});
+
+export default ContentContext;
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Provider for the section copy
+ * Renders straight away from bundled (or cached) copy and swaps in the
+ * adapter's copy once it loads
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import ContentContext from './ContentContext.js';
+import {
+  contentAdapter,
+  initialContent,
+  localContent,
+} from '../services/content.js';
+import { layerContent } from '../utils/content.js';
+
+/**
+ * ContentProvider Component
+ *
+ * Supplies the section copy (headings, taglines, section text) to
+ * LocaleProvider, which layers it over the message catalogs so sections keep
+ * translating with `t()`:
+ * - First render uses the bundled content files, the CMS snapshot taken at
+ *   build time and any cached CMS copy, so there is no loading flash and
+ *   the page works offline
+ * - The adapter's copy (bundled files, or the CMS through its cache) is then
+ *   layered over the bundled files; the revision only changes when the copy
+ *   actually differs
+ * - A failed CMS request keeps the copy already shown
+ *
+ * @component
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Page content consuming the context
+ * @param {import('../services/content.js').ContentAdapter} [props.adapter] -
+ *   Copy source; defaults to the CMS when configured, else the local files
+ * @returns {JSX.Element} Context provider wrapping the application
+ */
+const ContentProvider = ({ children, adapter = contentAdapter }) => {
+  const [state, setState] = useState(() => ({
+    content: initialContent(adapter),
+    status: 'loading',
+    revision: 0,
+  }));
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    adapter
+      .load()
+      .then(loaded => {
+        if (!isCurrent) return;
+
+        const content = layerContent(localContent, loaded);
+        setState(current =>
+          JSON.stringify(current.content) === JSON.stringify(content)
+            ? { ...current, status: 'ready' }
+            : { content, status: 'ready', revision: current.revision + 1 }
+        );
+      })
+      .catch(() => {
+        if (isCurrent) setState(current => ({ ...current, status: 'error' }));
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [adapter]);
+
+  const value = useMemo(
+    () => ({ ...state, source: adapter.source }),
+    [state, adapter]
+  );
+
+  return (
+    <ContentContext.Provider value={value}>{children}</ContentContext.Provider>
+  );
+};
+
+export default ContentProvider;
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview React context describing the active language
+ * Consumed through the useLocale hook and populated by LocaleProvider
+ */
+
+import { createContext } from 'react';
+import { DEFAULT_LOCALE, LOCALES, createTranslator } from '../i18n/index.js';
+import { localContent } from '../services/content.js';
+
+/**
+ * Locale Context
+ *
+ * Shape:
+ * - locale: Active locale code ('en' | 'es')
+ * - tag: BCP 47 tag for Intl formatters ('en-US' | 'es-US')
+ * - locales: Registry of supported locales (label, tag) for the switcher
+ * - setLocale: Updates and persists the language
+ * - t: Translate function for the active locale, section copy included
+ * - copyKey: Changes whenever the copy does (language switch or new CMS
+ *   copy); key split text by it
+ */
+const LocaleContext = createContext({
+  locale: DEFAULT_LOCALE,
+  tag: LOCALES[DEFAULT_LOCALE].tag,
+  locales: LOCALES,
+  setLocale: () => {},
+  t: createTranslator(DEFAULT_LOCALE, localContent),
+  copyKey: `${DEFAULT_LOCALE}:0`,
+});
+
+export default LocaleContext;
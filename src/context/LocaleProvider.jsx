@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Provider for the site language
+ * Resolves a persisted choice or the browser languages to a supported locale
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import LocaleContext from './LocaleContext.js';
+import { LOCALES, createTranslator, matchLocale } from '../i18n/index.js';
+import useContent from '../hooks/useContent.js';
+
+// localStorage key holding the guest's explicit language choice
+const STORAGE_KEY = 'velvet-pour:locale';
+
+/**
+ * Read the persisted locale, falling back to the browser languages when
+ * storage is unavailable or holds an unsupported value
+ *
+ * @returns {string} Supported locale code
+ */
+const readInitialLocale = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (stored in LOCALES) return stored;
+  } catch {
+    // Storage can be unavailable (private mode); use the browser languages
+  }
+
+  return matchLocale(navigator.languages ?? [navigator.language ?? '']);
+};
+
+/**
+ * LocaleProvider Component
+ *
+ * Supplies the active language to the whole page:
+ * - Initial locale from localStorage, then navigator.languages, then English
+ * - The choice is persisted to localStorage between visits
+ * - Mirrors the locale onto <html lang> for screen readers and hyphenation
+ * - Translates with the section copy from ContentProvider layered over the
+ *   message catalogs; `copyKey` changes with the language or that copy
+ *
+ * @component
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Page content consuming the context
+ * @returns {JSX.Element} Context provider wrapping the application
+ */
+const LocaleProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(readInitialLocale);
+  const { content, revision } = useContent();
+
+  /**
+   * Update and persist the language
+   *
+   * @param {string} next - Supported locale code
+   */
+  const setLocale = useCallback(next => {
+    if (!(next in LOCALES)) return;
+
+    setLocaleState(next);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, next);
+    } catch {
+      // Storage can be unavailable; the choice still applies for this visit
+    }
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(
+    () => ({
+      locale,
+      tag: LOCALES[locale].tag,
+      locales: LOCALES,
+      setLocale,
+      t: createTranslator(locale, content),
+      copyKey: `${locale}:${revision}`,
+    }),
+    [locale, setLocale, content, revision]
+  );
+
+  return (
+    <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>
+  );
+};
+
+export default LocaleProvider;
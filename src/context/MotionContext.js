@@ -0,0 +1,26 @@
+/**
+ * @fileoverview React context describing the site-wide motion preference
+ * Consumed through the useMotion hook and populated by MotionProvider
+ */
+
+import { createContext } from 'react';
+
+/**
+ * Motion Context
+ *
+ * Shape:
+ * - reduceMotion: Effective flag every section reads before building timelines
+ * - systemPrefersReduced: Raw value of the OS `prefers-reduced-motion` query
+ * - preference: Stored user choice ('system' | 'reduce' | 'full')
+ * - setPreference: Updates and persists the user choice
+ * - toggleReduceMotion: Flips the effective flag from the Navbar toggle
+ */
+const MotionContext = createContext({
+  reduceMotion: false,
+  systemPrefersReduced: false,
+  preference: 'system',
+  setPreference: () => {},
+  toggleReduceMotion: () => {},
+});
+
+export default MotionContext;
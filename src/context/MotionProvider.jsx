@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Provider for the site-wide reduced-motion mode
+ * Combines the OS `prefers-reduced-motion` media query with a persisted user toggle
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useMediaQuery } from 'react-responsive';
+import MotionContext from './MotionContext.js';
+
+// localStorage key holding the user's explicit motion preference
+const STORAGE_KEY = 'velvet-pour:motion';
+
+// Accepted preference values - 'system' defers to the OS media query
+const PREFERENCES = ['system', 'reduce', 'full'];
+
+/**
+ * Read the persisted preference, falling back to 'system' when storage is
+ * unavailable (private mode, SSR) or holds an unknown value
+ *
+ * @returns {'system'|'reduce'|'full'} Stored motion preference
+ */
+const readStoredPreference = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return PREFERENCES.includes(stored) ? stored : 'system';
+  } catch {
+    return 'system';
+  }
+};
+
+/**
+ * MotionProvider Component
+ *
+ * Resolves the effective reduced-motion flag for the whole page:
+ * - 'system' preference follows `prefers-reduced-motion: reduce`
+ * - 'reduce' / 'full' preferences override the OS setting
+ * - The choice is persisted to localStorage between visits
+ * - Mirrors the flag onto <html data-motion> so CSS can opt out too
+ *
+ * @component
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Page content consuming the context
+ * @returns {JSX.Element} Context provider wrapping the application
+ *
+ * @requires react-responsive - Media query hook for the OS preference
+ */
+const MotionProvider = ({ children }) => {
+  const systemPrefersReduced = useMediaQuery({
+    query: '(prefers-reduced-motion: reduce)',
+  });
+  const [preference, setPreferenceState] = useState(readStoredPreference);
+
+  const reduceMotion =
+    preference === 'system' ? systemPrefersReduced : preference === 'reduce';
+
+  /**
+   * Update and persist the user's motion preference
+   *
+   * @param {'system'|'reduce'|'full'} next - New preference value
+   */
+  const setPreference = useCallback(next => {
+    if (!PREFERENCES.includes(next)) return;
+
+    setPreferenceState(next);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, next);
+    } catch {
+      // Storage can be unavailable; the choice still applies for this visit
+    }
+  }, []);
+
+  // Flip the effective state; return to 'system' when it matches the OS again
+  const toggleReduceMotion = useCallback(() => {
+    const next = !reduceMotion;
+    setPreference(
+      next === systemPrefersReduced ? 'system' : next ? 'reduce' : 'full'
+    );
+  }, [reduceMotion, systemPrefersReduced, setPreference]);
+
+  // Expose the flag to CSS so styles can opt out of transitions too
+  useEffect(() => {
+    document.documentElement.dataset.motion = reduceMotion ? 'reduce' : 'full';
+  }, [reduceMotion]);
+
+  const value = useMemo(
+    () => ({
+      reduceMotion,
+      systemPrefersReduced,
+      preference,
+      setPreference,
+      toggleReduceMotion,
+    }),
+    [
+      reduceMotion,
+      systemPrefersReduced,
+      preference,
+      setPreference,
+      toggleReduceMotion,
+    ]
+  );
+
+  return (
+    <MotionContext.Provider value={value}>{children}</MotionContext.Provider>
+  );
+};
+
+export default MotionProvider;
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview React context holding the published guest reviews
+ * Consumed through the useReviews hook and populated by ReviewsProvider
+ */
+
+import { createContext } from 'react';
+import { reviews } from '../../constants/index.js';
+import { sortReviews, summarizeReviews } from '../utils/reviews.js';
+
+/**
+ * Reviews Context
+ *
+ * Shape:
+ * - reviews: Published reviews, newest first
+ * - summary: Aggregate rating computed from them ({ value, best, count })
+ */
+const ReviewsContext = createContext({
+  reviews: sortReviews(reviews),
+  summary: summarizeReviews(reviews),
+});
+
+export default ReviewsContext;
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Provider for the published guest reviews
+ * Starts from the reviews shipped with the site and refreshes them from the
+ * reviews client
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import ReviewsContext from './ReviewsContext.js';
+import { reviews as shippedReviews } from '../../constants/index.js';
+import { sortReviews, summarizeReviews } from '../utils/reviews.js';
+import { reviewsClient } from '../services/reviews.js';
+
+/**
+ * ReviewsProvider Component
+ *
+ * Supplies the reviews to the About rating and the Reviews section:
+ * - Rendered straight away from the reviews in constants/index.js (the same
+ *   data behind the build's schema.org AggregateRating)
+ * - Replaced by the client's published list once it loads; a failed request
+ *   keeps the shipped reviews
+ * - The aggregate rating is computed from whichever list is shown
+ *
+ * @component
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Page content consuming the context
+ * @param {{ listReviews: Function }} [props.client] - Reviews backend;
+ *   defaults to the HTTP client or the in-memory mock
+ * @returns {JSX.Element} Context provider wrapping the application
+ */
+const ReviewsProvider = ({ children, client = reviewsClient }) => {
+  const [reviews, setReviews] = useState(() => sortReviews(shippedReviews));
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    client
+      .listReviews()
+      .then(published => {
+        if (isCurrent) setReviews(published);
+      })
+      .catch(() => {
+        // Keep the shipped reviews; the section still has content
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [client]);
+
+  const value = useMemo(
+    () => ({ reviews, summary: summarizeReviews(reviews) }),
+    [reviews]
+  );
+
+  return (
+    <ReviewsContext.Provider value={value}>{children}</ReviewsContext.Provider>
+  );
+};
+
+export default ReviewsProvider;
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview React context holding the specials running right now
+ * Consumed through the useSpecials hook and populated by SpecialsProvider
+ */
+
+import { createContext } from 'react';
+import { activeSpecials, priceDrink } from '../utils/specials.js';
+
+/**
+ * Specials Context
+ *
+ * Shape:
+ * - active: Running rules, each with the minutes it has left
+ * - banner: The running rule announced in the Hero, if any
+ * - priceOf: Prices a catalog drink under the running rules
+ *   ({ price, listPrice, special })
+ */
+const SpecialsContext = createContext({
+  active: activeSpecials(),
+  banner: null,
+  priceOf: drink => priceDrink(drink, []),
+});
+
+export default SpecialsContext;
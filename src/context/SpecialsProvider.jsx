@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Provider for the time-based specials
+ * Re-evaluates the promotions while the page is open so prices switch and
+ * countdowns tick without a reload
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import SpecialsContext from './SpecialsContext.js';
+import { activeSpecials, priceDrink } from '../utils/specials.js';
+
+// How often the running specials are recomputed (ms)
+const REFRESH_INTERVAL = 30 * 1000;
+
+/**
+ * SpecialsProvider Component
+ *
+ * Supplies the running specials to the whole page:
+ * - Rules from `specials` in constants/index.js, in the bar's timezone
+ * - Recomputed every 30 seconds and when the tab becomes visible again, so
+ *   "ends in N min" counts down and prices revert when a promotion ends
+ * - `priceOf` applies the best running rule to a drink (also used for the
+ *   cart totals)
+ *
+ * @component
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Page content consuming the context
+ * @param {import('../utils/specials.js').SpecialRule[]} [props.rules] -
+ *   Promotions; defaults to `specials`
+ * @returns {JSX.Element} Context provider wrapping the application
+ */
+const SpecialsProvider = ({ children, rules }) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const tick = () => setNow(new Date());
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') tick();
+    };
+
+    const interval = window.setInterval(tick, REFRESH_INTERVAL);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    return () => {
+      window.clearInterval(interval);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+  }, []);
+
+  const active = useMemo(() => activeSpecials(rules, now), [rules, now]);
+
+  const priceOf = useCallback(drink => priceDrink(drink, active), [active]);
+
+  const value = useMemo(
+    () => ({
+      active,
+      banner: active.find(rule => rule.banner) ?? null,
+      priceOf,
+    }),
+    [active, priceOf]
+  );
+
+  return (
+    <SpecialsContext.Provider value={value}>
+      {children}
+    </SpecialsContext.Provider>
+  );
+};
+
+export default SpecialsProvider;
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview React context describing the active site theme
+ * Consumed through the useTheme hook and populated by ThemeProvider
+ */
+
+import { createContext } from 'react';
+import { themes } from '../../constants/index.js';
+import { themeAssets } from '../utils/theme.js';
+
+/**
+ * Theme Context
+ *
+ * Shape:
+ * - theme: Id of the theme on screen
+ * - preference: Stored user choice ('auto' follows the seasons, or a theme id)
+ * - setPreference: Updates and persists the user choice
+ * - themes: Ids of the available themes, for the switcher
+ * - assets: Decorative image paths by slot; swapped halfway through a
+ *   theme crossfade
+ */
+const ThemeContext = createContext({
+  theme: themes[0].id,
+  preference: 'auto',
+  setPreference: () => {},
+  themes: themes.map(theme => theme.id),
+  assets: themeAssets(themes[0]),
+});
+
+export default ThemeContext;
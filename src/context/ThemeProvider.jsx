@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Provider for the site theme
+ * Picks the seasonal theme or the guest's choice and crossfades between
+ * themes with GSAP
+ */
+
+import { useCallback, useMemo, useRef, useState } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import ThemeContext from './ThemeContext.js';
+import useMotion from '../hooks/useMotion';
+import { motionTokens, themes } from '../../constants/index.js';
+import {
+  FONT_TOKENS,
+  THEME_TOKENS,
+  applyThemeTokens,
+  readThemeTokens,
+  seasonalTheme,
+  themeAssets,
+} from '../utils/theme.js';
+
+// localStorage key holding the guest's explicit theme choice
+const STORAGE_KEY = 'velvet-pour:theme';
+
+const THEME_IDS = themes.map(theme => theme.id);
+
+// Tokens GSAP blends; fonts are swapped instead
+const BLENDED_TOKENS = Object.keys(THEME_TOKENS).filter(
+  name => !FONT_TOKENS.includes(name)
+);
+
+/**
+ * Read the persisted preference, falling back to 'auto' when storage is
+ * unavailable or holds a theme that no longer exists
+ *
+ * @returns {string} 'auto' or a theme id
+ */
+const readStoredPreference = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return THEME_IDS.includes(stored) ? stored : 'auto';
+  } catch {
+    return 'auto';
+  }
+};
+
+/**
+ * ThemeProvider Component
+ *
+ * Applies the site theme:
+ * - 'auto' picks the theme whose season contains today, else the house look
+ * - A theme chosen in the Navbar overrides the season and is persisted
+ * - Tokens are set as CSS variables on <html> (plus <html data-theme>)
+ * - Switching crossfades: colours, gradients, noise and the navbar blend
+ *   with GSAP while the decorative images fade out, swap (with the fonts)
+ *   and fade back in; reduced-motion mode uses a shorter fade
+ *
+ * @component
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Page content consuming the context
+ * @returns {JSX.Element} Context provider wrapping the application
+ */
+const ThemeProvider = ({ children }) => {
+  const { reduceMotion } = useMotion();
+  const [preference, setPreferenceState] = useState(readStoredPreference);
+
+  const theme =
+    preference === 'auto'
+      ? seasonalTheme(themes)
+      : themes.find(({ id }) => id === preference);
+
+  const [assets, setAssets] = useState(() => themeAssets(theme));
+  const shownRef = useRef(null); // Id of the theme applied to <html>
+  const fadeRef = useRef(null); // Running crossfade
+
+  /**
+   * Update and persist the theme choice
+   *
+   * @param {string} next - 'auto' or a theme id
+   */
+  const setPreference = useCallback(next => {
+    if (next !== 'auto' && !THEME_IDS.includes(next)) return;
+
+    setPreferenceState(next);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, next);
+    } catch {
+      // Storage can be unavailable; the choice still applies for this visit
+    }
+  }, []);
+
+  /**
+   * Theme Crossfade
+   *
+   * The first theme is applied as is. Later ones are applied, measured and
+   * rolled back to the current values, then blended to: GSAP tweens the CSS
+   * variables on <html>, so everything using them follows.
+   */
+  useGSAP(
+    () => {
+      const root = document.documentElement;
+      root.dataset.theme = theme.id;
+
+      if (shownRef.current === theme.id) return;
+
+      if (shownRef.current === null) {
+        shownRef.current = theme.id;
+        applyThemeTokens(root, theme.tokens);
+        return;
+      }
+
+      shownRef.current = theme.id;
+      fadeRef.current?.kill();
+
+      const from = readThemeTokens(root);
+      applyThemeTokens(root, theme.tokens);
+      const to = readThemeTokens(root, BLENDED_TOKENS);
+      const fonts = readThemeTokens(root, FONT_TOKENS);
+      gsap.set(root, from);
+
+      const { duration, ease } = motionTokens;
+      const length = reduceMotion ? duration.reduced : duration.slow;
+      const half = length / 2;
+
+      fadeRef.current = gsap
+        .timeline({
+          // Leave only the theme's own overrides inline once blended
+          onComplete: () => applyThemeTokens(root, theme.tokens),
+        })
+        .to(root, { ...to, duration: length, ease: ease.fade }, 0)
+        .to(root, { '--theme-asset-fade': 0, duration: half }, 0)
+        .call(
+          () => {
+            gsap.set(root, fonts);
+            setAssets(themeAssets(theme));
+          },
+          null,
+          half
+        )
+        .to(root, { '--theme-asset-fade': 1, duration: half }, half);
+    },
+    { dependencies: [theme, reduceMotion] }
+  );
+
+  const value = useMemo(
+    () => ({
+      theme: theme.id,
+      preference,
+      setPreference,
+      themes: THEME_IDS,
+      assets,
+    }),
+    [theme, preference, setPreference, assets]
+  );
+
+  return (
+    <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
+  );
+};
+
+export default ThemeProvider;
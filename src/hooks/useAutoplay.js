@@ -0,0 +1,73 @@
+/**
+ * @fileoverview GSAP-timed autoplay for carousels with a visual progress bar
+ */
+
+import { useEffect, useRef } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+
+/**
+ * useAutoplay Hook
+ *
+ * Drives a progress bar from empty to full with a GSAP tween and calls
+ * `onAdvance` when it completes. The tween restarts whenever `resetKey`
+ * changes (e.g. the slide index) and pauses in place while `paused` is true,
+ * resuming where it left off.
+ *
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether autoplay is running at all
+ * @param {boolean} options.paused - Temporarily hold progress (hover, focus, offscreen)
+ * @param {number} options.duration - Seconds each slide stays up
+ * @param {React.RefObject<HTMLElement>} options.progressRef - Bar scaled along X
+ * @param {() => void} options.onAdvance - Called when a slide's time is up
+ * @param {unknown} options.resetKey - Restarts progress when it changes
+ */
+const useAutoplay = ({
+  enabled,
+  paused,
+  duration,
+  progressRef,
+  onAdvance,
+  resetKey,
+}) => {
+  const tweenRef = useRef(null);
+
+  // Latest values read from inside the tween without restarting it
+  const onAdvanceRef = useRef(onAdvance);
+  const pausedRef = useRef(paused);
+  useEffect(() => {
+    onAdvanceRef.current = onAdvance;
+    pausedRef.current = paused;
+  });
+
+  useGSAP(
+    () => {
+      if (!enabled || !progressRef.current) return;
+
+      tweenRef.current = gsap.fromTo(
+        progressRef.current,
+        { scaleX: 0 },
+        {
+          scaleX: 1,
+          duration,
+          ease: 'none', // Linear fill so the bar reads as time remaining
+          transformOrigin: 'left center',
+          paused: pausedRef.current,
+          onComplete: () => onAdvanceRef.current(),
+        }
+      );
+
+      return () => {
+        tweenRef.current = null;
+      };
+    },
+    { dependencies: [enabled, duration, resetKey], revertOnUpdate: true }
+  );
+
+  // Hold or resume the running tween without losing its progress
+  useEffect(() => {
+    tweenRef.current?.paused(paused);
+  }, [paused]);
+};
+
+export default useAutoplay;
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Hook for reading and updating the order-ahead basket
+ */
+
+import { useContext } from 'react';
+import CartContext from '../context/CartContext.js';
+
+/**
+ * useCart Hook
+ *
+ * Returns the basket from CartProvider. `cart` is already priced from the
+ * catalog (per-line totals, subtotal, tax, total), so components only
+ * format it with formatPrice.
+ *
+ * @returns {{
+ *   lines: import('../utils/cart.js').CartLine[],
+ *   cart: ReturnType<typeof import('../utils/cart.js').priceCart>,
+ *   lastAdded: { slug: string, id: number }|null,
+ *   isOpen: boolean,
+ *   add: (slug: string, quantity?: number) => void,
+ *   setQuantity: (slug: string, quantity: number) => void,
+ *   remove: (slug: string) => void,
+ *   clear: () => void,
+ *   openCart: () => void,
+ *   closeCart: () => void
+ * }} Basket state and actions
+ */
+const useCart = () => useContext(CartContext);
+
+export default useCart;
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Hook for reading and changing the drink search, filters and
+ * dietary preferences
+ */
+
+import { useContext } from 'react';
+import CatalogFilterContext from '../context/CatalogFilterContext.js';
+
+/**
+ * useCatalogFilters Hook
+ *
+ * Returns the shared search state from CatalogFilterProvider. Sections check
+ * `matches.has(slug)` to hide drinks and sort by `matches.get(slug)` to show
+ * the best search hits first; `preferences` says which drinks to flag with
+ * dietaryConflicts.
+ *
+ * @returns {{
+ *   filters: import('../utils/catalogSearch.js').CatalogFilters,
+ *   matches: Map<string, number>,
+ *   isFiltering: boolean,
+ *   options: ReturnType<typeof import('../utils/catalogSearch.js').getFilterOptions>,
+ *   preferences: import('../utils/dietary.js').DietaryPreferences,
+ *   updateFilters: (changes: Partial<import('../utils/catalogSearch.js').CatalogFilters>) => void,
+ *   toggleFilter: (key: 'countries'|'bases', value: string) => void,
+ *   clearFilters: () => void,
+ *   updatePreferences: (changes: Partial<import('../utils/dietary.js').DietaryPreferences>) => void,
+ *   togglePreference: (key: 'avoid'|'require', value: string) => void,
+ *   subscribe: (listener: () => void) => () => void
+ * }} Filter state and actions
+ */
+const useCatalogFilters = () => useContext(CatalogFilterContext);
+
+export default useCatalogFilters;
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Hook for reading the section copy and where it came from
+ */
+
+import { useContext } from 'react';
+import ContentContext from '../context/ContentContext.js';
+
+/**
+ * useContent Hook
+ *
+ * Returns the section copy from ContentProvider. Sections normally read it
+ * through `t()` from useLocale (LocaleProvider layers it over the message
+ * catalogs); this hook is for the copy's source, loading status and
+ * revision.
+ *
+ * @returns {{
+ *   content: import('../utils/content.js').ContentByLocale,
+ *   source: 'local'|'cms',
+ *   status: 'loading'|'ready'|'error',
+ *   revision: number
+ * }} Section copy and its loading state
+ */
+const useContent = () => useContext(ContentContext);
+
+export default useContent;
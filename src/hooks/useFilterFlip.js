@@ -0,0 +1,87 @@
+/**
+ * @fileoverview GSAP Flip transition for drink lists narrowed by the search,
+ * filters and dietary preferences
+ */
+
+import { useEffect, useRef } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import { Flip, ScrollTrigger } from 'gsap/all';
+import { motionTokens } from '../../constants/index.js';
+import useMotion from './useMotion';
+import useCatalogFilters from './useCatalogFilters';
+
+const { duration, ease } = motionTokens;
+
+/**
+ * useFilterFlip Hook
+ *
+ * Animates drink items between filter states with GSAP Flip: items that
+ * stay glide to their new slot, new matches fade and scale in, and items
+ * filtered out fade away. A dietary preference change counts as a new state
+ * too, since it can hide drinks or add notes that move the rows. Items must
+ * stay mounted and be hidden with the `hidden` utility class rather than
+ * removed, so Flip can animate them leaving (not the `hidden` attribute: its
+ * `!important` display rule would override the inline display Flip
+ * restores). Their old positions are recorded through the provider's
+ * `subscribe`, just before React renders the new layout.
+ *
+ * Skipped in reduced-motion mode (items simply appear and disappear).
+ * ScrollTrigger is refreshed afterwards since the section height may change.
+ *
+ * @param {React.RefObject<HTMLElement>} scopeRef - Element containing the items
+ * @param {string} selector - Items to animate, e.g. '.list li'
+ */
+const useFilterFlip = (scopeRef, selector) => {
+  const { filters, preferences, subscribe } = useCatalogFilters();
+  const { reduceMotion } = useMotion();
+  const stateRef = useRef(null); // Flip state recorded before the change
+  const isMountedRef = useRef(false); // First run is the initial render
+
+  useEffect(
+    () =>
+      subscribe(() => {
+        if (reduceMotion || !scopeRef.current) return;
+        stateRef.current = Flip.getState(
+          scopeRef.current.querySelectorAll(selector)
+        );
+      }),
+    [subscribe, scopeRef, selector, reduceMotion]
+  );
+
+  useGSAP(
+    () => {
+      const state = stateRef.current;
+      stateRef.current = null;
+
+      if (!state) {
+        if (isMountedRef.current) ScrollTrigger.refresh();
+        isMountedRef.current = true;
+        return;
+      }
+
+      Flip.from(state, {
+        targets: scopeRef.current.querySelectorAll(selector),
+        duration: duration.reduced,
+        ease: ease.fade,
+        absolute: true, // Leaving items don't hold their slot open
+        onEnter: elements =>
+          gsap.fromTo(
+            elements,
+            { opacity: 0, scale: 0.9 },
+            { opacity: 1, scale: 1, duration: duration.reduced }
+          ),
+        onLeave: elements =>
+          gsap.to(elements, {
+            opacity: 0,
+            scale: 0.9,
+            duration: duration.fast,
+          }),
+        onComplete: () => ScrollTrigger.refresh(),
+      });
+    },
+    { scope: scopeRef, dependencies: [filters, preferences] }
+  );
+};
+
+export default useFilterFlip;
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Keep keyboard focus inside a container while a dialog-like UI is open
+ */
+
+import { useEffect, useRef } from 'react';
+
+// Elements that can receive keyboard focus
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+/**
+ * Focusable descendants that are actually reachable (not hidden or inert)
+ *
+ * @param {HTMLElement} container - Element to search
+ * @returns {HTMLElement[]} Focusable elements in DOM order
+ */
+const getFocusable = container =>
+  [...container.querySelectorAll(FOCUSABLE)].filter(
+    element =>
+      element.getClientRects().length > 0 && !element.closest('[inert]')
+  );
+
+/**
+ * useFocusTrap Hook
+ *
+ * While `active`:
+ * - Moves focus to the first focusable element in `initialFocusRef` (or in
+ *   the container)
+ * - Wraps Tab / Shift+Tab around the container's focusable elements
+ * - Calls `onEscape` when Escape is pressed
+ * When deactivated, focus returns to the element that had it before.
+ *
+ * @param {React.RefObject<HTMLElement>} containerRef - Trap boundary
+ * @param {boolean} active - Whether the trap is engaged
+ * @param {Object} [options]
+ * @param {() => void} [options.onEscape] - Escape key handler
+ * @param {React.RefObject<HTMLElement>} [options.initialFocusRef] - Region
+ *   whose first focusable element receives focus on activation
+ */
+const useFocusTrap = (
+  containerRef,
+  active,
+  { onEscape, initialFocusRef } = {}
+) => {
+  // Latest Escape handler, read without re-engaging the trap
+  const onEscapeRef = useRef(onEscape);
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  });
+
+  useEffect(() => {
+    if (!active) return;
+
+    const container = containerRef.current;
+    const previouslyFocused = document.activeElement;
+
+    getFocusable(initialFocusRef?.current ?? container)[0]?.focus();
+
+    const handleKeyDown = event => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        onEscapeRef.current?.();
+        return;
+      }
+      if (event.key !== 'Tab') return;
+
+      const focusable = getFocusable(container);
+      if (focusable.length === 0) return;
+
+      const first = focusable[0];
+      const last = focusable.at(-1);
+      const outside = !container.contains(document.activeElement);
+
+      if (event.shiftKey && (document.activeElement === first || outside)) {
+        event.preventDefault();
+        last.focus();
+      } else if (
+        !event.shiftKey &&
+        (document.activeElement === last || outside)
+      ) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      previouslyFocused?.focus?.({ preventScroll: true });
+    };
+  }, [active, containerRef, initialFocusRef]);
+};
+
+export default useFocusTrap;
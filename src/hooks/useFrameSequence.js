@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Progressive preloading of an image sequence for canvas scrubbing
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * URL of one frame
+ *
+ * @param {{ path: string, padding: number }} frames - Sequence config
+ * @param {number} index - Zero-based frame index
+ * @returns {string} Frame URL, e.g. '/videos/frames/frame-0001.webp'
+ */
+const frameUrl = ({ path, padding }, index) =>
+  path.replace('{index}', String(index + 1).padStart(padding, '0'));
+
+/**
+ * Load one image
+ *
+ * @param {string} src - Image URL
+ * @returns {Promise<HTMLImageElement|null>} The decoded image, null on error
+ */
+const loadImage = src =>
+  new Promise(resolve => {
+    const image = new Image();
+    image.decoding = 'async';
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = src;
+  });
+
+/**
+ * useFrameSequence Hook
+ *
+ * Loads the first frame, reports 'ready' as soon as it's there, then loads
+ * the rest in the background. `getFrame` returns the nearest frame at or
+ * before the requested index that has loaded so far, so scrubbing works
+ * while the sequence is still streaming in.
+ *
+ * @param {{ path: string, count: number, padding: number }} frames - Sequence
+ *   config (must be stable)
+ * @param {boolean} enabled - Whether to load anything at all
+ * @returns {{
+ *   status: 'idle'|'loading'|'ready'|'error',
+ *   getFrame: (index: number) => HTMLImageElement|null
+ * }} Load status ('error' when the first frame is missing) and frame lookup
+ */
+const useFrameSequence = (frames, enabled) => {
+  const imagesRef = useRef([]);
+  const [status, setStatus] = useState(enabled ? 'loading' : 'idle');
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let cancelled = false;
+    const images = new Array(frames.count).fill(null);
+    imagesRef.current = images;
+
+    const load = index =>
+      loadImage(frameUrl(frames, index)).then(image => {
+        images[index] = image;
+        return image;
+      });
+
+    load(0).then(first => {
+      if (cancelled) return;
+
+      setStatus(first ? 'ready' : 'error');
+      if (!first) return;
+
+      for (let index = 1; index < frames.count; index++) load(index);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, frames]);
+
+  const getFrame = useCallback(index => {
+    const images = imagesRef.current;
+    for (let i = Math.round(index); i >= 0; i--) {
+      if (images[i]) return images[i];
+    }
+    return null;
+  }, []);
+
+  return { status, getFrame };
+};
+
+export default useFrameSequence;
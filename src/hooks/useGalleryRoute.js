@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Deep-linkable About gallery lightbox state backed by the browser history
+ * Open photos are addressed as `#about/<id>`
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Hash prefix shared by every lightbox URL
+const HASH_PREFIX = '#about/';
+
+/**
+ * Resolve the current URL to a photo index
+ *
+ * @param {string[]} ids - Photo ids, in gallery order
+ * @returns {number|null} Matching index, or null when the URL names no photo
+ */
+const indexFromLocation = ids => {
+  const { hash } = window.location;
+  if (!hash.startsWith(HASH_PREFIX)) return null;
+
+  let id;
+  try {
+    id = decodeURIComponent(hash.slice(HASH_PREFIX.length));
+  } catch {
+    return null; // Malformed escape (e.g. '%E0') names no photo
+  }
+
+  const index = ids.indexOf(id);
+  return index === -1 ? null : index;
+};
+
+/**
+ * Build the URL for an open photo, or for the About section once closed,
+ * keeping the query string
+ *
+ * @param {string|null} id - Photo id, null for the closed state
+ * @returns {string} Relative URL
+ */
+const buildUrl = id => {
+  const { pathname, search } = window.location;
+  const hash =
+    id === null ? '#about' : `${HASH_PREFIX}${encodeURIComponent(id)}`;
+
+  return `${pathname}${search}${hash}`;
+};
+
+/**
+ * useGalleryRoute Hook
+ *
+ * Keeps the lightbox photo in sync with the URL:
+ * - Opened on load when the URL is `#about/<id>`
+ * - open() pushes a history entry, so Back closes the lightbox
+ * - navigate() swaps photos without adding entries
+ * - close() steps back over the entry open() added, or rewrites the URL to
+ *   `#about` when the page was loaded on a photo URL
+ * - popstate / hashchange follow Back/Forward and manual hash edits
+ *
+ * @param {string[]} ids - Photo ids, in gallery order (must be stable)
+ * @returns {{
+ *   index: number|null,
+ *   open: (index: number) => void,
+ *   navigate: (index: number) => void,
+ *   close: () => void
+ * }} Open photo index (null when closed) and history-aware setters
+ */
+const useGalleryRoute = ids => {
+  const [index, setIndex] = useState(() => indexFromLocation(ids));
+  const pushedRef = useRef(false); // Whether open() added the current entry
+
+  // Follow Back/Forward and manual hash edits
+  useEffect(() => {
+    const sync = () => {
+      pushedRef.current = false;
+      setIndex(indexFromLocation(ids));
+    };
+
+    window.addEventListener('popstate', sync);
+    window.addEventListener('hashchange', sync);
+
+    return () => {
+      window.removeEventListener('popstate', sync);
+      window.removeEventListener('hashchange', sync);
+    };
+  }, [ids]);
+
+  const open = useCallback(
+    next => {
+      setIndex(next);
+      window.history.pushState(null, '', buildUrl(ids[next]));
+      pushedRef.current = true;
+    },
+    [ids]
+  );
+
+  const navigate = useCallback(
+    next => {
+      setIndex(next);
+      window.history.replaceState(null, '', buildUrl(ids[next]));
+    },
+    [ids]
+  );
+
+  const close = useCallback(() => {
+    if (pushedRef.current) {
+      // popstate clears the index
+      window.history.back();
+      return;
+    }
+
+    setIndex(null);
+    window.history.replaceState(null, '', buildUrl(null));
+  }, []);
+
+  return { index, open, navigate, close };
+};
+
+export default useGalleryRoute;
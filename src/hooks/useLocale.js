@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Hook for reading the active language and translating copy
+ */
+
+import { useContext } from 'react';
+import LocaleContext from '../context/LocaleContext.js';
+
+/**
+ * useLocale Hook
+ *
+ * Returns the active locale from LocaleProvider. Components translate with
+ * `t('section.key', values)` and pass `tag` to the Intl-based formatters.
+ * Sections that split text with SplitText key the split element by
+ * `copyKey` and add it to their useGSAP dependencies, so the split is
+ * reverted and redone for new copy (another language, or an update from
+ * the CMS).
+ *
+ * @returns {{
+ *   locale: string,
+ *   tag: string,
+ *   locales: Object<string, { label: string, tag: string }>,
+ *   setLocale: (locale: string) => void,
+ *   t: (key: string, values?: Object) => *,
+ *   copyKey: string
+ * }} Locale settings and translate function
+ */
+const useLocale = () => useContext(LocaleContext);
+
+export default useLocale;
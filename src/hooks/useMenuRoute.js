@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Deep-linkable Menu slide state backed by the browser history
+ * Slides are addressed as `#menu/<slug>`; `?cocktail=<slug>` is accepted on load
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+
+// Hash prefix shared by every Menu slide URL
+const HASH_PREFIX = '#menu/';
+
+// Query parameter accepted as an alternative deep link
+const QUERY_PARAM = 'cocktail';
+
+/**
+ * Read the slug addressed by the current URL, if any
+ *
+ * @returns {string|null} Slug from `#menu/<slug>` or `?cocktail=<slug>`;
+ *   null when there is none or the hash can't be decoded
+ */
+const readSlug = () => {
+  const { hash, search } = window.location;
+
+  if (hash.startsWith(HASH_PREFIX)) {
+    try {
+      return decodeURIComponent(hash.slice(HASH_PREFIX.length));
+    } catch {
+      return null; // Malformed escape (e.g. '%E0%A4') names no slide
+    }
+  }
+
+  return new URLSearchParams(search).get(QUERY_PARAM);
+};
+
+/**
+ * Resolve the current URL to a slide index
+ *
+ * @param {string[]} slugs - Slugs of the slides, in order
+ * @returns {number|null} Matching index, or null when the URL names no slide
+ */
+const indexFromLocation = slugs => {
+  const index = slugs.indexOf(readSlug());
+  return index === -1 ? null : index;
+};
+
+/**
+ * Build the canonical URL for a slide, keeping unrelated query parameters
+ *
+ * @param {string} slug - Slide slug
+ * @returns {string} Relative URL ending in `#menu/<slug>`
+ */
+const buildUrl = slug => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(QUERY_PARAM);
+  url.hash = `${HASH_PREFIX}${encodeURIComponent(slug)}`;
+
+  return `${url.pathname}${url.search}${url.hash}`;
+};
+
+/**
+ * useMenuRoute Hook
+ *
+ * Keeps the selected Menu slide in sync with the URL:
+ * - Initial index comes from `#menu/<slug>` or `?cocktail=<slug>`
+ * - navigate() pushes a history entry so Back/Forward walk the slides;
+ *   `{ replace: true }` updates the URL without one (used by autoplay)
+ * - popstate / hashchange update the index; URLs naming no slide
+ *   (e.g. `#about` from the Navbar) leave it untouched
+ *
+ * @param {string[]} slugs - Slugs of the slides, in order (must be stable)
+ * @returns {{
+ *   index: number,
+ *   navigate: (index: number, options?: { replace?: boolean }) => void,
+ *   isDeepLink: boolean
+ * }} Current index, a history-aware setter and whether the page was opened
+ * on a slide URL
+ */
+const useMenuRoute = slugs => {
+  const [isDeepLink] = useState(() => indexFromLocation(slugs) !== null);
+  const [index, setIndex] = useState(() => indexFromLocation(slugs) ?? 0);
+
+  // Follow Back/Forward and manual hash edits
+  useEffect(() => {
+    const sync = () => {
+      const next = indexFromLocation(slugs);
+      if (next !== null) setIndex(next);
+    };
+
+    window.addEventListener('popstate', sync);
+    window.addEventListener('hashchange', sync);
+
+    return () => {
+      window.removeEventListener('popstate', sync);
+      window.removeEventListener('hashchange', sync);
+    };
+  }, [slugs]);
+
+  const navigate = useCallback(
+    (next, { replace = false } = {}) => {
+      setIndex(next);
+
+      const url = buildUrl(slugs[next]);
+      const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+      if (url === current) return;
+
+      if (replace) window.history.replaceState(null, '', url);
+      else window.history.pushState(null, '', url);
+    },
+    [slugs]
+  );
+
+  return { index, navigate, isDeepLink };
+};
+
+export default useMenuRoute;
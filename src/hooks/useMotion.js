@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Hook for reading the site-wide motion preference
+ */
+
+import { useContext } from 'react';
+import MotionContext from '../context/MotionContext.js';
+
+/**
+ * useMotion Hook
+ *
+ * Returns the current motion settings from MotionProvider. Sections pass
+ * `reduceMotion` to useGSAP as a dependency so their timelines are reverted
+ * and rebuilt whenever the preference changes.
+ *
+ * @returns {{
+ *   reduceMotion: boolean,
+ *   systemPrefersReduced: boolean,
+ *   preference: 'system'|'reduce'|'full',
+ *   setPreference: Function,
+ *   toggleReduceMotion: Function
+ * }} Motion settings
+ */
+const useMotion = () => useContext(MotionContext);
+
+export default useMotion;
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Live open/closed status that re-evaluates while the page is open
+ */
+
+import { useEffect, useState } from 'react';
+import { businessProfile } from '../../constants/index.js';
+import { getOpenStatus } from '../utils/openingHours';
+
+// How often the status is recomputed (ms)
+const REFRESH_INTERVAL = 30 * 1000;
+
+/**
+ * useOpenStatus Hook
+ *
+ * Recomputes the bar's status every 30 seconds and whenever the tab becomes
+ * visible again, so "closes in N min" counts down and the highlighted day
+ * rolls over at midnight without a reload.
+ *
+ * @param {import('../utils/openingHours').BusinessHours} [hours=businessProfile.hours]
+ * @returns {ReturnType<typeof getOpenStatus>} Current status
+ */
+const useOpenStatus = (hours = businessProfile.hours) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const tick = () => setNow(new Date());
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') tick();
+    };
+
+    const interval = window.setInterval(tick, REFRESH_INTERVAL);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    return () => {
+      window.clearInterval(interval);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+  }, []);
+
+  return getOpenStatus(hours, now);
+};
+
+export default useOpenStatus;
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Hook for reading the published guest reviews
+ */
+
+import { useContext } from 'react';
+import ReviewsContext from '../context/ReviewsContext.js';
+
+/**
+ * useReviews Hook
+ *
+ * Returns the reviews from ReviewsProvider, newest first, with the
+ * aggregate rating computed from them.
+ *
+ * @returns {{
+ *   reviews: import('../utils/reviews.js').Review[],
+ *   summary: { value: number, best: number, count: number }
+ * }} Published reviews and their aggregate rating
+ */
+const useReviews = () => useContext(ReviewsContext);
+
+export default useReviews;
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Page scroll lock that leaves ScrollTrigger state untouched
+ */
+
+import { useEffect } from 'react';
+
+/**
+ * useScrollLock Hook
+ *
+ * Stops the page from scrolling while `locked`, without the common
+ * `position: fixed` body trick: that resets the scroll position to 0, which
+ * fires every ScrollTrigger between here and the top (unpinning the Hero
+ * video and #art, rewinding scrubs) and jumps back on unlock. Instead the
+ * scroll position is kept as-is:
+ * - `overflow: hidden` on <html> blocks wheel and keyboard scrolling
+ * - `scrollbar-gutter: stable` keeps the layout width, so no refresh is needed
+ * - Touch moves outside `allowRef` are cancelled (iOS ignores overflow)
+ *
+ * @param {boolean} locked - Whether scrolling is blocked
+ * @param {React.RefObject<HTMLElement>} [allowRef] - Region that may still
+ *   scroll its own content (e.g. a tall drawer)
+ */
+const useScrollLock = (locked, allowRef) => {
+  useEffect(() => {
+    if (!locked) return;
+
+    const { style } = document.documentElement;
+    const previous = {
+      overflow: style.overflow,
+      scrollbarGutter: style.scrollbarGutter,
+    };
+    style.scrollbarGutter = 'stable';
+    style.overflow = 'hidden';
+
+    const blockTouch = event => {
+      if (!allowRef?.current?.contains(event.target)) event.preventDefault();
+    };
+    document.addEventListener('touchmove', blockTouch, { passive: false });
+
+    return () => {
+      style.overflow = previous.overflow;
+      style.scrollbarGutter = previous.scrollbarGutter;
+      document.removeEventListener('touchmove', blockTouch);
+    };
+  }, [locked, allowRef]);
+};
+
+export default useScrollLock;
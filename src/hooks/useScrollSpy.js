@@ -0,0 +1,47 @@
+/**
+ * @fileoverview ScrollTrigger-based scroll-spy for the Navbar links
+ */
+
+import { useState } from 'react';
+import { useGSAP } from '@gsap/react';
+import { ScrollTrigger } from 'gsap/all';
+import { SPY_ID_PREFIX } from '../utils/sectionScroll';
+
+/**
+ * useScrollSpy Hook
+ *
+ * Creates one ScrollTrigger per section, active while the section spans the
+ * middle of the viewport, and reports which one that is. The triggers use
+ * `refreshPriority: -1` so they are measured after the sections' own pinning
+ * triggers (Hero video, #art) and include their pin spacing. Their ids
+ * (`scroll-spy-<id>`) double as landing positions for scrollToSection().
+ *
+ * @param {string[]} ids - Section element ids, in page order (must be stable)
+ * @returns {string|null} Id of the section in view, null between sections
+ */
+const useScrollSpy = ids => {
+  const [activeId, setActiveId] = useState(null);
+
+  useGSAP(
+    () => {
+      ids.forEach(id => {
+        ScrollTrigger.create({
+          id: `${SPY_ID_PREFIX}${id}`,
+          trigger: `#${id}`,
+          start: 'top center',
+          end: 'bottom center',
+          refreshPriority: -1,
+          onToggle: self => {
+            if (self.isActive) setActiveId(id);
+            else setActiveId(current => (current === id ? null : current));
+          },
+        });
+      });
+    },
+    { dependencies: [ids] }
+  );
+
+  return activeId;
+};
+
+export default useScrollSpy;
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Scroll-triggered entrance animation for a page section
+ */
+
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import useMotion from './useMotion';
+import { reducedFade } from '../animations/presets';
+
+/**
+ * useSectionReveal Hook
+ *
+ * Builds a section's entrance timeline, started once when the section's top
+ * reaches the middle of the viewport. Selector text in `reducedTargets` and in
+ * the presets used by `build` is scoped to the section element, so several
+ * instances of a section animate independently. In reduced-motion mode the
+ * timeline isn't built; the `reducedTargets` just fade in at the same point.
+ * Rebuilt (and the previous one reverted) when the preference or `dependencies`
+ * change.
+ *
+ * @example
+ * useSectionReveal({
+ *   scope: sectionRef,
+ *   reducedTargets: 'h2, .top-grid div',
+ *   build: timeline => timeline.add(wordReveal('h2')),
+ *   dependencies: [copyKey],
+ * });
+ *
+ * @param {Object} options
+ * @param {React.RefObject<HTMLElement>} options.scope - The section element;
+ *   also the ScrollTrigger trigger unless `trigger` is given
+ * @param {React.RefObject<HTMLElement>} [options.trigger] - Element whose
+ *   position starts the entrance
+ * @param {string} [options.start='top center'] - ScrollTrigger start
+ * @param {gsap.TweenTarget} [options.reducedTargets] - What to fade in when
+ *   motion is reduced
+ * @param {(timeline: gsap.core.Timeline) => void} options.build - Adds the
+ *   section's tweens (usually presets) to the scroll-triggered timeline
+ * @param {Array} [options.dependencies=[]] - Extra values that rebuild the
+ *   animation, e.g. the locale for split text
+ */
+const useSectionReveal = ({
+  scope,
+  trigger = scope,
+  start = 'top center',
+  reducedTargets,
+  build,
+  dependencies = [],
+}) => {
+  const { reduceMotion } = useMotion();
+
+  useGSAP(
+    () => {
+      const scrollTrigger = { trigger: trigger.current, start };
+
+      if (reduceMotion) {
+        if (reducedTargets) reducedFade(reducedTargets, { scrollTrigger });
+        return;
+      }
+
+      build(gsap.timeline({ scrollTrigger }));
+    },
+    {
+      scope,
+      dependencies: [reduceMotion, ...dependencies],
+      revertOnUpdate: true,
+    }
+  );
+};
+
+export default useSectionReveal;
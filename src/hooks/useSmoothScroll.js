@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Turns the smooth-scroll layer on and off with the page state
+ */
+
+import { useEffect } from 'react';
+import { useMediaQuery } from 'react-responsive';
+import { smoothScroll } from '../../constants/index.js';
+import { createSmoothScroll } from '../utils/smoothScroll';
+import useMotion from './useMotion';
+
+/**
+ * useSmoothScroll Hook
+ *
+ * Runs the inertial wheel scrolling from `smoothScroll` in
+ * constants/index.js while it's enabled there, the primary pointer is
+ * precise (mouse, trackpad) and reduced motion is off. Touch devices keep
+ * their native momentum scrolling. Toggling reduced motion stops or
+ * restarts it on the spot.
+ *
+ * @returns {boolean} Whether smooth scrolling is running
+ */
+const useSmoothScroll = () => {
+  const { reduceMotion } = useMotion();
+  const isTouch = useMediaQuery({ query: '(pointer: coarse)' });
+  const enabled = smoothScroll.enabled && !isTouch && !reduceMotion;
+
+  useEffect(() => {
+    if (!enabled) return;
+    return createSmoothScroll(smoothScroll);
+  }, [enabled]);
+
+  return enabled;
+};
+
+export default useSmoothScroll;
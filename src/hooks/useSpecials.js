@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Hook for reading the running specials and special prices
+ */
+
+import { useContext } from 'react';
+import SpecialsContext from '../context/SpecialsContext.js';
+
+/**
+ * useSpecials Hook
+ *
+ * Returns the running specials from SpecialsProvider. Sections price drinks
+ * with `priceOf(drink)` so the list, the slider, the cart and the Hero banner
+ * agree, and re-render as promotions start, count down and end.
+ *
+ * @returns {{
+ *   active: import('../utils/specials.js').ActiveSpecial[],
+ *   banner: import('../utils/specials.js').ActiveSpecial|null,
+ *   priceOf: (drink: Object) => ReturnType<
+ *     typeof import('../utils/specials.js').priceDrink
+ *   >
+ * }} Running specials and a pricing function
+ */
+const useSpecials = () => useContext(SpecialsContext);
+
+export default useSpecials;
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Hook for reading the active site theme
+ */
+
+import { useContext } from 'react';
+import ThemeContext from '../context/ThemeContext.js';
+
+/**
+ * useTheme Hook
+ *
+ * Returns the active theme from ThemeProvider. Colours, gradients, noise and
+ * fonts follow the theme through CSS variables; components only read
+ * `assets` for the decorative images a theme can swap.
+ *
+ * @returns {{
+ *   theme: string,
+ *   preference: string,
+ *   setPreference: (preference: string) => void,
+ *   themes: string[],
+ *   assets: Object<string, string>
+ * }} Theme settings
+ */
+const useTheme = () => useContext(ThemeContext);
+
+export default useTheme;
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Locale registry and message translation
+ * Framework-free so services can translate too; components use it through
+ * LocaleProvider and the useLocale hook.
+ */
+
+import en from './messages/en.js';
+import es from './messages/es.js';
+
+/**
+ * Supported locales. `tag` is the BCP 47 tag handed to Intl formatters -
+ * prices stay in USD, so Spanish uses the US regional variant ('$14').
+ */
+export const LOCALES = {
+  en: { label: 'English', tag: 'en-US', messages: en },
+  es: { label: 'Español', tag: 'es-US', messages: es },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Read a dotted key ('contact.heading') from a message tree
+ *
+ * @param {Object} messages - Message catalog
+ * @param {string} key - Dotted key
+ * @returns {*} Message value, undefined when missing
+ */
+const lookup = (messages, key) =>
+  key.split('.').reduce((node, part) => node?.[part], messages);
+
+/**
+ * Whether a message node is a nested tree (section or plural forms) rather
+ * than a string or list
+ *
+ * @param {*} node - Message value
+ * @returns {boolean} True for plain objects
+ */
+export const isMessageTree = node =>
+  node !== null && typeof node === 'object' && !Array.isArray(node);
+
+/**
+ * Deep-merge an override tree onto a message tree. Nested objects (sections,
+ * plural forms) merge key by key; strings and arrays are replaced whole.
+ *
+ * @param {Object} messages - Base messages
+ * @param {Object} [overrides] - Values taking precedence
+ * @returns {Object} A new merged tree (the inputs are untouched)
+ */
+export const mergeMessages = (messages, overrides) => {
+  if (!overrides) return messages;
+
+  const merged = { ...messages };
+  Object.entries(overrides).forEach(([key, value]) => {
+    const base = merged[key];
+    merged[key] =
+      isMessageTree(base) && isMessageTree(value)
+        ? mergeMessages(base, value)
+        : value;
+  });
+
+  return merged;
+};
+
+/**
+ * Pick the best supported locale for a list of preferred languages
+ *
+ * @param {readonly string[]} languages - E.g. navigator.languages
+ * @returns {string} Supported locale code, DEFAULT_LOCALE when none match
+ */
+export const matchLocale = languages =>
+  languages
+    .map(language => language.toLowerCase().split('-')[0])
+    .find(code => code in LOCALES) ?? DEFAULT_LOCALE;
+
+/**
+ * Create a translate function for a locale
+ *
+ * - Content (marketing copy by locale, see src/services/content.js) is
+ *   layered over the message catalogs
+ * - Missing keys fall back to English, then to `values.defaultValue`, then
+ *   to the key itself (so free text from a backend passes through untouched)
+ * - Plural objects are resolved with Intl.PluralRules on `values.count`
+ * - `{name}` placeholders are filled from `values`; numbers are formatted
+ *   with the locale's tag (both 'en-US' and 'es-US' give '12,000')
+ *
+ * @param {string} locale - Locale code, e.g. 'es'
+ * @param {Object<string, Object>} [content] - Copy trees keyed by locale code
+ * @returns {(key: string, values?: Object) => *} Translate function
+ */
+export const createTranslator = (locale, content = {}) => {
+  const code = locale in LOCALES ? locale : DEFAULT_LOCALE;
+  const { tag } = LOCALES[code];
+  const messages = mergeMessages(LOCALES[code].messages, content[code]);
+  const fallback = mergeMessages(
+    LOCALES[DEFAULT_LOCALE].messages,
+    content[DEFAULT_LOCALE]
+  );
+  const pluralRules = new Intl.PluralRules(tag);
+  const numberFormat = new Intl.NumberFormat(tag);
+
+  return (key, values = {}) => {
+    let message =
+      lookup(messages, key) ??
+      lookup(fallback, key) ??
+      values.defaultValue ??
+      key;
+
+    if (message?.other !== undefined) {
+      message = message[pluralRules.select(values.count)] ?? message.other;
+    }
+    if (typeof message !== 'string') return message;
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = values[name];
+      if (value === undefined) return placeholder;
+      return typeof value === 'number'
+        ? numberFormat.format(value)
+        : String(value);
+    });
+  };
+};
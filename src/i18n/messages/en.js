@@ -0,0 +1,351 @@
+/**
+ * @fileoverview English message catalog - the source language and fallback
+ * for every key missing from another catalog.
+ *
+ * Values are strings with `{name}` placeholders, arrays (list copy), or
+ * plural objects keyed by Intl.PluralRules category (`one`, `other`, ...)
+ * selected with the `count` value.
+ *
+ * Marketing copy (headings, taglines, section text) isn't kept here: it
+ * lives in content/<locale>/ and reaches `t()` through the content layer
+ * (src/services/content.js), so it can change without a code change.
+ */
+
+const en = {
+  common: {
+    leftLeafAlt: 'Decorative left leaf element',
+    rightLeafAlt: 'Decorative right leaf element',
+  },
+  nav: {
+    logoAlt: 'logo',
+    menu: 'Site menu',
+    openMenu: 'Open menu',
+    closeMenu: 'Close menu',
+    language: 'Language',
+    theme: 'Theme',
+    reduceMotion: 'Reduce motion',
+    links: {
+      cocktails: 'Cocktails',
+      about: 'About Us',
+      art: 'The Art',
+      contact: 'Contact',
+    },
+  },
+  theme: {
+    auto: 'Seasonal theme',
+    names: {
+      classic: 'Classic',
+      summer: 'Summer',
+      winter: 'Winter',
+      'happy-hour': 'Happy Hour',
+    },
+  },
+  hero: {
+    ctaLabel: 'Navigate to cocktails section',
+    videoLabel: 'Background video showing cocktail preparation',
+    videoLoading: 'Loading video…',
+  },
+  about: {
+    reviews: {
+      one: 'Based on {count} guest review',
+      other: 'Based on {count} guest reviews',
+    },
+    // Per-photo alt/caption overrides keyed by gallery id; the gallery
+    // data in constants/index.js is English
+    gallery: {},
+    openPhoto: 'View larger: {alt}',
+  },
+  lightbox: {
+    label: 'Photo gallery',
+    close: 'Close gallery',
+    previous: 'Previous photo',
+    next: 'Next photo',
+    counter: '{current} of {total}',
+  },
+  art: {
+    checkAlt: 'Checkmark icon',
+    imageAlt: 'Artfully crafted cocktail with garnish',
+  },
+  menu: {
+    roleDescription: 'carousel',
+    tablistLabel: 'Cocktail Navigation',
+    autoplay: 'Autoplay',
+    previous: 'Go to previous cocktail: {name}',
+    next: 'Go to next cocktail: {name}',
+    imageAlt: '{name} cocktail presentation',
+    recipeFor: 'Recipe for:',
+  },
+  recipe: {
+    ingredients: 'Ingredients',
+    servingsLabel: 'Servings',
+    servings: { one: '{count} serving', other: '{count} servings' },
+    fewerServings: 'Fewer servings',
+    moreServings: 'More servings',
+    units: 'Units',
+    method: 'Method',
+    glassware: 'Glassware',
+    garnish: 'Garnish',
+  },
+  openStatus: {
+    open: 'Open now',
+    closed: 'Closed',
+    closesIn: 'closes in {duration}',
+    until: 'until {time}',
+    opens: 'opens {day} {time}',
+    today: 'today',
+    checkBack: 'check back soon',
+  },
+  specials: {
+    names: {
+      'happy-hour': 'Happy Hour',
+      'late-night-mojitos': 'Late-Night Mojitos',
+      'mocktail-sunday': 'Mocktail Sunday',
+    },
+    live: '{name} now',
+    percentOff: '{value}% off',
+    amountOff: '{amount} off',
+    scopes: {
+      all: 'every drink',
+      cocktail: 'cocktails',
+      mocktail: 'mocktails',
+      items: 'selected drinks',
+    },
+    offer: '{discount} {scope}',
+    endsIn: '{name} ends in {duration}',
+    endsSoon: 'ends in {duration}',
+    listPrice: 'Regular price',
+    specialPrice: 'Special price',
+    bannerLabel: '{name}: {offer}, see the drinks',
+  },
+  reviews: {
+    ratingLabel: 'Rated {value} out of {best}',
+    count: {
+      one: '{count} review',
+      other: '{count} reviews',
+    },
+    listLabel: 'Guest reviews',
+    pause: 'Pause reviews',
+    formHeading: 'Leave a review',
+    author: 'Name',
+    rating: 'Your rating',
+    stars: {
+      one: '{count} star',
+      other: '{count} stars',
+    },
+    text: 'Your review',
+    moderationNote:
+      'Reviews are read by our team before they appear on the site.',
+    submit: 'Send review',
+    submitting: 'Sending…',
+    thanks: 'Thanks, {name}!',
+    pending: 'Your review will appear once our team has approved it.',
+    writeAnother: 'Write another review',
+    failed: "We couldn't send your review. Please try again later.",
+    checkFields: 'Please check the highlighted fields.',
+    duplicate: 'This review has already been sent.',
+    errors: {
+      authorRequired: 'Tell us your name.',
+      authorTooLong: 'Keep the name under {max} characters.',
+      rating: 'Choose a rating.',
+      textTooShort: 'Write at least {min} characters.',
+      textTooLong: 'Keep the review under {max} characters.',
+      links: 'Please leave out links.',
+    },
+  },
+  contact: {
+    copyAddress: 'Copy address',
+    saveContact: 'Save contact (vCard)',
+    closed: 'Closed',
+    socialLabel: 'Visit our {name} page',
+    socialIconAlt: '{name} social media icon',
+    drinkAlt: 'Decorative cocktail illustration',
+  },
+  copy: {
+    copied: 'Copied!',
+    failed: 'Copy failed',
+  },
+  reservation: {
+    date: 'Date',
+    time: 'Time',
+    partySize: 'Party size',
+    name: 'Name',
+    phone: 'Phone',
+    notes: 'Notes',
+    submit: 'Book a table',
+    submitting: 'Booking…',
+    confirmed: "You're booked, {name}!",
+    summary: 'Table for {count} on {date} at {time}',
+    confirmation: 'Confirmation #{id}',
+    bookAnother: 'Book another table',
+    failed: "We couldn't book that table. Please call us instead.",
+    checkFields: 'Please check the highlighted fields.',
+    duplicate: 'You already have a table booked for then.',
+    errors: {
+      dateRequired: 'Choose a date.',
+      timeRequired: 'Choose a time.',
+      pastTime: 'That time has already passed.',
+      closedForHoliday: "We're closed for {holiday}.",
+      notSeating:
+        "We're not seating then. Last booking is an hour before close.",
+      partySize: 'Parties of {min}–{max} can book online.',
+      nameRequired: 'Tell us who the table is for.',
+      nameTooLong: 'Keep the name under 80 characters.',
+      phone: 'Enter a phone number we can reach you on.',
+      notesTooLong: 'Keep notes under 500 characters.',
+    },
+  },
+  cart: {
+    open: {
+      one: 'Your order, {count} drink',
+      other: 'Your order, {count} drinks',
+    },
+    title: 'Your order',
+    close: 'Close order',
+    add: 'Add',
+    addItem: 'Add {name} to your order',
+    addToOrder: 'Add to order · {price}',
+    added: '{name} added to your order',
+    empty: 'Nothing here yet. Add a drink from the menu to order ahead.',
+    each: '{price} each',
+    quantity: 'Quantity of {name}',
+    decrease: 'One less {name}',
+    increase: 'One more {name}',
+    remove: 'Remove {name}',
+    subtotal: 'Subtotal',
+    tax: 'Tax ({rate})',
+    total: 'Total',
+  },
+  checkout: {
+    pickup: 'Pickup time',
+    choosePickup: 'Choose a time',
+    today: 'Today, {time}',
+    tomorrow: 'Tomorrow, {time}',
+    noSlots: "Online orders are closed right now. Check back when we're open.",
+    name: 'Name',
+    phone: 'Phone',
+    payAtPickup: 'Pay at pickup.',
+    submit: 'Place order · {total}',
+    submitting: 'Placing order…',
+    confirmed: 'Order placed, {name}!',
+    summary: 'Pickup: {when}. Total {total}.',
+    confirmation: 'Order #{id}',
+    newOrder: 'Start a new order',
+    failed: "We couldn't place that order. Please call us instead.",
+    checkFields: 'Please check the highlighted fields.',
+    errors: {
+      itemsRequired: 'Add at least one drink.',
+      itemsInvalid: 'Some drinks in your order are no longer available.',
+      pickupRequired: 'Choose a pickup time.',
+      pickupUnavailable:
+        "That pickup time isn't available anymore. Choose another.",
+      nameRequired: 'Tell us who the order is for.',
+      nameTooLong: 'Keep the name under 80 characters.',
+      phone: 'Enter a phone number we can reach you on.',
+    },
+  },
+  filters: {
+    label: 'Find a drink',
+    search: 'Search drinks or ingredients',
+    searchPlaceholder: 'Search by name or ingredient…',
+    type: 'Type',
+    types: {
+      all: 'All',
+      alcoholic: 'With alcohol',
+      'non-alcoholic': 'Alcohol-free',
+    },
+    country: 'Country',
+    base: 'Spirit base',
+    bases: {
+      rum: 'Rum',
+      gin: 'Gin',
+      vodka: 'Vodka',
+      tequila: 'Tequila',
+      whiskey: 'Whiskey',
+      brandy: 'Brandy',
+      wine: 'Wine',
+      beer: 'Beer',
+    },
+    price: 'Price',
+    priceUnder: 'Under {max}',
+    priceBetween: '{min}–{max}',
+    priceOver: '{min}+',
+    clear: 'Clear filters',
+    results: {
+      one: '{count} drink matches',
+      other: '{count} drinks match',
+    },
+    noMatches: 'No drinks match. Try fewer filters.',
+  },
+  dietary: {
+    allergens: {
+      nuts: 'Nuts',
+      dairy: 'Dairy',
+      egg: 'Egg',
+      gluten: 'Gluten',
+    },
+    diets: {
+      vegan: 'Vegan',
+      'sugar-free': 'Sugar-free',
+      'alcohol-free': 'Alcohol-free',
+    },
+    // Short codes printed on the badges
+    codes: {
+      nuts: 'N',
+      dairy: 'D',
+      egg: 'E',
+      gluten: 'G',
+      vegan: 'V',
+      'sugar-free': 'SF',
+      'alcohol-free': '0%',
+    },
+    // Badge labels, read out in full
+    badges: {
+      nuts: 'Contains nuts',
+      dairy: 'Contains dairy',
+      egg: 'Contains egg',
+      gluten: 'Contains gluten',
+      vegan: 'Vegan',
+      'sugar-free': 'Sugar-free',
+      'alcohol-free': 'Alcohol-free',
+    },
+    // Why a drink doesn't suit the guest
+    conflicts: {
+      nuts: 'contains nuts',
+      dairy: 'contains dairy',
+      egg: 'contains egg',
+      gluten: 'contains gluten',
+      vegan: 'not vegan',
+      'sugar-free': 'contains sugar',
+      'alcohol-free': 'contains alcohol',
+    },
+    badgesLabel: 'Allergens and diets',
+    recipeHeading: 'Allergens & diet',
+    noAllergens: 'No listed allergens',
+    flag: "Doesn't suit your preferences: {reasons}",
+    summary: 'Dietary preferences',
+    summaryCount: 'Dietary preferences ({count})',
+    avoid: 'Avoid',
+    require: 'Must be',
+    mode: 'Unsuitable drinks',
+    modes: {
+      flag: 'Flag them',
+      hide: 'Hide them',
+    },
+    clear: 'Clear preferences',
+    flagged: {
+      one: "{count} drink flagged that doesn't suit your preferences",
+      other: "{count} drinks flagged that don't suit your preferences",
+    },
+    hidden: {
+      one: "{count} drink hidden that doesn't suit your preferences",
+      other: "{count} drinks hidden that don't suit your preferences",
+    },
+    allSuitable: 'Every drink suits your preferences',
+  },
+  // Holiday override labels from businessProfile.hours, keyed by date
+  holidays: {},
+  // Per-drink copy overrides keyed by catalog slug; the catalog itself is English
+  drinks: {},
+};
+
+export default en;
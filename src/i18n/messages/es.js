@@ -0,0 +1,389 @@
+/**
+ * @fileoverview Spanish message catalog
+ * Keys mirror en.js; anything missing here falls back to English.
+ */
+
+const es = {
+  common: {
+    leftLeafAlt: 'Hoja decorativa izquierda',
+    rightLeafAlt: 'Hoja decorativa derecha',
+  },
+  nav: {
+    logoAlt: 'logotipo',
+    menu: 'Menú del sitio',
+    openMenu: 'Abrir menú',
+    closeMenu: 'Cerrar menú',
+    language: 'Idioma',
+    theme: 'Tema',
+    reduceMotion: 'Reducir movimiento',
+    links: {
+      cocktails: 'Cócteles',
+      about: 'Nosotros',
+      art: 'El Arte',
+      contact: 'Contacto',
+    },
+  },
+  theme: {
+    auto: 'Tema de temporada',
+    names: {
+      classic: 'Clásico',
+      summer: 'Verano',
+      winter: 'Invierno',
+      'happy-hour': 'Hora feliz',
+    },
+  },
+  hero: {
+    ctaLabel: 'Ir a la sección de cócteles',
+    videoLabel: 'Video de fondo con la preparación de un cóctel',
+    videoLoading: 'Cargando video…',
+  },
+  about: {
+    reviews: {
+      one: 'Según {count} reseña de clientes',
+      other: 'Según {count} reseñas de clientes',
+    },
+    gallery: {
+      interior: {
+        alt: 'Interior del bar con un ambiente elegante',
+        caption: 'Luz tenue, una barra larga y espacio para quedarse.',
+      },
+      bartender: {
+        alt: 'Bartender experto preparando un cóctel de autor',
+        caption: 'Cada cóctel de autor se prepara al momento, frente a ti.',
+      },
+      ingredients: {
+        alt: 'Ingredientes premium y preparación de la decoración',
+        caption:
+          'Cítricos frescos, hierbas y siropes caseros, preparados cada tarde.',
+      },
+      counter: {
+        alt: 'Cócteles presentados con arte sobre la barra',
+        caption: 'Una ronda de favoritos de la casa, lista para servir.',
+      },
+      garnish: {
+        alt: 'Primer plano de la decoración y presentación de un cóctel',
+        caption: 'El toque final: cada decoración colocada a mano.',
+      },
+    },
+    openPhoto: 'Ampliar: {alt}',
+  },
+  lightbox: {
+    label: 'Galería de fotos',
+    close: 'Cerrar galería',
+    previous: 'Foto anterior',
+    next: 'Foto siguiente',
+    counter: '{current} de {total}',
+  },
+  art: {
+    checkAlt: 'Icono de verificación',
+    imageAlt: 'Cóctel elaborado con arte y decorado',
+  },
+  menu: {
+    roleDescription: 'carrusel',
+    tablistLabel: 'Navegación de cócteles',
+    autoplay: 'Reproducción automática',
+    previous: 'Ir al cóctel anterior: {name}',
+    next: 'Ir al cóctel siguiente: {name}',
+    imageAlt: 'Presentación del cóctel {name}',
+    recipeFor: 'Receta de:',
+  },
+  recipe: {
+    ingredients: 'Ingredientes',
+    servingsLabel: 'Porciones',
+    servings: { one: '{count} porción', other: '{count} porciones' },
+    fewerServings: 'Menos porciones',
+    moreServings: 'Más porciones',
+    units: 'Unidades',
+    method: 'Preparación',
+    glassware: 'Cristalería',
+    garnish: 'Decoración',
+  },
+  openStatus: {
+    open: 'Abierto ahora',
+    closed: 'Cerrado',
+    closesIn: 'cierra en {duration}',
+    until: 'hasta las {time}',
+    opens: 'abre {day} {time}',
+    today: 'hoy',
+    checkBack: 'vuelve pronto',
+  },
+  specials: {
+    names: {
+      'happy-hour': 'Hora feliz',
+      'late-night-mojitos': 'Mojitos de medianoche',
+      'mocktail-sunday': 'Domingo sin alcohol',
+    },
+    live: '{name} ahora',
+    percentOff: '{value} % de descuento',
+    amountOff: '{amount} de descuento',
+    scopes: {
+      all: 'en todas las bebidas',
+      cocktail: 'en cócteles',
+      mocktail: 'en mocktails',
+      items: 'en bebidas seleccionadas',
+    },
+    offer: '{discount} {scope}',
+    endsIn: '{name} termina en {duration}',
+    endsSoon: 'termina en {duration}',
+    listPrice: 'Precio normal',
+    specialPrice: 'Precio especial',
+    bannerLabel: '{name}: {offer}, ver las bebidas',
+  },
+  reviews: {
+    ratingLabel: 'Valoración de {value} sobre {best}',
+    count: {
+      one: '{count} reseña',
+      other: '{count} reseñas',
+    },
+    listLabel: 'Reseñas de clientes',
+    pause: 'Pausar reseñas',
+    formHeading: 'Deja tu reseña',
+    author: 'Nombre',
+    rating: 'Tu valoración',
+    stars: {
+      one: '{count} estrella',
+      other: '{count} estrellas',
+    },
+    text: 'Tu reseña',
+    moderationNote:
+      'Nuestro equipo lee las reseñas antes de publicarlas en la web.',
+    submit: 'Enviar reseña',
+    submitting: 'Enviando…',
+    thanks: '¡Gracias, {name}!',
+    pending: 'Tu reseña aparecerá cuando nuestro equipo la apruebe.',
+    writeAnother: 'Escribir otra reseña',
+    failed: 'No pudimos enviar tu reseña. Inténtalo más tarde.',
+    checkFields: 'Revisa los campos marcados.',
+    duplicate: 'Esta reseña ya se ha enviado.',
+    errors: {
+      authorRequired: 'Dinos tu nombre.',
+      authorTooLong: 'El nombre debe tener menos de {max} caracteres.',
+      rating: 'Elige una valoración.',
+      textTooShort: 'Escribe al menos {min} caracteres.',
+      textTooLong: 'La reseña debe tener menos de {max} caracteres.',
+      links: 'Por favor, no incluyas enlaces.',
+    },
+  },
+  contact: {
+    copyAddress: 'Copiar dirección',
+    saveContact: 'Guardar contacto (vCard)',
+    closed: 'Cerrado',
+    socialLabel: 'Visita nuestra página de {name}',
+    socialIconAlt: 'Icono de {name}',
+    drinkAlt: 'Ilustración decorativa de cócteles',
+  },
+  copy: {
+    copied: '¡Copiado!',
+    failed: 'No se pudo copiar',
+  },
+  reservation: {
+    date: 'Fecha',
+    time: 'Hora',
+    partySize: 'Personas',
+    name: 'Nombre',
+    phone: 'Teléfono',
+    notes: 'Notas',
+    submit: 'Reservar mesa',
+    submitting: 'Reservando…',
+    confirmed: '¡Reserva confirmada, {name}!',
+    summary: {
+      one: 'Mesa para {count} persona el {date} a las {time}',
+      other: 'Mesa para {count} personas el {date} a las {time}',
+    },
+    confirmation: 'Confirmación n.º {id}',
+    bookAnother: 'Reservar otra mesa',
+    failed: 'No pudimos reservar esa mesa. Por favor, llámanos.',
+    checkFields: 'Revisa los campos marcados.',
+    duplicate: 'Ya tienes una mesa reservada a esa hora.',
+    errors: {
+      dateRequired: 'Elige una fecha.',
+      timeRequired: 'Elige una hora.',
+      pastTime: 'Esa hora ya pasó.',
+      closedForHoliday: 'Cerramos por {holiday}.',
+      notSeating:
+        'No hay reservas a esa hora. La última es una hora antes del cierre.',
+      partySize: 'Se puede reservar en línea para grupos de {min} a {max}.',
+      nameRequired: 'Dinos a nombre de quién es la mesa.',
+      nameTooLong: 'El nombre debe tener menos de 80 caracteres.',
+      phone: 'Introduce un teléfono en el que podamos localizarte.',
+      notesTooLong: 'Las notas deben tener menos de 500 caracteres.',
+    },
+  },
+  cart: {
+    open: {
+      one: 'Tu pedido, {count} bebida',
+      other: 'Tu pedido, {count} bebidas',
+    },
+    title: 'Tu pedido',
+    close: 'Cerrar pedido',
+    add: 'Añadir',
+    addItem: 'Añadir {name} a tu pedido',
+    addToOrder: 'Añadir al pedido · {price}',
+    added: 'Se añadió {name} a tu pedido',
+    empty:
+      'Aún no hay nada. Añade una bebida de la carta para pedir con antelación.',
+    each: '{price} c/u',
+    quantity: 'Cantidad de {name}',
+    decrease: 'Uno menos de {name}',
+    increase: 'Uno más de {name}',
+    remove: 'Quitar {name}',
+    subtotal: 'Subtotal',
+    tax: 'Impuestos ({rate})',
+    total: 'Total',
+  },
+  checkout: {
+    pickup: 'Hora de recogida',
+    choosePickup: 'Elige una hora',
+    today: 'Hoy, {time}',
+    tomorrow: 'Mañana, {time}',
+    noSlots:
+      'Los pedidos en línea están cerrados ahora. Vuelve cuando abramos.',
+    name: 'Nombre',
+    phone: 'Teléfono',
+    payAtPickup: 'Pagas al recoger.',
+    submit: 'Hacer pedido · {total}',
+    submitting: 'Enviando pedido…',
+    confirmed: '¡Pedido realizado, {name}!',
+    summary: 'Recogida: {when}. Total {total}.',
+    confirmation: 'Pedido n.º {id}',
+    newOrder: 'Hacer otro pedido',
+    failed: 'No pudimos enviar ese pedido. Por favor, llámanos.',
+    checkFields: 'Revisa los campos marcados.',
+    errors: {
+      itemsRequired: 'Añade al menos una bebida.',
+      itemsInvalid: 'Algunas bebidas de tu pedido ya no están disponibles.',
+      pickupRequired: 'Elige una hora de recogida.',
+      pickupUnavailable:
+        'Esa hora de recogida ya no está disponible. Elige otra.',
+      nameRequired: 'Dinos a nombre de quién es el pedido.',
+      nameTooLong: 'El nombre debe tener menos de 80 caracteres.',
+      phone: 'Introduce un teléfono en el que podamos localizarte.',
+    },
+  },
+  filters: {
+    label: 'Encuentra una bebida',
+    search: 'Buscar bebidas o ingredientes',
+    searchPlaceholder: 'Busca por nombre o ingrediente…',
+    type: 'Tipo',
+    types: {
+      all: 'Todas',
+      alcoholic: 'Con alcohol',
+      'non-alcoholic': 'Sin alcohol',
+    },
+    country: 'País',
+    base: 'Destilado base',
+    bases: {
+      rum: 'Ron',
+      gin: 'Ginebra',
+      vodka: 'Vodka',
+      tequila: 'Tequila',
+      whiskey: 'Whisky',
+      brandy: 'Brandy',
+      wine: 'Vino',
+      beer: 'Cerveza',
+    },
+    price: 'Precio',
+    priceUnder: 'Menos de {max}',
+    priceBetween: '{min}–{max}',
+    priceOver: '{min} o más',
+    clear: 'Quitar filtros',
+    results: {
+      one: '{count} bebida coincide',
+      other: '{count} bebidas coinciden',
+    },
+    noMatches: 'Ninguna bebida coincide. Prueba con menos filtros.',
+  },
+  dietary: {
+    allergens: {
+      nuts: 'Frutos secos',
+      dairy: 'Lácteos',
+      egg: 'Huevo',
+      gluten: 'Gluten',
+    },
+    diets: {
+      vegan: 'Vegana',
+      'sugar-free': 'Sin azúcar',
+      'alcohol-free': 'Sin alcohol',
+    },
+    codes: {
+      nuts: 'FS',
+      dairy: 'L',
+      egg: 'H',
+      gluten: 'G',
+      vegan: 'V',
+      'sugar-free': 'SA',
+      'alcohol-free': '0%',
+    },
+    badges: {
+      nuts: 'Contiene frutos secos',
+      dairy: 'Contiene lácteos',
+      egg: 'Contiene huevo',
+      gluten: 'Contiene gluten',
+      vegan: 'Vegana',
+      'sugar-free': 'Sin azúcar',
+      'alcohol-free': 'Sin alcohol',
+    },
+    conflicts: {
+      nuts: 'contiene frutos secos',
+      dairy: 'contiene lácteos',
+      egg: 'contiene huevo',
+      gluten: 'contiene gluten',
+      vegan: 'no es vegana',
+      'sugar-free': 'contiene azúcar',
+      'alcohol-free': 'contiene alcohol',
+    },
+    badgesLabel: 'Alérgenos y dietas',
+    recipeHeading: 'Alérgenos y dieta',
+    noAllergens: 'Sin alérgenos declarados',
+    flag: 'No se ajusta a tus preferencias: {reasons}',
+    summary: 'Preferencias alimentarias',
+    summaryCount: 'Preferencias alimentarias ({count})',
+    avoid: 'Evitar',
+    require: 'Debe ser',
+    mode: 'Bebidas no aptas',
+    modes: {
+      flag: 'Marcarlas',
+      hide: 'Ocultarlas',
+    },
+    clear: 'Quitar preferencias',
+    flagged: {
+      one: '{count} bebida marcada que no se ajusta a tus preferencias',
+      other: '{count} bebidas marcadas que no se ajustan a tus preferencias',
+    },
+    hidden: {
+      one: '{count} bebida oculta que no se ajusta a tus preferencias',
+      other: '{count} bebidas ocultas que no se ajustan a tus preferencias',
+    },
+    allSuitable: 'Todas las bebidas se ajustan a tus preferencias',
+  },
+  holidays: {
+    '2026-11-26': 'Acción de Gracias',
+    '2026-12-24': 'Nochebuena',
+    '2026-12-25': 'Navidad',
+    '2026-12-31': 'Nochevieja',
+  },
+  drinks: {
+    'classic-mojito': {
+      title: 'Ingredientes sencillos, sabor intenso',
+      description:
+        'Ron blanco, lima fresca y un buen puñado de menta, con un toque de soda. El Mojito es fácil de preparar y lleno de carácter: la bebida perfecta para las noches de verano.',
+    },
+    'raspberry-mojito': {
+      title: 'Un clásico cítrico que nunca falla',
+      description:
+        'Nuestro Mojito con un puñado de frambuesas maduras maceradas. Lima ácida, ron suave y un toque dulce de frutos rojos: siempre fresco y refrescante.',
+    },
+    'violet-breeze': {
+      title: 'Floral, luminoso y sin esfuerzo',
+      description:
+        'Un giro floral al Mojito: crème de violette con ron, lima y menta para un trago lila y suave de final limpio y fresco.',
+    },
+    'curacao-mojito': {
+      title: 'Hecho con cuidado, servido con amor',
+      description:
+        'El curaçao azul aporta naranja amarga y un tono azul océano al Mojito clásico. Cada uno se prepara con ingredientes frescos y la pasión por perfeccionar cada trago.',
+    },
+  },
+};
+
+export default es;
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Shared plumbing for the backend clients (reservations,
+ * orders, reviews): the rejection error, the JSON requests with their 422
+ * handling and the mock clients' simulated network delay
+ */
+
+import { DEFAULT_LOCALE, LOCALES, createTranslator } from '../i18n/index.js';
+
+/**
+ * Thrown by clients when a request is rejected. `fieldErrors` maps form
+ * fields to messages so the form can show them inline. Each service extends
+ * it, so forms only catch their own errors.
+ */
+export class ServiceError extends Error {
+  /**
+   * @param {string} message - Summary shown above the form
+   * @param {Object<string, string>} [fieldErrors] - Per-field messages
+   */
+  constructor(message, fieldErrors = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * Wait like a network round trip would, for the mock clients
+ *
+ * @param {number} latency - Delay in ms
+ * @returns {Promise<void>} Resolves after the delay
+ */
+export const simulateLatency = latency =>
+  new Promise(resolve => setTimeout(resolve, latency));
+
+/**
+ * URL of a resource under an API root, tolerating a trailing slash
+ *
+ * @param {string} baseUrl - API root, e.g. 'https://api.example.com/'
+ * @param {string} path - Resource, e.g. 'orders'
+ * @returns {string} Endpoint URL
+ */
+export const endpointUrl = (baseUrl, path) =>
+  `${baseUrl.replace(/\/$/, '')}/${path}`;
+
+/**
+ * GET a JSON resource
+ *
+ * @param {string} url - Endpoint
+ * @returns {Promise<unknown>} Parsed response
+ * @throws {Error} On network errors and non-2xx responses
+ */
+export const getJson = async url => {
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json' },
+  });
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed (${response.status})`);
+  }
+
+  return response.json();
+};
+
+/**
+ * POST JSON and return the JSON reply. The locale is sent as
+ * Accept-Language; a 422 response with `{ message, errors }` and any other
+ * failure are thrown as `ErrorType`, falling back to the service's
+ * `<messages>.checkFields` and `<messages>.failed` copy.
+ *
+ * @param {string} url - Endpoint
+ * @param {Object} body - Request payload
+ * @param {Object} options
+ * @param {typeof ServiceError} options.ErrorType - Error class to throw
+ * @param {string} options.messages - Message namespace, e.g. 'checkout'
+ * @param {string} [options.locale] - Locale code ('en', 'es')
+ * @returns {Promise<unknown>} Parsed response
+ * @throws {ServiceError} When the backend rejects the request
+ */
+export const postJson = async (
+  url,
+  body,
+  { ErrorType, messages, locale = DEFAULT_LOCALE }
+) => {
+  const t = createTranslator(locale);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept-Language': LOCALES[locale]?.tag ?? locale,
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (response.status === 422) {
+    const { message, errors } = await response.json();
+    throw new ErrorType(message ?? t(`${messages}.checkFields`), errors);
+  }
+  if (!response.ok) {
+    throw new ErrorType(t(`${messages}.failed`));
+  }
+
+  return response.json();
+};
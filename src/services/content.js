@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Section copy - pluggable content adapters with caching
+ * The local adapter serves the files in content/ (bundled at build time);
+ * the REST adapter reads a headless CMS, with a localStorage cache and a
+ * build-time snapshot so the static build still works offline.
+ */
+
+import snapshot from 'virtual:content-snapshot';
+import { contentSource } from '../../constants/index.js';
+import { DEFAULT_LOCALE } from '../i18n/index.js';
+import {
+  fetchContent,
+  layerContent,
+  parseContentFiles,
+  sanitizeContent,
+} from '../utils/content.js';
+
+// localStorage key holding the last copy fetched from the CMS
+const CACHE_KEY = 'velvet-pour:content';
+
+/**
+ * Copy bundled from content/<locale>/*.json and *.md. Always the bottom
+ * layer, and the schema CMS copy is checked against.
+ *
+ * @type {import('../utils/content.js').ContentByLocale}
+ */
+export const localContent = parseContentFiles(
+  import.meta.glob('/content/*/*.{json,md}', {
+    query: '?raw',
+    import: 'default',
+    eager: true,
+  })
+);
+
+/**
+ * A source of section copy
+ *
+ * @typedef {Object} ContentAdapter
+ * @property {'local'|'cms'} source - Where the copy comes from
+ * @property {() => Promise<import('../utils/content.js').ContentByLocale>} load -
+ *   Resolve the current copy (checked against the schema)
+ * @property {() => import('../utils/content.js').ContentByLocale|null} [peek] -
+ *   Copy available synchronously for the first render, if any
+ */
+
+/**
+ * Adapter for the bundled content files
+ *
+ * @param {import('../utils/content.js').ContentByLocale} [content] - Copy to serve
+ * @returns {ContentAdapter}
+ */
+export const createLocalContentAdapter = (content = localContent) => ({
+  source: 'local',
+  async load() {
+    return content;
+  },
+});
+
+/**
+ * Adapter for a REST CMS exposing `GET /content` (see fetchContent). Entries
+ * that don't fit the bundled copy's shape are dropped.
+ *
+ * @param {string} baseUrl - API root, e.g. 'https://cms.example.com'
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Abort a slow request
+ * @returns {ContentAdapter}
+ */
+export const createRestContentAdapter = (
+  baseUrl,
+  { timeoutMs = contentSource.timeoutMs } = {}
+) => ({
+  source: 'cms',
+  async load() {
+    const content = await fetchContent(baseUrl, { timeoutMs });
+    return sanitizeContent(content, localContent[DEFAULT_LOCALE]).content;
+  },
+});
+
+/**
+ * Cache an adapter's copy in localStorage. `load` answers from the cache
+ * while it is fresh and refreshes it otherwise; `peek` returns whatever is
+ * cached, however old, so a repeat visit renders the last copy seen before
+ * the refresh lands. Storage errors just skip the cache.
+ *
+ * @param {ContentAdapter} adapter - Adapter to wrap
+ * @param {Object} options
+ * @param {string} options.id - Identifies the origin (e.g. the CMS URL), so
+ *   copy cached from another CMS is ignored
+ * @param {number} [options.cacheMinutes] - How long cached copy is fresh
+ * @returns {ContentAdapter}
+ */
+export const withContentCache = (
+  adapter,
+  { id, cacheMinutes = contentSource.cacheMinutes }
+) => {
+  const read = () => {
+    try {
+      const cached = JSON.parse(window.localStorage.getItem(CACHE_KEY));
+      return cached?.id === id ? cached : null;
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    ...adapter,
+    peek: () => read()?.content ?? null,
+    async load() {
+      const cached = read();
+      if (cached && Date.now() - cached.savedAt < cacheMinutes * 60 * 1000) {
+        return cached.content;
+      }
+
+      const content = await adapter.load();
+      try {
+        window.localStorage.setItem(
+          CACHE_KEY,
+          JSON.stringify({ id, savedAt: Date.now(), content })
+        );
+      } catch {
+        // Storage can be unavailable; the copy is simply fetched next time
+      }
+      return content;
+    },
+  };
+};
+
+/**
+ * Copy for the first render: the bundled files, the CMS snapshot taken at
+ * build time (null without a CMS) and anything the adapter has cached
+ *
+ * @param {ContentAdapter} adapter - Active adapter
+ * @returns {import('../utils/content.js').ContentByLocale} Layered copy
+ */
+export const initialContent = adapter =>
+  layerContent(localContent, snapshot, adapter.peek?.());
+
+/**
+ * Default adapter: the cached REST CMS when VITE_CONTENT_API_URL is set,
+ * otherwise the bundled content files.
+ */
+export const contentAdapter = import.meta.env.VITE_CONTENT_API_URL
+  ? withContentCache(
+      createRestContentAdapter(import.meta.env.VITE_CONTENT_API_URL),
+      { id: import.meta.env.VITE_CONTENT_API_URL }
+    )
+  : createLocalContentAdapter();
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Order ahead - pickup slots, order validation and pluggable clients
+ * The HTTP client talks to a real backend; the mock client keeps orders in
+ * memory so the site can be built and demoed offline.
+ */
+
+import { businessProfile, ordering } from '../../constants/index.js';
+import { DEFAULT_LOCALE, createTranslator } from '../i18n/index.js';
+import {
+  addDays,
+  formatTimeOfDay,
+  isBookable,
+  parseTime,
+  toTimeString,
+  toZonedTime,
+} from '../utils/openingHours.js';
+import { parseCartLines, priceCart } from '../utils/cart.js';
+import {
+  ServiceError,
+  endpointUrl,
+  postJson,
+  simulateLatency,
+} from './client.js';
+import { PHONE_PATTERN } from './reservations.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * A pickup order as submitted by the checkout form
+ *
+ * @typedef {Object} OrderRequest
+ * @property {import('../utils/cart.js').CartLine[]} items - Drinks and quantities
+ * @property {{ date: string, time: string }} pickup - Bar-local
+ *   'YYYY-MM-DD' date and 'HH:MM' time
+ * @property {string} name - Guest name
+ * @property {string} phone - Contact phone number
+ */
+
+/**
+ * A placed order returned by a client. Totals are priced by the backend.
+ *
+ * @typedef {OrderRequest & {
+ *   id: string,
+ *   status: 'confirmed',
+ *   subtotal: { amount: number, currency: string },
+ *   tax: { amount: number, currency: string },
+ *   total: { amount: number, currency: string }
+ * }} Order
+ */
+
+/**
+ * Thrown by clients when an order is rejected (see ServiceError)
+ */
+export class OrderError extends ServiceError {
+  /**
+   * @param {string} message - Summary shown above the checkout
+   * @param {Object<string, string>} [fieldErrors] - Per-field messages
+   */
+  constructor(message, fieldErrors) {
+    super(message, fieldErrors);
+    this.name = 'OrderError';
+  }
+}
+
+/**
+ * Minutes from `now` until a bar-local pickup date and time
+ *
+ * @param {{ date: string, time: string }} pickup - Bar-local pickup
+ * @param {Date} now - Reference time
+ * @returns {number} Minutes ahead (negative when past), NaN when the pickup
+ *   isn't today or tomorrow at the bar
+ */
+const minutesUntil = ({ date, time }, now) => {
+  const barNow = toZonedTime(now, businessProfile.hours.timeZone);
+  const dayOffset =
+    date === barNow.date ? 0 : date === addDays(barNow.date, 1) ? 1 : NaN;
+
+  return dayOffset * MINUTES_PER_DAY + parseTime(time) - barNow.minutes;
+};
+
+/**
+ * Whether a pickup can be offered: far enough ahead for the bar to make the
+ * drinks, within the next day, and while the bar is open (stopping
+ * `ordering.lastOrderMinutes` before close).
+ *
+ * @param {{ date: string, time: string }} pickup - Bar-local pickup
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True when the slot is available
+ */
+export const isPickupAvailable = (pickup, now = new Date()) => {
+  const ahead = minutesUntil(pickup, now);
+
+  return (
+    ahead >= ordering.leadMinutes &&
+    ahead <= MINUTES_PER_DAY &&
+    isBookable(businessProfile.hours, pickup.date, pickup.time, {
+      lastSeating: ordering.lastOrderMinutes,
+    })
+  );
+};
+
+/**
+ * Pickup slots for the next 24 hours, every `ordering.slotMinutes`, in the
+ * bar's timezone. Empty while the bar is closed for the whole period.
+ *
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Array<{ date: string, time: string }>} Available slots in order
+ */
+export const pickupSlots = (now = new Date()) => {
+  const { date, minutes } = toZonedTime(now, businessProfile.hours.timeZone);
+  const step = ordering.slotMinutes;
+  const first = Math.ceil((minutes + ordering.leadMinutes) / step) * step;
+  const slots = [];
+
+  for (let at = first; at <= minutes + MINUTES_PER_DAY; at += step) {
+    const slot = {
+      date: at < MINUTES_PER_DAY ? date : addDays(date, 1),
+      time: toTimeString(at % MINUTES_PER_DAY),
+    };
+    if (isPickupAvailable(slot, now)) slots.push(slot);
+  }
+
+  return slots;
+};
+
+/**
+ * Label for a pickup time relative to the bar's current date
+ * ('Today, 6:15 PM', 'Tomorrow, 12:00 AM')
+ *
+ * @param {{ date: string, time: string }} pickup - Bar-local pickup
+ * @param {Function} t - Translate function
+ * @param {string} tag - BCP 47 locale
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string} Localized label
+ */
+export const formatPickup = ({ date, time }, t, tag, now = new Date()) => {
+  const today = toZonedTime(now, businessProfile.hours.timeZone).date;
+
+  return t(date === today ? 'checkout.today' : 'checkout.tomorrow', {
+    time: formatTimeOfDay(time, tag),
+  });
+};
+
+/**
+ * Validate an order against the basket rules and opening hours
+ *
+ * @param {OrderRequest} order - Submitted values
+ * @param {Date} [now=new Date()] - Reference time for pickup availability
+ * @param {Function} [t] - Translate function for the messages (English by default)
+ * @returns {Object<string, string>} Field errors (empty when valid)
+ */
+export const validateOrder = (
+  order,
+  now = new Date(),
+  t = createTranslator(DEFAULT_LOCALE)
+) => {
+  const errors = {};
+  const { items, pickup, name, phone } = order;
+
+  // Every submitted line has to survive parsing unchanged (known drink,
+  // allowed quantity, no duplicates)
+  const lines = parseCartLines(items);
+  const unchanged =
+    Array.isArray(items) &&
+    lines.length === items.length &&
+    lines.every(
+      (line, index) =>
+        line.slug === items[index].slug &&
+        line.quantity === items[index].quantity
+    );
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.items = t('checkout.errors.itemsRequired');
+  } else if (!unchanged) {
+    errors.items = t('checkout.errors.itemsInvalid');
+  }
+
+  if (!pickup?.date || !pickup?.time) {
+    errors.pickup = t('checkout.errors.pickupRequired');
+  } else if (!isPickupAvailable(pickup, now)) {
+    errors.pickup = t('checkout.errors.pickupUnavailable');
+  }
+
+  if (!name?.trim()) {
+    errors.name = t('checkout.errors.nameRequired');
+  } else if (name.trim().length > 80) {
+    errors.name = t('checkout.errors.nameTooLong');
+  }
+
+  if (!PHONE_PATTERN.test(phone?.trim() ?? '')) {
+    errors.phone = t('checkout.errors.phone');
+  }
+
+  return errors;
+};
+
+/**
+ * Options accepted by every client's createOrder
+ *
+ * @typedef {Object} OrderOptions
+ * @property {string} [locale] - Locale code ('en', 'es') for error messages
+ */
+
+/**
+ * In-memory orders backend for development and offline builds. Applies the
+ * same validation as the checkout and prices the order from the catalog,
+ * with the specials running when it is placed.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.latency=600] - Simulated network delay in ms
+ * @returns {{ createOrder: (order: OrderRequest, options?: OrderOptions) => Promise<Order> }}
+ */
+export const createMockOrdersClient = ({ latency = 600 } = {}) => {
+  const orders = [];
+
+  return {
+    async createOrder(order, { locale = DEFAULT_LOCALE } = {}) {
+      await simulateLatency(latency);
+
+      const t = createTranslator(locale);
+      const fieldErrors = validateOrder(order, new Date(), t);
+      if (Object.keys(fieldErrors).length > 0) {
+        throw new OrderError(t('checkout.checkFields'), fieldErrors);
+      }
+
+      const { subtotal, tax, total } = priceCart(order.items);
+      const placed = {
+        ...order,
+        id: `O-${String(orders.length + 1).padStart(4, '0')}`,
+        status: 'confirmed',
+        subtotal,
+        tax,
+        total,
+      };
+      orders.push(placed);
+
+      return placed;
+    },
+  };
+};
+
+/**
+ * Orders client for a REST backend exposing `POST /orders`.
+ * The locale is sent as Accept-Language; a 422 response with
+ * `{ message, errors }` becomes an OrderError.
+ *
+ * @param {string} baseUrl - API root, e.g. 'https://api.example.com'
+ * @returns {{ createOrder: (order: OrderRequest, options?: OrderOptions) => Promise<Order> }}
+ */
+export const createHttpOrdersClient = baseUrl => ({
+  createOrder: (order, { locale } = {}) =>
+    postJson(endpointUrl(baseUrl, 'orders'), order, {
+      ErrorType: OrderError,
+      messages: 'checkout',
+      locale,
+    }),
+});
+
+/**
+ * Default client: the HTTP backend when VITE_ORDERS_API_URL is set,
+ * otherwise the in-memory mock.
+ */
+export const ordersClient = import.meta.env.VITE_ORDERS_API_URL
+  ? createHttpOrdersClient(import.meta.env.VITE_ORDERS_API_URL)
+  : createMockOrdersClient();
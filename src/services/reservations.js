@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Table reservations - request validation and pluggable clients
+ * The HTTP client talks to a real backend; the mock client keeps bookings in
+ * memory so the site can be built and demoed offline.
+ */
+
+import { businessProfile } from '../../constants/index.js';
+import { DEFAULT_LOCALE, createTranslator } from '../i18n/index.js';
+import {
+  holidayOn,
+  isBookable,
+  parseTime,
+  toZonedTime,
+} from '../utils/openingHours.js';
+import {
+  ServiceError,
+  endpointUrl,
+  postJson,
+  simulateLatency,
+} from './client.js';
+
+// Party sizes accepted online; larger groups are asked to call
+export const MIN_PARTY_SIZE = 1;
+export const MAX_PARTY_SIZE = 12;
+
+// Loose phone check shared with online orders; staff call back to confirm
+export const PHONE_PATTERN = /^[+()\d\s.-]{7,20}$/;
+
+/**
+ * A table reservation request as submitted by the form
+ *
+ * @typedef {Object} ReservationRequest
+ * @property {string} date - Date in the bar's timezone, 'YYYY-MM-DD'
+ * @property {string} time - Time in the bar's timezone, 'HH:MM'
+ * @property {number} partySize - Number of guests
+ * @property {string} name - Guest name
+ * @property {string} phone - Contact phone number
+ * @property {string} [notes] - Optional requests (allergies, occasion...)
+ */
+
+/**
+ * A confirmed reservation returned by a client
+ *
+ * @typedef {ReservationRequest & { id: string, status: 'confirmed' }} Reservation
+ */
+
+/**
+ * Thrown by clients when a reservation is rejected (see ServiceError)
+ */
+export class ReservationError extends ServiceError {
+  /**
+   * @param {string} message - Summary shown above the form
+   * @param {Object<string, string>} [fieldErrors] - Per-field messages
+   */
+  constructor(message, fieldErrors) {
+    super(message, fieldErrors);
+    this.name = 'ReservationError';
+  }
+}
+
+/**
+ * Format a Date as a 'YYYY-MM-DD' string at the bar (for `<input type="date">`)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Calendar date in the bar's timezone
+ */
+export const toDateInputValue = date =>
+  toZonedTime(date, businessProfile.hours.timeZone).date;
+
+/**
+ * Validate a reservation request against the form rules and opening hours
+ *
+ * @param {ReservationRequest} request - Submitted values
+ * @param {Date} [now=new Date()] - Reference time for "not in the past"
+ * @param {Function} [t] - Translate function for the messages (English by default)
+ * @returns {Object<string, string>} Field errors (empty when valid)
+ */
+export const validateReservation = (
+  request,
+  now = new Date(),
+  t = createTranslator(DEFAULT_LOCALE)
+) => {
+  const errors = {};
+  const { date, time, partySize, name, phone, notes = '' } = request;
+
+  if (!date) errors.date = t('reservation.errors.dateRequired');
+  if (!time) errors.time = t('reservation.errors.timeRequired');
+
+  if (date && time) {
+    // Compare in the bar's timezone, whatever zone the guest is browsing from
+    const barNow = toZonedTime(now, businessProfile.hours.timeZone);
+    const isPast =
+      date < barNow.date ||
+      (date === barNow.date && parseTime(time) <= barNow.minutes);
+
+    if (isPast) {
+      errors.time = t('reservation.errors.pastTime');
+    } else if (!isBookable(businessProfile.hours, date, time)) {
+      const holiday = holidayOn(businessProfile.hours, date);
+      errors.time = holiday?.closed
+        ? t('reservation.errors.closedForHoliday', {
+            holiday: t(`holidays.${date}`, { defaultValue: holiday.label }),
+          })
+        : t('reservation.errors.notSeating');
+    }
+  }
+
+  if (
+    !Number.isInteger(partySize) ||
+    partySize < MIN_PARTY_SIZE ||
+    partySize > MAX_PARTY_SIZE
+  ) {
+    errors.partySize = t('reservation.errors.partySize', {
+      min: MIN_PARTY_SIZE,
+      max: MAX_PARTY_SIZE,
+    });
+  }
+
+  if (!name?.trim()) {
+    errors.name = t('reservation.errors.nameRequired');
+  } else if (name.trim().length > 80) {
+    errors.name = t('reservation.errors.nameTooLong');
+  }
+
+  if (!PHONE_PATTERN.test(phone?.trim() ?? '')) {
+    errors.phone = t('reservation.errors.phone');
+  }
+
+  if (notes.length > 500) errors.notes = t('reservation.errors.notesTooLong');
+
+  return errors;
+};
+
+/**
+ * Options accepted by every client's createReservation
+ *
+ * @typedef {Object} ReservationOptions
+ * @property {string} [locale] - Locale code ('en', 'es') for error messages
+ */
+
+/**
+ * In-memory reservations backend for development and offline builds.
+ * Applies the same validation as the form and refuses duplicate bookings.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.latency=600] - Simulated network delay in ms
+ * @returns {{ createReservation: (request: ReservationRequest, options?: ReservationOptions) => Promise<Reservation> }}
+ */
+export const createMockReservationsClient = ({ latency = 600 } = {}) => {
+  const reservations = [];
+
+  return {
+    async createReservation(request, { locale = DEFAULT_LOCALE } = {}) {
+      await simulateLatency(latency);
+
+      const t = createTranslator(locale);
+      const fieldErrors = validateReservation(request, new Date(), t);
+      if (Object.keys(fieldErrors).length > 0) {
+        throw new ReservationError(t('reservation.checkFields'), fieldErrors);
+      }
+
+      const duplicate = reservations.some(
+        existing =>
+          existing.date === request.date &&
+          existing.time === request.time &&
+          existing.phone === request.phone
+      );
+      if (duplicate) {
+        throw new ReservationError(t('reservation.duplicate'));
+      }
+
+      const reservation = {
+        ...request,
+        id: `R-${String(reservations.length + 1).padStart(4, '0')}`,
+        status: 'confirmed',
+      };
+      reservations.push(reservation);
+
+      return reservation;
+    },
+  };
+};
+
+/**
+ * Reservations client for a REST backend exposing `POST /reservations`.
+ * The locale is sent as Accept-Language; a 422 response with
+ * `{ message, errors }` becomes a ReservationError.
+ *
+ * @param {string} baseUrl - API root, e.g. 'https://api.example.com'
+ * @returns {{ createReservation: (request: ReservationRequest, options?: ReservationOptions) => Promise<Reservation> }}
+ */
+export const createHttpReservationsClient = baseUrl => ({
+  createReservation: (request, { locale } = {}) =>
+    postJson(endpointUrl(baseUrl, 'reservations'), request, {
+      ErrorType: ReservationError,
+      messages: 'reservation',
+      locale,
+    }),
+});
+
+/**
+ * Default client: the HTTP backend when VITE_RESERVATIONS_API_URL is set,
+ * otherwise the in-memory mock.
+ */
+export const reservationsClient = import.meta.env.VITE_RESERVATIONS_API_URL
+  ? createHttpReservationsClient(import.meta.env.VITE_RESERVATIONS_API_URL)
+  : createMockReservationsClient();
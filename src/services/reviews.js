@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Guest reviews - submission validation and pluggable clients
+ * Submitted reviews are held for moderation and only listed once approved.
+ * The HTTP client talks to a real backend; the mock client keeps reviews in
+ * memory so the site can be built and demoed offline.
+ */
+
+import { reviews as publishedReviews } from '../../constants/index.js';
+import { DEFAULT_LOCALE, createTranslator } from '../i18n/index.js';
+import { RATING_SCALE, sortReviews } from '../utils/reviews.js';
+import {
+  ServiceError,
+  endpointUrl,
+  getJson,
+  postJson,
+  simulateLatency,
+} from './client.js';
+
+// Length limits for the review form
+export const MAX_AUTHOR_LENGTH = 60;
+export const MIN_TEXT_LENGTH = 20;
+export const MAX_TEXT_LENGTH = 600;
+
+// Links are held back outright; they are almost always spam
+const LINK_PATTERN = /https?:\/\/|www\.|\.(com|net|org|io)\b/i;
+
+/**
+ * A review as submitted by the form
+ *
+ * @typedef {Object} ReviewRequest
+ * @property {string} author - Display name
+ * @property {number} rating - Whole stars, 1 to RATING_SCALE
+ * @property {string} text - Review body
+ * @property {string} [locale] - Language the review is written in
+ */
+
+/**
+ * A submitted review awaiting moderation
+ *
+ * @typedef {ReviewRequest & { id: string, date: string, status: 'pending' }} PendingReview
+ */
+
+/**
+ * Thrown by clients when a review is rejected (see ServiceError)
+ */
+export class ReviewError extends ServiceError {
+  /**
+   * @param {string} message - Summary shown above the form
+   * @param {Object<string, string>} [fieldErrors] - Per-field messages
+   */
+  constructor(message, fieldErrors) {
+    super(message, fieldErrors);
+    this.name = 'ReviewError';
+  }
+}
+
+/**
+ * Validate a review against the form rules
+ *
+ * @param {ReviewRequest} request - Submitted values
+ * @param {Function} [t] - Translate function for the messages (English by default)
+ * @returns {Object<string, string>} Field errors (empty when valid)
+ */
+export const validateReview = (
+  request,
+  t = createTranslator(DEFAULT_LOCALE)
+) => {
+  const errors = {};
+  const { author, rating, text } = request;
+
+  if (!author?.trim()) {
+    errors.author = t('reviews.errors.authorRequired');
+  } else if (author.trim().length > MAX_AUTHOR_LENGTH) {
+    errors.author = t('reviews.errors.authorTooLong', {
+      max: MAX_AUTHOR_LENGTH,
+    });
+  }
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > RATING_SCALE) {
+    errors.rating = t('reviews.errors.rating');
+  }
+
+  const body = text?.trim() ?? '';
+  if (body.length < MIN_TEXT_LENGTH) {
+    errors.text = t('reviews.errors.textTooShort', { min: MIN_TEXT_LENGTH });
+  } else if (body.length > MAX_TEXT_LENGTH) {
+    errors.text = t('reviews.errors.textTooLong', { max: MAX_TEXT_LENGTH });
+  } else if (LINK_PATTERN.test(body)) {
+    errors.text = t('reviews.errors.links');
+  }
+
+  return errors;
+};
+
+/**
+ * Options accepted by every client's submitReview
+ *
+ * @typedef {Object} ReviewOptions
+ * @property {string} [locale] - Locale code ('en', 'es') for error messages
+ */
+
+/**
+ * In-memory reviews backend for development and offline builds.
+ * Lists the reviews shipped in constants/index.js, applies the same
+ * validation as the form, refuses duplicate submissions and queues new
+ * reviews for moderation.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.latency=600] - Simulated network delay in ms
+ * @param {import('../utils/reviews.js').Review[]} [options.reviews] - Published reviews
+ * @returns {{
+ *   listReviews: () => Promise<import('../utils/reviews.js').Review[]>,
+ *   submitReview: (request: ReviewRequest, options?: ReviewOptions) => Promise<PendingReview>
+ * }}
+ */
+export const createMockReviewsClient = ({
+  latency = 600,
+  reviews = publishedReviews,
+} = {}) => {
+  const published = [...reviews];
+  const pending = [];
+
+  return {
+    async listReviews() {
+      await simulateLatency(latency);
+      return sortReviews(published);
+    },
+
+    async submitReview(request, { locale = DEFAULT_LOCALE } = {}) {
+      await simulateLatency(latency);
+
+      const t = createTranslator(locale);
+      const fieldErrors = validateReview(request, t);
+      if (Object.keys(fieldErrors).length > 0) {
+        throw new ReviewError(t('reviews.checkFields'), fieldErrors);
+      }
+
+      const text = request.text.trim();
+      const duplicate = [...published, ...pending].some(
+        existing => existing.text === text
+      );
+      if (duplicate) {
+        throw new ReviewError(t('reviews.duplicate'));
+      }
+
+      const review = {
+        ...request,
+        author: request.author.trim(),
+        text,
+        id: `V-${String(pending.length + 1).padStart(4, '0')}`,
+        date: new Date().toISOString().slice(0, 10),
+        status: 'pending',
+      };
+      pending.push(review);
+
+      return review;
+    },
+  };
+};
+
+/**
+ * Reviews client for a REST backend exposing `GET /reviews` (published
+ * reviews only) and `POST /reviews` (queued for moderation). The locale is
+ * sent as Accept-Language; a 422 response with `{ message, errors }` becomes
+ * a ReviewError.
+ *
+ * @param {string} baseUrl - API root, e.g. 'https://api.example.com'
+ * @returns {{
+ *   listReviews: () => Promise<import('../utils/reviews.js').Review[]>,
+ *   submitReview: (request: ReviewRequest, options?: ReviewOptions) => Promise<PendingReview>
+ * }}
+ */
+export const createHttpReviewsClient = baseUrl => {
+  const endpoint = endpointUrl(baseUrl, 'reviews');
+
+  return {
+    listReviews: async () => sortReviews(await getJson(endpoint)),
+
+    submitReview: (request, { locale } = {}) =>
+      postJson(endpoint, request, {
+        ErrorType: ReviewError,
+        messages: 'reviews',
+        locale,
+      }),
+  };
+};
+
+/**
+ * Default client: the HTTP backend when VITE_REVIEWS_API_URL is set,
+ * otherwise the in-memory mock.
+ */
+export const reviewsClient = import.meta.env.VITE_REVIEWS_API_URL
+  ? createHttpReviewsClient(import.meta.env.VITE_REVIEWS_API_URL)
+  : createMockReviewsClient();
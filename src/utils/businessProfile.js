@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Formatting helpers for the business profile (constants/index.js)
+ * Postal address lines and a vCard built from the same data the Contact section renders
+ */
+
+/**
+ * Single-line postal address
+ *
+ * @param {{street: string, locality: string, region: string, postalCode: string}} address
+ * @returns {string} E.g. '456, Raq Blvd. #404, Los Angeles, CA 90210'
+ */
+export const formatAddress = ({ street, locality, region, postalCode }) =>
+  `${street}, ${locality}, ${region} ${postalCode}`;
+
+/**
+ * Escape a vCard text value (RFC 6350 §3.4)
+ *
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeVCard = value =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+
+/**
+ * Build a vCard 3.0 for the business, readable by phone and desktop contacts apps
+ *
+ * @param {Object} profile - businessProfile from constants/index.js
+ * @param {string} [url] - Website address to include
+ * @returns {string} vCard text with CRLF line endings
+ */
+export const buildVCard = (profile, url) => {
+  const { name, address, geo, phone, email } = profile;
+
+  return [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeVCard(name)}`,
+    `ORG:${escapeVCard(name)}`,
+    `ADR;TYPE=WORK:;;${[
+      address.street,
+      address.locality,
+      address.region,
+      address.postalCode,
+      address.country,
+    ]
+      .map(escapeVCard)
+      .join(';')}`,
+    `GEO:${geo.latitude};${geo.longitude}`,
+    `TEL;TYPE=WORK,VOICE:${phone.e164}`,
+    `EMAIL;TYPE=INTERNET:${email}`,
+    ...(url ? [`URL:${url}`] : []),
+    'END:VCARD',
+  ].join('\r\n');
+};
+
+/**
+ * vCard as a data: URL, for use as an `<a download>` href
+ *
+ * @param {Object} profile - businessProfile from constants/index.js
+ * @param {string} [url] - Website address to include
+ * @returns {string} data:text/vcard URL
+ */
+export const vCardHref = (profile, url) =>
+  `data:text/vcard;charset=utf-8,${encodeURIComponent(buildVCard(profile, url))}`;
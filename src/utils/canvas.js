@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Canvas helpers for drawing scrubbed image sequences
+ */
+
+// Cap on the backing-store scale; 3x screens gain little for the memory cost
+const MAX_PIXEL_RATIO = 2;
+
+/**
+ * Match a canvas' backing store to its CSS size and the screen density
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to resize
+ * @returns {boolean} True when the size changed (and the canvas was cleared)
+ */
+export const syncCanvasSize = canvas => {
+  const ratio = Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+  const width = Math.round(canvas.clientWidth * ratio);
+  const height = Math.round(canvas.clientHeight * ratio);
+
+  if (canvas.width === width && canvas.height === height) return false;
+
+  canvas.width = width;
+  canvas.height = height;
+  return true;
+};
+
+/**
+ * Draw an image scaled like CSS object-fit. 'contain' is centered; 'cover'
+ * is anchored to the bottom edge, matching the Hero video's object-bottom.
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {HTMLImageElement} image - Loaded image
+ * @param {'contain'|'cover'} [fit='contain'] - Scaling mode
+ */
+export const drawImageFit = (canvas, image, fit = 'contain') => {
+  const context = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const scale = (fit === 'cover' ? Math.max : Math.min)(
+    width / image.naturalWidth,
+    height / image.naturalHeight
+  );
+  const drawWidth = image.naturalWidth * scale;
+  const drawHeight = image.naturalHeight * scale;
+
+  context.clearRect(0, 0, width, height);
+  context.drawImage(
+    image,
+    (width - drawWidth) / 2,
+    fit === 'cover' ? height - drawHeight : (height - drawHeight) / 2,
+    drawWidth,
+    drawHeight
+  );
+};
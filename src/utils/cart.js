@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Order-ahead basket: line reducer, storage parsing and pricing
+ * Lines only store a slug and a quantity; prices always come from the
+ * catalog (with any running special applied), so a basket restored from
+ * localStorage can't carry stale prices.
+ */
+
+import { getDrinkBySlug } from '../../constants/catalog.js';
+import { ordering } from '../../constants/index.js';
+import { activeSpecials, priceDrink } from './specials.js';
+
+/**
+ * One basket line
+ *
+ * @typedef {Object} CartLine
+ * @property {string} slug - Catalog slug
+ * @property {number} quantity - 1 to `ordering.maxQuantity`
+ */
+
+/**
+ * @typedef {Object} CartAction
+ * @property {'add'|'setQuantity'|'remove'|'clear'} type - What to do
+ * @property {string} [slug] - Drink the action applies to
+ * @property {number} [quantity] - Amount to add, or the new quantity
+ */
+
+/**
+ * Clamp a quantity to what one order may hold
+ *
+ * @param {number} quantity - Requested quantity
+ * @returns {number} Whole number from 0 to ordering.maxQuantity
+ */
+const clampQuantity = quantity =>
+  Math.min(Math.max(Math.trunc(quantity) || 0, 0), ordering.maxQuantity);
+
+/**
+ * Basket reducer
+ *
+ * - `add` appends the drink or raises its quantity
+ * - `setQuantity` replaces the quantity; 0 removes the line
+ * - `remove` drops the line, `clear` empties the basket
+ * Unknown slugs are ignored, and quantities are capped at
+ * `ordering.maxQuantity`.
+ *
+ * @param {CartLine[]} lines - Current lines
+ * @param {CartAction} action - Change to apply
+ * @returns {CartLine[]} New lines (the same array when nothing changed)
+ */
+export const cartReducer = (lines, action) => {
+  const { type, slug, quantity = 1 } = action;
+  const existing = lines.find(line => line.slug === slug);
+
+  switch (type) {
+    case 'add': {
+      if (!getDrinkBySlug(slug)) return lines;
+      if (!existing) {
+        const added = clampQuantity(quantity);
+        return added > 0 ? [...lines, { slug, quantity: added }] : lines;
+      }
+      return cartReducer(lines, {
+        type: 'setQuantity',
+        slug,
+        quantity: existing.quantity + quantity,
+      });
+    }
+
+    case 'setQuantity': {
+      if (!existing) return lines;
+      const next = clampQuantity(quantity);
+      if (next === 0) return cartReducer(lines, { type: 'remove', slug });
+      return lines.map(line =>
+        line.slug === slug ? { ...line, quantity: next } : line
+      );
+    }
+
+    case 'remove':
+      return existing ? lines.filter(line => line !== existing) : lines;
+
+    case 'clear':
+      return lines.length > 0 ? [] : lines;
+
+    default:
+      return lines;
+  }
+};
+
+/**
+ * Rebuild basket lines from untrusted data (localStorage, an API payload).
+ * Drops unknown drinks and bad quantities and merges duplicate slugs.
+ *
+ * @param {*} value - Parsed JSON
+ * @returns {CartLine[]} Valid lines
+ */
+export const parseCartLines = value =>
+  (Array.isArray(value) ? value : []).reduce(
+    (lines, line) =>
+      typeof line?.slug === 'string' && Number.isFinite(line.quantity)
+        ? cartReducer(lines, {
+            type: 'add',
+            slug: line.slug,
+            quantity: line.quantity,
+          })
+        : lines,
+    []
+  );
+
+/**
+ * Convert cents back to a catalog-style price
+ *
+ * @param {number} cents - Whole cents
+ * @param {string} currency - ISO 4217 code
+ * @returns {{ amount: number, currency: string }} Price for formatPrice
+ */
+const toPrice = (cents, currency) => ({ amount: cents / 100, currency });
+
+/**
+ * Price a basket from the catalog and the running specials. Amounts are
+ * summed in whole cents so totals don't pick up floating-point drift; tax is
+ * rounded once, on the subtotal.
+ *
+ * @param {CartLine[]} lines - Basket lines
+ * @param {number} [taxRate=ordering.taxRate] - Sales tax as a fraction
+ * @param {import('./specials.js').ActiveSpecial[]} [active] - Running
+ *   specials; defaults to the ones running now
+ * @returns {{
+ *   items: Array<CartLine & {
+ *     drink: import('../../constants/catalogSchema.js').CatalogItem,
+ *     price: { amount: number, currency: string },
+ *     special: import('./specials.js').ActiveSpecial|null,
+ *     total: { amount: number, currency: string }
+ *   }>,
+ *   count: number,
+ *   subtotal: { amount: number, currency: string },
+ *   tax: { amount: number, currency: string },
+ *   total: { amount: number, currency: string }
+ * }} Priced lines, number of drinks and totals
+ */
+export const priceCart = (
+  lines,
+  taxRate = ordering.taxRate,
+  active = activeSpecials()
+) => {
+  const items = lines
+    .map(line => ({ ...line, drink: getDrinkBySlug(line.slug) }))
+    .filter(item => item.drink);
+
+  // The catalog is priced in a single currency
+  const currency = items[0]?.drink.price.currency ?? 'USD';
+
+  let count = 0;
+  let subtotal = 0;
+  const priced = items.map(item => {
+    const { price, special } = priceDrink(item.drink, active);
+    const cents = Math.round(price.amount * 100) * item.quantity;
+    count += item.quantity;
+    subtotal += cents;
+    return { ...item, price, special, total: toPrice(cents, currency) };
+  });
+  const tax = Math.round(subtotal * taxRate);
+
+  return {
+    items: priced,
+    count,
+    subtotal: toPrice(subtotal, currency),
+    tax: toPrice(tax, currency),
+    total: toPrice(subtotal + tax, currency),
+  };
+};
@@ -0,0 +1,309 @@
+/**
+ * @fileoverview Drink search and filters: fuzzy matching, filter rules and URL state
+ * Framework-free; CatalogFilterProvider wires it to React and the address bar.
+ */
+
+import { catalogFilters } from '../../constants/index.js';
+import { BASES } from '../../constants/catalogSchema.js';
+
+/**
+ * Active search and filters
+ *
+ * @typedef {Object} CatalogFilters
+ * @property {string} query - Free-text search over names and ingredients
+ * @property {'all'|'alcoholic'|'non-alcoholic'} type - Alcohol filter
+ * @property {string[]} countries - ISO country codes; any may match
+ * @property {string[]} bases - Spirit bases; any may match
+ * @property {string|null} price - Price range id from `catalogFilters`
+ */
+
+// Accepted values of the alcohol filter
+export const DRINK_TYPES = ['all', 'alcoholic', 'non-alcoholic'];
+
+/** @type {CatalogFilters} */
+export const EMPTY_FILTERS = {
+  query: '',
+  type: 'all',
+  countries: [],
+  bases: [],
+  price: null,
+};
+
+// Query parameters holding each filter, e.g. `?q=mint&base=rum,gin`
+const PARAMS = {
+  query: 'q',
+  type: 'type',
+  countries: 'country',
+  bases: 'base',
+  price: 'price',
+};
+
+// Longest query kept from the URL or the search box
+const MAX_QUERY_LENGTH = 60;
+
+/**
+ * Lower-case and strip accents so 'Curaçao' matches 'curacao'
+ *
+ * @param {string} text - Text to compare
+ * @returns {string} Comparable form
+ */
+const normalize = text =>
+  text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+/**
+ * Whether `token` can be read off `word` in order, allowing gaps
+ * ('rsp' in 'raspberry')
+ *
+ * @param {string} token - Query token
+ * @param {string} word - Candidate word
+ * @returns {boolean} True for a subsequence match
+ */
+const isSubsequence = (token, word) => {
+  let position = 0;
+  for (const char of word) {
+    if (char === token[position]) position += 1;
+    if (position === token.length) return true;
+  }
+  return false;
+};
+
+/**
+ * Whether two strings are at most one edit apart (insert, delete, replace)
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True for a single typo
+ */
+const isOneEditApart = (a, b) => {
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i += 1;
+      j += 1;
+      continue;
+    }
+    edits += 1;
+    if (edits > 1) return false;
+    if (a.length > b.length) i += 1;
+    else if (a.length < b.length) j += 1;
+    else {
+      i += 1;
+      j += 1;
+    }
+  }
+
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+/**
+ * Score one query token against a piece of text. Prefixes of a word score
+ * highest, then substrings, single typos ('mohito') and finally letters in
+ * order ('rsp'). Typos and subsequences need at least 4 and 3 letters so
+ * short tokens don't match everything.
+ *
+ * @param {string} token - Normalized query token
+ * @param {string} text - Normalized text
+ * @returns {number} 0 (no match) to 1 (word prefix)
+ */
+const scoreToken = (token, text) => {
+  const words = text.split(/[^a-z0-9]+/).filter(Boolean);
+
+  if (words.some(word => word.startsWith(token))) return 1;
+  if (text.includes(token)) return 0.8;
+  if (
+    token.length >= 4 &&
+    words.some(word => isOneEditApart(token, word.slice(0, token.length + 1)))
+  ) {
+    return 0.6;
+  }
+  if (token.length >= 3 && words.some(word => isSubsequence(token, word))) {
+    return 0.4;
+  }
+  return 0;
+};
+
+/**
+ * Fuzzy relevance of a drink for a search query. Every token has to match
+ * the name or an ingredient; name matches weigh more.
+ *
+ * @param {import('../../constants/catalogSchema.js').CatalogItem} drink - Drink
+ * @param {string} query - Raw search text
+ * @returns {number} 0 when the drink doesn't match, higher is more relevant
+ */
+export const scoreDrink = (drink, query) => {
+  const tokens = normalize(query).split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return 1;
+
+  const name = normalize(drink.name);
+  const ingredients = drink.ingredients.map(({ name }) => normalize(name));
+
+  let total = 0;
+  for (const token of tokens) {
+    const best = Math.max(
+      scoreToken(token, name),
+      ...ingredients.map(ingredient => scoreToken(token, ingredient) * 0.7)
+    );
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  return total;
+};
+
+/**
+ * Whether a drink passes the chip filters (alcohol, country, base, price).
+ * Chips in the same group widen the match; groups narrow it.
+ *
+ * @param {import('../../constants/catalogSchema.js').CatalogItem} drink - Drink
+ * @param {CatalogFilters} filters - Active filters
+ * @returns {boolean} True when the drink should stay visible
+ */
+export const matchesFilters = (drink, { type, countries, bases, price }) => {
+  if (type === 'alcoholic' && drink.abv === 0) return false;
+  if (type === 'non-alcoholic' && drink.abv > 0) return false;
+  if (countries.length > 0 && !countries.includes(drink.country)) return false;
+  if (bases.length > 0 && !bases.includes(drink.base)) return false;
+
+  const range = catalogFilters.priceRanges.find(({ id }) => id === price);
+  if (range) {
+    const { amount } = drink.price;
+    if (range.min !== undefined && amount < range.min) return false;
+    if (range.max !== undefined && amount >= range.max) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Apply the search and filters to a list of drinks
+ *
+ * @param {import('../../constants/catalogSchema.js').CatalogItem[]} drinks -
+ *   Drinks in catalog order
+ * @param {CatalogFilters} filters - Active filters
+ * @returns {Map<string, number>} Slugs of the matching drinks mapped to their
+ *   rank: by relevance while searching, otherwise catalog order
+ */
+export const searchCatalog = (drinks, filters) => {
+  const ranked = drinks
+    .filter(drink => matchesFilters(drink, filters))
+    .map(drink => ({
+      slug: drink.slug,
+      score: scoreDrink(drink, filters.query),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score); // Stable: ties keep catalog order
+
+  return new Map(ranked.map(({ slug }, rank) => [slug, rank]));
+};
+
+/**
+ * Chip options offered for a catalog: the countries and spirit bases that
+ * actually occur, plus the configured price ranges and the currency they're
+ * shown in
+ *
+ * @param {import('../../constants/catalogSchema.js').CatalogItem[]} drinks - Drinks
+ * @returns {{
+ *   countries: string[],
+ *   bases: string[],
+ *   priceRanges: Array<{ id: string, min?: number, max?: number }>,
+ *   currency: string
+ * }} Options in display order
+ */
+export const getFilterOptions = drinks => ({
+  countries: [...new Set(drinks.map(drink => drink.country))].sort(),
+  bases: BASES.filter(
+    base => base !== 'none' && drinks.some(drink => drink.base === base)
+  ),
+  priceRanges: catalogFilters.priceRanges,
+  currency: drinks[0]?.price.currency ?? 'USD', // Single-currency catalog
+});
+
+/**
+ * Whether any search text or chip is active
+ *
+ * @param {CatalogFilters} filters - Active filters
+ * @returns {boolean} True when the lists are narrowed
+ */
+export const isFiltering = filters =>
+  filters.query.trim() !== '' ||
+  filters.type !== 'all' ||
+  filters.countries.length > 0 ||
+  filters.bases.length > 0 ||
+  filters.price !== null;
+
+/**
+ * Read filters from URL query parameters, ignoring unknown values
+ *
+ * @param {URLSearchParams} params - Current query string
+ * @param {ReturnType<typeof getFilterOptions>} options - Allowed chip values
+ * @returns {CatalogFilters} Parsed filters
+ */
+export const parseFilters = (params, options) => {
+  const list = (key, allowed) =>
+    (params.get(PARAMS[key]) ?? '')
+      .split(',')
+      .filter(
+        (value, index, values) =>
+          allowed.includes(value) && values.indexOf(value) === index
+      );
+
+  const type = params.get(PARAMS.type);
+  const price = params.get(PARAMS.price);
+
+  return {
+    query: (params.get(PARAMS.query) ?? '').slice(0, MAX_QUERY_LENGTH),
+    type: DRINK_TYPES.includes(type) ? type : 'all',
+    countries: list('countries', options.countries),
+    bases: list('bases', options.bases),
+    price: options.priceRanges.some(({ id }) => id === price) ? price : null,
+  };
+};
+
+/**
+ * Write filters into URL query parameters, dropping the empty ones and
+ * leaving unrelated parameters alone
+ *
+ * @param {CatalogFilters} filters - Filters to store
+ * @param {URLSearchParams} params - Parameters to update in place
+ * @returns {URLSearchParams} The same parameters
+ */
+export const writeFilters = (filters, params) => {
+  const values = {
+    query: filters.query,
+    type: filters.type === 'all' ? '' : filters.type,
+    countries: filters.countries.join(','),
+    bases: filters.bases.join(','),
+    price: filters.price ?? '',
+  };
+
+  for (const [key, value] of Object.entries(values)) {
+    if (value) params.set(PARAMS[key], value);
+    else params.delete(PARAMS[key]);
+  }
+
+  return params;
+};
+
+/**
+ * Stable string form of a filter set, for cheap equality checks
+ *
+ * @param {CatalogFilters} filters - Filters
+ * @returns {string} Query-string key
+ */
+export const filtersKey = filters =>
+  writeFilters(filters, new URLSearchParams()).toString();
+
+/**
+ * Clip search text typed into the box to the length the URL keeps
+ *
+ * @param {string} query - Raw input
+ * @returns {string} Stored query
+ */
+export const clampQuery = query => query.slice(0, MAX_QUERY_LENGTH);
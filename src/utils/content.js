@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Content files, schema checks and CMS fetching for the section copy
+ * Framework-free so the build, the mock CMS server and the page share them
+ */
+
+import { LOCALES, isMessageTree, mergeMessages } from '../i18n/index.js';
+
+// content/<locale>/<name>.json or content/<locale>/<dotted.key>.md
+const FILE_PATTERN = /(?:^|\/)content\/([\w-]+)\/([\w.-]+)\.(json|md)$/;
+
+/**
+ * Copy trees keyed by locale code, e.g. `{ en: { hero: { tagline } } }`
+ *
+ * @typedef {Object<string, Object>} ContentByLocale
+ */
+
+/**
+ * Turn a Markdown file into plain copy: front matter is dropped, paragraphs
+ * are re-flowed onto single lines and emphasis/link syntax is reduced to
+ * its text (sections render copy as text, not HTML)
+ *
+ * @param {string} source - Markdown file contents
+ * @returns {string} Copy, paragraphs separated by a blank line
+ */
+export const markdownToText = source =>
+  source
+    .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '')
+    .trim()
+    .split(/\r?\n\s*\r?\n/)
+    .map(paragraph =>
+      paragraph
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__|\*|_)(.+?)\1/g, '$2')
+        .replace(/\s+/g, ' ')
+        .trim()
+    )
+    .join('\n\n');
+
+/**
+ * Build the copy tree from raw content files. `<name>.json` holds the keys
+ * of one section; `<section>.<key>.md` holds a single long-form value.
+ * Files for unsupported locales or with other names are ignored.
+ *
+ * @param {Object<string, string>} files - File contents keyed by path
+ * @returns {ContentByLocale} Copy by locale
+ * @throws {SyntaxError} When a JSON file is malformed (the message names it)
+ */
+export const parseContentFiles = files =>
+  Object.entries(files).reduce((content, [path, source]) => {
+    const match = FILE_PATTERN.exec(path);
+    if (!match || !(match[1] in LOCALES)) return content;
+
+    const [, locale, name, extension] = match;
+    let value;
+    try {
+      value =
+        extension === 'json' ? JSON.parse(source) : markdownToText(source);
+    } catch (error) {
+      throw new SyntaxError(`${path}: ${error.message}`);
+    }
+
+    // 'about.body' -> { about: { body: value } }
+    const tree = name
+      .split('.')
+      .reduceRight((node, part) => ({ [part]: node }), value);
+
+    return { ...content, [locale]: mergeMessages(content[locale], tree) };
+  }, {});
+
+/**
+ * Stack copy trees, later layers winning key by key (e.g. bundled files,
+ * then the build-time CMS snapshot, then cached CMS copy)
+ *
+ * @param {...(ContentByLocale|null|undefined)} layers - Copy, lowest first
+ * @returns {ContentByLocale} Combined copy
+ */
+export const layerContent = (...layers) =>
+  layers.filter(Boolean).reduce(
+    (content, layer) =>
+      Object.entries(layer).reduce(
+        (merged, [locale, tree]) => ({
+          ...merged,
+          [locale]: mergeMessages(merged[locale] ?? {}, tree),
+        }),
+        content
+      ),
+    {}
+  );
+
+/**
+ * Keep only the copy that fits the schema: keys the schema defines, with the
+ * same kind of value (string, list of strings, nested section). Protects the
+ * sections from a CMS entry that would break them, e.g. a string where a
+ * list is rendered.
+ *
+ * @param {ContentByLocale} content - Copy to check, e.g. a CMS response
+ * @param {Object} schema - Reference tree, the bundled English copy
+ * @returns {{ content: ContentByLocale, issues: string[] }} Accepted copy
+ *   and the dotted paths that were dropped
+ */
+export const sanitizeContent = (content, schema) => {
+  const issues = [];
+
+  const walk = (value, reference, path) => {
+    if (isMessageTree(reference)) {
+      if (!isMessageTree(value)) {
+        issues.push(path);
+        return undefined;
+      }
+
+      const accepted = {};
+      Object.entries(value).forEach(([key, child]) => {
+        const kept = walk(child, reference[key], `${path}.${key}`);
+        if (kept !== undefined) accepted[key] = kept;
+      });
+      return accepted;
+    }
+
+    const fits = Array.isArray(reference)
+      ? Array.isArray(value) && value.every(item => typeof item === 'string')
+      : typeof reference === 'string' && typeof value === 'string';
+
+    if (!fits) issues.push(path);
+    return fits ? value : undefined;
+  };
+
+  const accepted = {};
+  Object.entries(isMessageTree(content) ? content : {}).forEach(
+    ([locale, tree]) => {
+      if (!(locale in LOCALES)) {
+        issues.push(locale);
+        return;
+      }
+      accepted[locale] = walk(tree, schema, locale) ?? {};
+    }
+  );
+
+  return { content: accepted, issues };
+};
+
+/**
+ * Fetch every locale's copy from a REST CMS exposing `GET /content`
+ * (`{ en: {...}, es: {...} }`)
+ *
+ * @param {string} baseUrl - API root, e.g. 'https://cms.example.com'
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=5000] - Abort a slow request
+ * @returns {Promise<ContentByLocale>} Copy by locale, unchecked
+ * @throws {Error} On network errors, timeouts and non-2xx responses
+ */
+export const fetchContent = async (baseUrl, { timeoutMs = 5000 } = {}) => {
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/content`, {
+    headers: { Accept: 'application/json' },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!response.ok) {
+    throw new Error(`Content request failed (${response.status})`);
+  }
+
+  return response.json();
+};
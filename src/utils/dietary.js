@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Guest dietary preferences: allergens to avoid, diets to keep
+ * Framework-free; CatalogFilterProvider persists them and applies them to the
+ * drink lists.
+ */
+
+import { ALLERGENS, DIETARY } from '../../constants/catalogSchema.js';
+
+/**
+ * What a guest wants to avoid or keep to, and how unsuitable drinks show
+ *
+ * @typedef {Object} DietaryPreferences
+ * @property {string[]} avoid - Allergens (ALLERGENS) the guest can't have
+ * @property {string[]} require - Diets (DIETARY) every drink must suit
+ * @property {'flag'|'hide'} mode - Mark unsuitable drinks or take them off
+ *   the lists
+ */
+
+// How unsuitable drinks are treated
+export const PREFERENCE_MODES = ['flag', 'hide'];
+
+/** @type {DietaryPreferences} */
+export const EMPTY_PREFERENCES = { avoid: [], require: [], mode: 'flag' };
+
+/**
+ * A reason a drink doesn't suit the guest
+ *
+ * @typedef {Object} DietaryConflict
+ * @property {'allergen'|'dietary'} kind - Contains an allergen, or misses a diet
+ * @property {string} id - The allergen or diet
+ */
+
+/**
+ * Why a drink doesn't suit the preferences, allergens first
+ *
+ * @param {import('../../constants/catalogSchema.js').CatalogItem} drink
+ * @param {DietaryPreferences} preferences - Guest preferences
+ * @returns {DietaryConflict[]} Conflicts, empty when the drink suits
+ */
+export const dietaryConflicts = (drink, { avoid, require }) => [
+  ...ALLERGENS.filter(
+    id => avoid.includes(id) && drink.allergens.includes(id)
+  ).map(id => ({ kind: 'allergen', id })),
+  ...DIETARY.filter(
+    id => require.includes(id) && !drink.dietary.includes(id)
+  ).map(id => ({ kind: 'dietary', id })),
+];
+
+/**
+ * Whether a drink suits the preferences
+ *
+ * @param {import('../../constants/catalogSchema.js').CatalogItem} drink
+ * @param {DietaryPreferences} preferences - Guest preferences
+ * @returns {boolean} True when nothing conflicts
+ */
+export const isSuitable = (drink, preferences) =>
+  dietaryConflicts(drink, preferences).length === 0;
+
+/**
+ * Whether any allergen or diet is selected
+ *
+ * @param {DietaryPreferences} preferences - Guest preferences
+ * @returns {boolean} True when the preferences can rule a drink out
+ */
+export const hasPreferences = ({ avoid, require }) =>
+  avoid.length > 0 || require.length > 0;
+
+/**
+ * Rebuild preferences from untrusted data (localStorage). Unknown values
+ * and duplicates are dropped; anything unreadable gives EMPTY_PREFERENCES.
+ *
+ * @param {unknown} value - Parsed stored value
+ * @returns {DietaryPreferences} Valid preferences, in chip order
+ */
+export const parsePreferences = value => {
+  const list = (key, allowed) =>
+    Array.isArray(value?.[key])
+      ? allowed.filter(id => value[key].includes(id))
+      : [];
+
+  return {
+    avoid: list('avoid', ALLERGENS),
+    require: list('require', DIETARY),
+    mode: PREFERENCE_MODES.includes(value?.mode)
+      ? value.mode
+      : EMPTY_PREFERENCES.mode,
+  };
+};
+
+/**
+ * Stable string form of preferences, for cheap equality checks
+ *
+ * @param {DietaryPreferences} preferences - Guest preferences
+ * @returns {string} Key, equal for equal preferences
+ */
+export const preferencesKey = preferences =>
+  JSON.stringify(parsePreferences(preferences));
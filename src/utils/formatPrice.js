@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Price formatting for catalog prices
+ */
+
+/**
+ * Format a catalog price for display. Whole amounts drop the decimals
+ * ('$10'), fractional amounts keep them ('$9.50').
+ *
+ * @param {{ amount: number, currency: string }} price - Catalog price
+ * @param {string} [locale='en-US'] - BCP 47 locale used for formatting
+ * @returns {string} Localized price string
+ */
+const formatPrice = ({ amount, currency }, locale = 'en-US') =>
+  new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    maximumFractionDigits: 2,
+  }).format(amount);
+
+export default formatPrice;
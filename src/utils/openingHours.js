@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Opening-hours engine for the structured `businessProfile.hours` model
+ * Answers "open now?", "closes in N minutes" and "next opening" in the bar's
+ * own timezone, with past-midnight closing and date-specific holiday overrides
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_DAY = MINUTES_PER_DAY * 60 * 1000;
+
+// How far ahead nextOpening looks before giving up (covers long closures)
+const LOOKAHEAD_DAYS = 14;
+
+/**
+ * @typedef {Object} DayHours
+ * @property {string} open - 24h 'HH:MM' opening time
+ * @property {string} close - 24h 'HH:MM'; at or before `open` runs past midnight
+ */
+
+/**
+ * @typedef {Object} HolidayOverride
+ * @property {string} date - Calendar date in the bar's timezone, 'YYYY-MM-DD'
+ * @property {string} label - Display name, e.g. 'Thanksgiving'
+ * @property {boolean} [closed] - Closed all day
+ * @property {string} [open] - Replacement opening time when not closed
+ * @property {string} [close] - Replacement closing time when not closed
+ */
+
+/**
+ * @typedef {Object} BusinessHours
+ * @property {string} timeZone - IANA zone the times are expressed in
+ * @property {Array<DayHours|null>} weekly - Date#getDay() order; null = closed
+ * @property {HolidayOverride[]} holidays - Overrides taking precedence over `weekly`
+ */
+
+/**
+ * Convert a 24h 'HH:MM' string to minutes after midnight
+ *
+ * @param {string} time - Time such as '09:30'
+ * @returns {number} Minutes after midnight, NaN when malformed
+ */
+export const parseTime = time => {
+  const match = /^(\d{2}):(\d{2})$/.exec(time ?? '');
+  if (!match) return NaN;
+
+  const [hours, minutes] = [Number(match[1]), Number(match[2])];
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : NaN;
+};
+
+/**
+ * Convert minutes after midnight back to a 24h 'HH:MM' string
+ *
+ * @param {number} minutes - 0 to 1439
+ * @returns {string} Time such as '09:30'
+ */
+export const toTimeString = minutes =>
+  [Math.floor(minutes / 60), minutes % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+
+/**
+ * Weekday (0 = Sunday) of a calendar date string
+ *
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number} Weekday, NaN when malformed
+ */
+export const weekdayOf = date => new Date(`${date}T00:00Z`).getUTCDay();
+
+/**
+ * Shift a calendar date string by whole days
+ *
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted 'YYYY-MM-DD'
+ */
+export const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00Z`) + days * MS_PER_DAY)
+    .toISOString()
+    .slice(0, 10);
+
+/**
+ * Wall-clock date and time of an instant in a given timezone
+ *
+ * @param {Date} instant - Moment to convert
+ * @param {string} timeZone - IANA zone, e.g. 'America/Los_Angeles'
+ * @returns {{date: string, weekday: number, minutes: number}} Local calendar
+ *   date, weekday and minutes after local midnight
+ */
+export const toZonedTime = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(instant)
+      .map(({ type, value }) => [type, value])
+  );
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+
+  return {
+    date,
+    weekday: weekdayOf(date),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+/**
+ * Holiday override for a calendar date, if any
+ *
+ * @param {BusinessHours} hours - Business hours model
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {HolidayOverride|undefined} Matching override
+ */
+export const holidayOn = (hours, date) =>
+  hours.holidays.find(holiday => holiday.date === date);
+
+/**
+ * Opening window of one calendar date, in minutes from that date's midnight.
+ * A close at or before the open time moves to the next day (e.g. 09:00–01:00
+ * becomes 540–1500).
+ *
+ * @param {BusinessHours} hours - Business hours model
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {{open: number, close: number, holiday?: string}|null} Window, or
+ *   null when closed all day
+ */
+export const windowOn = (hours, date) => {
+  const holiday = holidayOn(hours, date);
+  const day = holiday ?? hours.weekly[weekdayOf(date)];
+  if (!day || day.closed) return null;
+
+  const open = parseTime(day.open);
+  let close = parseTime(day.close);
+  if (close <= open) close += MINUTES_PER_DAY;
+
+  return { open, close, ...(holiday && { holiday: holiday.label }) };
+};
+
+/**
+ * The window covering a local date and time, checking that date's own hours
+ * and the previous night's past-midnight tail (00:30 on a Saturday belongs to
+ * Friday's 11:00–02:00).
+ *
+ * @param {BusinessHours} hours - Business hours model
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes after local midnight
+ * @returns {{open: number, close: number, at: number}|null} Covering window
+ *   with `at` expressed on the same scale, or null when closed
+ */
+const windowCovering = (hours, date, minutes) => {
+  const candidates = [
+    { window: windowOn(hours, date), at: minutes },
+    {
+      window: windowOn(hours, addDays(date, -1)),
+      at: minutes + MINUTES_PER_DAY,
+    },
+  ];
+  const match = candidates.find(
+    ({ window, at }) => window && at >= window.open && at < window.close
+  );
+
+  return match ? { ...match.window, at: match.at } : null;
+};
+
+/**
+ * Whether a table can be booked at a given local date and time, stopping
+ * `lastSeating` minutes before close.
+ *
+ * @param {BusinessHours} hours - Business hours model
+ * @param {string} date - Date in the bar's timezone, 'YYYY-MM-DD'
+ * @param {string} time - Time in the bar's timezone, 'HH:MM'
+ * @param {Object} [options]
+ * @param {number} [options.lastSeating=60] - Minutes before close bookings end
+ * @returns {boolean} True when the bar is open long enough to seat the party
+ */
+export const isBookable = (hours, date, time, { lastSeating = 60 } = {}) => {
+  const minutes = parseTime(time);
+  if (Number.isNaN(minutes) || Number.isNaN(weekdayOf(date))) return false;
+
+  const window = windowCovering(hours, date, minutes);
+  return Boolean(window) && window.at <= window.close - lastSeating;
+};
+
+/**
+ * Find the next time the bar opens after a local moment
+ *
+ * @param {BusinessHours} hours - Business hours model
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes after local midnight
+ * @returns {{date: string, weekday: number, time: string, minutesUntil: number,
+ *   holiday?: string}|null} Next opening, or null if none within two weeks
+ */
+const findNextOpening = (hours, date, minutes) => {
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const day = addDays(date, offset);
+    const window = windowOn(hours, day);
+    const minutesUntil =
+      offset * MINUTES_PER_DAY + (window?.open ?? 0) - minutes;
+
+    if (window && minutesUntil > 0) {
+      const source = holidayOn(hours, day) ?? hours.weekly[weekdayOf(day)];
+      return {
+        date: day,
+        weekday: weekdayOf(day),
+        time: source.open,
+        minutesUntil,
+        ...(window.holiday && { holiday: window.holiday }),
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Live open/closed status at an instant
+ *
+ * @param {BusinessHours} hours - Business hours model
+ * @param {Date} [now=new Date()] - Moment to evaluate
+ * @returns {{
+ *   isOpen: boolean,
+ *   closesInMinutes: number|null,
+ *   closesAt: string|null,
+ *   nextOpening: ReturnType<typeof findNextOpening>,
+ *   today: {date: string, weekday: number},
+ *   holiday: string|null
+ * }} Status in the bar's timezone; `holiday` names today's override, if any
+ */
+export const getOpenStatus = (hours, now = new Date()) => {
+  const { date, weekday, minutes } = toZonedTime(now, hours.timeZone);
+  const window = windowCovering(hours, date, minutes);
+
+  return {
+    isOpen: Boolean(window),
+    closesInMinutes: window ? window.close - window.at : null,
+    closesAt: window ? toTimeString(window.close % MINUTES_PER_DAY) : null,
+    nextOpening: window ? null : findNextOpening(hours, date, minutes),
+    today: { date, weekday },
+    holiday: holidayOn(hours, date)?.label ?? null,
+  };
+};
+
+/**
+ * Group consecutive weekdays that share the same hours, Monday first, for
+ * compact display ('Mon–Thu 11 AM – 12 AM')
+ *
+ * @param {BusinessHours} hours - Business hours model
+ * @returns {Array<{weekdays: number[], open: string, close: string}|{weekdays: number[], closed: true}>}
+ *   Groups in display order
+ */
+export const groupWeeklyHours = hours => {
+  const groups = [];
+  const sameHours = (a, b) =>
+    a.closed ? b.closed : a.open === b.open && a.close === b.close;
+
+  [1, 2, 3, 4, 5, 6, 0].forEach(weekday => {
+    const day = hours.weekly[weekday] ?? { closed: true };
+    const last = groups.at(-1);
+
+    if (last && sameHours(last, day)) {
+      last.weekdays.push(weekday);
+    } else {
+      groups.push({ weekdays: [weekday], ...day });
+    }
+  });
+
+  return groups;
+};
+
+/**
+ * Format a 24h 'HH:MM' time of day for display ('09:00' -> '9 AM')
+ *
+ * @param {string} time - 24h time
+ * @param {string} [locale='en-US'] - BCP 47 locale
+ * @returns {string} Localized time
+ */
+export const formatTimeOfDay = (time, locale = 'en-US') => {
+  const minutes = parseTime(time);
+
+  return new Intl.DateTimeFormat(locale, {
+    hour: 'numeric',
+    minute: minutes % 60 ? '2-digit' : undefined,
+    timeZone: 'UTC',
+  }).format(Date.UTC(2000, 0, 1, Math.floor(minutes / 60), minutes % 60));
+};
+
+/**
+ * Short weekday name (0 = Sunday -> 'Sun')
+ *
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday)
+ * @param {string} [locale='en-US'] - BCP 47 locale
+ * @returns {string} Localized weekday abbreviation
+ */
+export const formatWeekday = (weekday, locale = 'en-US') =>
+  new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' }).format(
+    // 1 January 2023 was a Sunday
+    Date.UTC(2023, 0, 1 + weekday)
+  );
+
+/**
+ * Format a duration in minutes for status copy ('45 min', '2 hr 5 min')
+ *
+ * @param {number} minutes - Whole minutes
+ * @param {string} [locale='en-US'] - BCP 47 locale
+ * @returns {string} Compact localized duration
+ */
+export const formatDuration = (minutes, locale = 'en-US') => {
+  const unit = name =>
+    new Intl.NumberFormat(locale, {
+      style: 'unit',
+      unit: name,
+      unitDisplay: 'short',
+    });
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+
+  const parts = [
+    hours > 0 && unit('hour').format(hours),
+    (rest > 0 || hours === 0) && unit('minute').format(rest),
+  ].filter(Boolean);
+
+  return new Intl.ListFormat(locale, { style: 'narrow', type: 'unit' }).format(
+    parts
+  );
+};
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Recipe math - serving scaling and metric/imperial formatting
+ * Works on catalog ingredients ({ name, quantity, unit }) from constants/catalog.json
+ */
+
+// Servings range offered by the recipe panel
+export const MIN_SERVINGS = 1;
+export const MAX_SERVINGS = 12;
+
+// US fluid ounce in millilitres
+const ML_PER_OZ = 29.5735;
+
+// Unicode vulgar fractions for quarter-ounce measures
+const OZ_FRACTIONS = { 0.25: '¼', 0.5: '½', 0.75: '¾' };
+
+// Display labels for countable units ([singular, plural]); empty = number only
+const UNIT_LABELS = {
+  dash: ['dash', 'dashes'],
+  tsp: ['tsp', 'tsp'],
+  g: ['g', 'g'],
+  wedge: ['wedge', 'wedges'],
+  leaf: ['', ''],
+  piece: ['', ''],
+};
+
+/**
+ * Clamp a requested servings count to the supported range
+ *
+ * @param {number} servings - Requested number of servings
+ * @returns {number} Integer between MIN_SERVINGS and MAX_SERVINGS
+ */
+export const clampServings = servings =>
+  Math.min(MAX_SERVINGS, Math.max(MIN_SERVINGS, Math.round(servings) || 1));
+
+/**
+ * Format a number of ounces to the nearest quarter, using fractions
+ * (e.g. 1.5 -> '1½', 0.25 -> '¼')
+ *
+ * @param {number} oz - Amount in ounces
+ * @returns {string} Bar-friendly ounce amount
+ */
+const formatOunces = oz => {
+  const quarters = Math.max(1, Math.round(oz * 4)) / 4;
+  const whole = Math.floor(quarters);
+  const fraction = OZ_FRACTIONS[quarters - whole] ?? '';
+
+  return `${whole > 0 ? whole : ''}${fraction}` || '0';
+};
+
+/**
+ * Format a scaled ingredient amount for display
+ *
+ * @param {{ quantity: number, unit: string }} ingredient - Catalog ingredient
+ * @param {number} servings - Number of servings to scale to
+ * @param {'metric'|'imperial'} system - Measurement system for liquids
+ * @returns {string} Amount with unit, e.g. '120 ml', '4 oz', '16'
+ */
+export const formatAmount = ({ quantity, unit }, servings, system) => {
+  const scaled = quantity * servings;
+
+  if (unit === 'ml') {
+    return system === 'imperial'
+      ? `${formatOunces(scaled / ML_PER_OZ)} oz`
+      : `${Math.round(scaled)} ml`;
+  }
+
+  const amount = Number.isInteger(scaled)
+    ? String(scaled)
+    : String(Math.round(scaled * 10) / 10);
+  const [singular, plural] = UNIT_LABELS[unit] ?? [unit, unit];
+  const label = scaled === 1 ? singular : plural;
+
+  return label ? `${amount} ${label}` : amount;
+};
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Guest review helpers - aggregate rating, ordering and avatars
+ * Framework-free so the build (schema.org AggregateRating) and the page agree
+ */
+
+// Ratings are whole stars from 1 to RATING_SCALE
+export const RATING_SCALE = 5;
+
+/**
+ * A published guest review
+ *
+ * @typedef {Object} Review
+ * @property {string} id - Stable identifier
+ * @property {string} author - Display name
+ * @property {string} [avatar] - Avatar image path; initials are shown without one
+ * @property {number} rating - Whole stars, 1 to RATING_SCALE
+ * @property {string} text - Review body
+ * @property {string} date - Publication date, 'YYYY-MM-DD'
+ * @property {string} [locale] - Language the review is written in ('en', 'es')
+ */
+
+/**
+ * Aggregate rating of a set of reviews
+ *
+ * @param {Review[]} reviews - Published reviews
+ * @returns {{ value: number, best: number, count: number }} Average rounded
+ *   to one decimal (0 when there are no reviews), scale and review count
+ */
+export const summarizeReviews = reviews => {
+  const count = reviews.length;
+  const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+
+  return {
+    value: count === 0 ? 0 : Math.round((total / count) * 10) / 10,
+    best: RATING_SCALE,
+    count,
+  };
+};
+
+/**
+ * Format a rating for display with the locale's separators ('4.5' for
+ * both 'en-US' and 'es-US')
+ *
+ * @param {number} value - Rating, possibly fractional
+ * @param {string} tag - BCP 47 locale
+ * @returns {string} Localized number with at most one decimal
+ */
+export const formatRating = (value, tag) =>
+  new Intl.NumberFormat(tag, { maximumFractionDigits: 1 }).format(value);
+
+/**
+ * Newest reviews first; ties keep their original order
+ *
+ * @param {Review[]} reviews - Reviews in any order
+ * @returns {Review[]} A sorted copy
+ */
+export const sortReviews = reviews =>
+  [...reviews].sort((a, b) => b.date.localeCompare(a.date));
+
+/**
+ * Initials shown in place of a missing avatar ('Maya R.' -> 'MR')
+ *
+ * @param {string} name - Author name
+ * @returns {string} Up to two uppercase letters
+ */
+export const initials = name =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
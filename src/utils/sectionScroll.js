@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Section navigation with GSAP ScrollTo
+ * Resolves landing positions from the scroll-spy ScrollTriggers so pinned
+ * sections (Hero video, #art) and their pin spacing are accounted for, and
+ * keeps headings clear of the fixed Navbar.
+ */
+
+import gsap from 'gsap';
+import { ScrollTrigger } from 'gsap/all';
+
+// ScrollTrigger id prefix for the scroll-spy trigger of each section
+export const SPY_ID_PREFIX = 'scroll-spy-';
+
+// Space left between the bottom of the fixed nav and the section top (px)
+const HEADING_GAP = 16;
+
+/**
+ * Height of the fixed Navbar, which covers the top of the viewport
+ *
+ * @returns {number} Offset in px
+ */
+const headerOffset = () =>
+  (document.querySelector('nav')?.offsetHeight ?? 0) + HEADING_GAP;
+
+/**
+ * Scroll position that puts a section's top just below the fixed Navbar.
+ *
+ * Uses the section's scroll-spy trigger when there is one: its start
+ * ('top center') is measured by ScrollTrigger.refresh() with every pin
+ * spacer in place, even while the section itself is pinned, where
+ * getBoundingClientRect() would report the pinned position instead.
+ *
+ * @param {string} id - Section element id
+ * @returns {number|null} Scroll Y, or null when the section doesn't exist
+ */
+export const getSectionScrollY = id => {
+  const spy = ScrollTrigger.getById(`${SPY_ID_PREFIX}${id}`);
+  if (spy) {
+    return Math.max(0, spy.start + window.innerHeight / 2 - headerOffset());
+  }
+
+  const element = document.getElementById(id);
+  if (!element) return null;
+
+  return Math.max(
+    0,
+    element.getBoundingClientRect().top + window.scrollY - headerOffset()
+  );
+};
+
+/**
+ * Smoothly scroll to a section and record it in the URL
+ *
+ * @param {string} id - Section element id
+ * @param {Object} [options]
+ * @param {boolean} [options.immediate=false] - Jump without animating
+ *   (reduced motion, initial hash on page load)
+ * @param {boolean} [options.updateHash=true] - Push `#id` onto the history
+ * @returns {gsap.core.Tween|null} The scroll tween, null when nothing to do
+ */
+export const scrollToSection = (
+  id,
+  { immediate = false, updateHash = true } = {}
+) => {
+  const y = getSectionScrollY(id);
+  if (y === null) return null;
+
+  if (updateHash && window.location.hash !== `#${id}`) {
+    window.history.pushState(null, '', `#${id}`);
+  }
+
+  return gsap.to(window, {
+    scrollTo: { y, autoKill: true }, // A manual scroll takes over
+    duration: immediate ? 0 : 1.2,
+    ease: 'power3.inOut',
+    overwrite: true,
+  });
+};
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Build-time SEO output generated from the constants
+ * schema.org JSON-LD, Open Graph/Twitter meta tags, sitemap.xml and robots.txt.
+ * Framework-free so vite.config.js can run it while building index.html.
+ */
+
+import { groupWeeklyHours } from './openingHours.js';
+
+// schema.org day names in Date#getDay() order
+const SCHEMA_DAYS = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+/**
+ * Resolve a site-relative path against the production origin
+ *
+ * @param {string} siteUrl - Origin, e.g. 'https://example.com'
+ * @param {string} [path='/'] - Path such as '/images/abt2.png'
+ * @returns {string} Absolute URL
+ */
+export const absoluteUrl = (siteUrl, path = '/') =>
+  new URL(path, `${siteUrl.replace(/\/$/, '')}/`).href;
+
+/**
+ * Weekly hours and holiday overrides as OpeningHoursSpecification entries.
+ * A `closes` earlier than `opens` means past midnight; a closed holiday is
+ * published as 00:00–00:00, as search engines expect.
+ *
+ * @param {import('./openingHours.js').BusinessHours} hours - Business hours model
+ * @returns {Object[]} OpeningHoursSpecification objects
+ */
+const openingHoursSpecification = hours => [
+  ...groupWeeklyHours(hours)
+    .filter(group => !group.closed)
+    .map(({ weekdays, open, close }) => ({
+      '@type': 'OpeningHoursSpecification',
+      dayOfWeek: weekdays.map(weekday => SCHEMA_DAYS[weekday]),
+      opens: open,
+      closes: close,
+    })),
+  ...hours.holidays.map(({ date, closed, open, close }) => ({
+    '@type': 'OpeningHoursSpecification',
+    validFrom: date,
+    validThrough: date,
+    opens: closed ? '00:00' : open,
+    closes: closed ? '00:00' : close,
+  })),
+];
+
+/**
+ * A catalog drink as a schema.org MenuItem with its price offer
+ *
+ * @param {import('../../constants/catalogSchema.js').CatalogItem} item - Drink
+ * @param {string} siteUrl - Origin used for image URLs
+ * @returns {Object} MenuItem
+ */
+const menuItem = (item, siteUrl) => ({
+  '@type': 'MenuItem',
+  name: item.name,
+  description:
+    item.description ??
+    item.ingredients.map(ingredient => ingredient.name).join(', '),
+  ...(item.image && { image: absoluteUrl(siteUrl, item.image) }),
+  offers: {
+    '@type': 'Offer',
+    price: item.price.amount.toFixed(2),
+    priceCurrency: item.price.currency,
+  },
+});
+
+/**
+ * The bar as a schema.org BarOrPub, with hours, menu and rating
+ *
+ * @param {Object} options
+ * @param {Object} options.profile - businessProfile from constants/index.js
+ * @param {Array<{name: string, items: Object[]}>} options.menuSections - Named
+ *   groups of catalog drinks, in display order
+ * @param {{ value: number, best: number, count: number }} options.rating -
+ *   Aggregate guest rating (summarizeReviews); left out when there are no
+ *   reviews
+ * @param {string} options.siteUrl - Production origin
+ * @returns {Object} JSON-LD document
+ */
+export const buildStructuredData = ({
+  profile,
+  menuSections,
+  rating,
+  siteUrl,
+}) => {
+  const { name, description, address, geo, phone, email } = profile;
+  const url = absoluteUrl(siteUrl);
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BarOrPub',
+    '@id': `${url}#bar`,
+    name,
+    description,
+    url,
+    image: absoluteUrl(siteUrl, profile.image),
+    logo: absoluteUrl(siteUrl, '/images/logo.png'),
+    telephone: phone.e164,
+    email,
+    priceRange: profile.priceRange,
+    servesCuisine: 'Cocktails',
+    acceptsReservations: true,
+    address: {
+      '@type': 'PostalAddress',
+      streetAddress: address.street,
+      addressLocality: address.locality,
+      addressRegion: address.region,
+      postalCode: address.postalCode,
+      addressCountry: address.country,
+    },
+    geo: {
+      '@type': 'GeoCoordinates',
+      latitude: geo.latitude,
+      longitude: geo.longitude,
+    },
+    openingHoursSpecification: openingHoursSpecification(profile.hours),
+    hasMenu: {
+      '@type': 'Menu',
+      name: `${name} Drinks Menu`,
+      url: `${url}#menu`,
+      hasMenuSection: menuSections.map(section => ({
+        '@type': 'MenuSection',
+        name: section.name,
+        hasMenuItem: section.items.map(item => menuItem(item, siteUrl)),
+      })),
+    },
+    ...(rating.count > 0 && {
+      aggregateRating: {
+        '@type': 'AggregateRating',
+        ratingValue: rating.value,
+        bestRating: rating.best,
+        ratingCount: rating.count,
+      },
+    }),
+    // Placeholder '#' links are left out until the real profiles exist
+    sameAs: profile.socials
+      .map(social => social.url)
+      .filter(link => /^https?:\/\//.test(link)),
+  };
+};
+
+/**
+ * Serialize JSON-LD for an inline `<script>`, escaping `<` so drink copy can
+ * never close the tag early
+ *
+ * @param {Object} data - JSON-LD document
+ * @returns {string} Script body
+ */
+export const serializeJsonLd = data =>
+  JSON.stringify(data).replace(/</g, '\\u003c');
+
+/**
+ * Description, canonical, Open Graph and Twitter card tags for index.html
+ *
+ * @param {Object} options
+ * @param {Object} options.profile - businessProfile from constants/index.js
+ * @param {string} options.siteUrl - Production origin
+ * @returns {Array<{tag: string, attrs: Object<string, string>}>} Head tags
+ */
+export const buildMetaTags = ({ profile, siteUrl }) => {
+  const { name, description } = profile;
+  const url = absoluteUrl(siteUrl);
+  const image = absoluteUrl(siteUrl, profile.image);
+  const title = `${name} | Cocktail Bar in ${profile.address.locality}`;
+
+  return [
+    { tag: 'meta', attrs: { name: 'description', content: description } },
+    { tag: 'link', attrs: { rel: 'canonical', href: url } },
+    { tag: 'meta', attrs: { property: 'og:type', content: 'website' } },
+    { tag: 'meta', attrs: { property: 'og:site_name', content: name } },
+    { tag: 'meta', attrs: { property: 'og:locale', content: 'en_US' } },
+    { tag: 'meta', attrs: { property: 'og:url', content: url } },
+    { tag: 'meta', attrs: { property: 'og:title', content: title } },
+    {
+      tag: 'meta',
+      attrs: { property: 'og:description', content: description },
+    },
+    { tag: 'meta', attrs: { property: 'og:image', content: image } },
+    {
+      tag: 'meta',
+      attrs: { name: 'twitter:card', content: 'summary_large_image' },
+    },
+    { tag: 'meta', attrs: { name: 'twitter:title', content: title } },
+    {
+      tag: 'meta',
+      attrs: { name: 'twitter:description', content: description },
+    },
+    { tag: 'meta', attrs: { name: 'twitter:image', content: image } },
+  ];
+};
+
+/**
+ * sitemap.xml for the single-page site
+ *
+ * @param {string} siteUrl - Production origin
+ * @param {Date} [lastModified=new Date()] - Build date
+ * @returns {string} XML sitemap
+ */
+export const buildSitemap = (siteUrl, lastModified = new Date()) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    '  <url>',
+    `    <loc>${absoluteUrl(siteUrl)}</loc>`,
+    `    <lastmod>${lastModified.toISOString().slice(0, 10)}</lastmod>`,
+    '    <changefreq>weekly</changefreq>',
+    '  </url>',
+    '</urlset>',
+    '',
+  ].join('\n');
+
+/**
+ * robots.txt allowing every crawler and pointing at the sitemap
+ *
+ * @param {string} siteUrl - Production origin
+ * @returns {string} robots.txt body
+ */
+export const buildRobots = siteUrl =>
+  [
+    'User-agent: *',
+    'Allow: /',
+    '',
+    `Sitemap: ${absoluteUrl(siteUrl, '/sitemap.xml')}`,
+    '',
+  ].join('\n');
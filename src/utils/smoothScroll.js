@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Inertial wheel scrolling driven by the GSAP ticker
+ * A small Lenis-style layer: wheel input sets a target position and every
+ * tick eases the page towards it. The page still scrolls natively (so fixed
+ * pins, keyboard, scrollbar, anchors and ScrollTo keep working); ScrollTrigger
+ * reads the unrounded eased position through a scroller proxy so scrubs move
+ * with sub-pixel precision.
+ */
+
+import gsap from 'gsap';
+import { ScrollTrigger } from 'gsap/all';
+
+// Pixel distance below which the eased position snaps to the target
+const SETTLE_DISTANCE = 0.5;
+
+// Line height used for wheel deltas reported in lines (Firefox)
+const LINE_HEIGHT = 16;
+
+// The running instance, read by the scroller proxy
+let active = null;
+let proxyInstalled = false;
+
+/**
+ * Point ScrollTrigger's viewport scroller at the smooth position. ScrollTrigger
+ * can't remove a proxy again, so it's installed once and falls back to the
+ * native position whenever smooth scrolling is off.
+ */
+const installProxy = () => {
+  if (proxyInstalled) return;
+  proxyInstalled = true;
+
+  ScrollTrigger.scrollerProxy(document.documentElement, {
+    scrollTop(...args) {
+      if (args.length) {
+        if (active) active.jump(args[0]);
+        else window.scrollTo(0, args[0]);
+        return;
+      }
+      return active ? active.position : window.scrollY;
+    },
+    getBoundingClientRect: () => ({
+      top: 0,
+      left: 0,
+      width: window.innerWidth,
+      height: window.innerHeight,
+    }),
+    pinType: 'fixed', // The page really scrolls, so pins can stay fixed
+  });
+};
+
+/**
+ * Wheel delta in pixels
+ *
+ * @param {WheelEvent} event - Wheel event
+ * @returns {number} Vertical distance in px
+ */
+const wheelDelta = ({ deltaY, deltaMode }) => {
+  if (deltaMode === WheelEvent.DOM_DELTA_LINE) return deltaY * LINE_HEIGHT;
+  if (deltaMode === WheelEvent.DOM_DELTA_PAGE) {
+    return deltaY * window.innerHeight;
+  }
+  return deltaY;
+};
+
+/**
+ * Whether an element between the target and the page can scroll itself in
+ * the wheel's direction (dropdowns, scrollable panels keep native scrolling)
+ *
+ * @param {EventTarget} target - Wheel event target
+ * @param {number} delta - Wheel delta in px
+ * @returns {boolean} True when a nested scroller should handle the wheel
+ */
+const nestedScrollerCanScroll = (target, delta) => {
+  for (
+    let node = target instanceof Element ? target : null;
+    node && node !== document.body && node !== document.documentElement;
+    node = node.parentElement
+  ) {
+    const { overflowY } = window.getComputedStyle(node);
+    if (overflowY !== 'auto' && overflowY !== 'scroll') continue;
+
+    const canScroll =
+      delta < 0
+        ? node.scrollTop > 0
+        : node.scrollTop + node.clientHeight < node.scrollHeight;
+    if (canScroll) return true;
+  }
+  return false;
+};
+
+/**
+ * Start smooth wheel scrolling for the page
+ *
+ * @param {Object} [options]
+ * @param {number} [options.lerp=0.1] - Share of the remaining distance
+ *   covered per 60fps frame (lower is floatier)
+ * @param {number} [options.wheelMultiplier=1] - Scales wheel distances
+ * @returns {() => void} Stops smooth scrolling and removes its listeners
+ */
+export const createSmoothScroll = ({
+  lerp = 0.1,
+  wheelMultiplier = 1,
+} = {}) => {
+  installProxy();
+
+  let position = window.scrollY; // Eased, unrounded position
+  let target = position;
+  let written = Math.round(position); // Last value handed to scrollTo
+
+  const maxScroll = () =>
+    document.documentElement.scrollHeight - window.innerHeight;
+
+  const jump = value => {
+    position = target = value;
+    written = Math.round(value);
+    window.scrollTo(0, value);
+  };
+
+  const handleWheel = event => {
+    const delta = wheelDelta(event) * wheelMultiplier;
+
+    if (
+      event.defaultPrevented ||
+      event.ctrlKey || // Pinch zoom
+      Math.abs(event.deltaX) > Math.abs(event.deltaY) ||
+      document.documentElement.style.overflow === 'hidden' || // useScrollLock
+      nestedScrollerCanScroll(event.target, delta)
+    ) {
+      return;
+    }
+
+    event.preventDefault();
+    target = gsap.utils.clamp(0, maxScroll(), target + delta);
+  };
+
+  const tick = (time, deltaTime) => {
+    // Something else scrolled the page (keyboard, scrollbar, anchor,
+    // ScrollTo): adopt its position instead of fighting it
+    if (Math.abs(window.scrollY - written) > 1) {
+      position = target = written = window.scrollY;
+      return;
+    }
+
+    const distance = target - position;
+    if (distance === 0) return;
+
+    if (Math.abs(distance) < SETTLE_DISTANCE) {
+      position = target;
+    } else {
+      // Frame-rate independent easing towards the target
+      position += distance * (1 - Math.pow(1 - lerp, deltaTime / (1000 / 60)));
+    }
+
+    written = Math.round(position);
+    window.scrollTo(0, position);
+    ScrollTrigger.update();
+  };
+
+  active = {
+    jump,
+    get position() {
+      return position;
+    },
+  };
+
+  window.addEventListener('wheel', handleWheel, { passive: false });
+  gsap.ticker.add(tick);
+
+  return () => {
+    window.removeEventListener('wheel', handleWheel);
+    gsap.ticker.remove(tick);
+    active = null;
+  };
+};
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Specials engine - time-windowed promotions and drink pricing
+ * Evaluates the `specials` rules in the bar's own timezone, with windows that
+ * may run past midnight, and prices drinks in whole cents
+ */
+
+import {
+  businessProfile,
+  specials as defaultRules,
+} from '../../constants/index.js';
+import {
+  addDays,
+  getOpenStatus,
+  parseTime,
+  toZonedTime,
+  weekdayOf,
+} from './openingHours.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * @typedef {Object} SpecialWindow
+ * @property {number[]} days - Weekdays the window starts on (0 = Sunday)
+ * @property {string} from - 24h 'HH:MM' start
+ * @property {string} to - 24h 'HH:MM' end; at or before `from` runs past midnight
+ */
+
+/**
+ * @typedef {Object} SpecialRule
+ * @property {string} id - Stable identifier, also the message key for its name
+ * @property {SpecialWindow[]} windows - When the rule runs
+ * @property {{ percent?: number, amount?: number }} discount - Percentage or
+ *   fixed amount (catalog currency) off the catalog price
+ * @property {{ items?: string[], categories?: string[] }} [scope] - Catalog
+ *   slugs or categories covered; every drink when omitted
+ * @property {boolean} [banner] - Announced in the Hero while running
+ */
+
+/**
+ * A rule running right now
+ *
+ * @typedef {SpecialRule & { endsInMinutes: number }} ActiveSpecial
+ */
+
+/**
+ * Minutes left in a window at a local moment, checking windows that started
+ * that day and the previous night's past-midnight tail
+ *
+ * @param {SpecialWindow} window - Window to check
+ * @param {string} date - Local date, 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes after local midnight
+ * @returns {number|null} Minutes until the window ends, null outside it
+ */
+const minutesLeftIn = (window, date, minutes) => {
+  const from = parseTime(window.from);
+  let to = parseTime(window.to);
+  if (to <= from) to += MINUTES_PER_DAY;
+
+  const match = [
+    { day: date, at: minutes },
+    { day: addDays(date, -1), at: minutes + MINUTES_PER_DAY },
+  ].find(
+    ({ day, at }) =>
+      window.days.includes(weekdayOf(day)) && at >= from && at < to
+  );
+
+  return match ? to - match.at : null;
+};
+
+/**
+ * Rules running at an instant. Nothing runs while the bar is closed, so a
+ * holiday closure suspends the promotions too.
+ *
+ * @param {SpecialRule[]} [rules] - Promotions, defaults to `specials`
+ * @param {Date} [now=new Date()] - Moment to evaluate
+ * @param {import('./openingHours').BusinessHours} [hours] - Business hours
+ * @returns {ActiveSpecial[]} Running rules with the minutes they have left
+ */
+export const activeSpecials = (
+  rules = defaultRules,
+  now = new Date(),
+  hours = businessProfile.hours
+) => {
+  if (!getOpenStatus(hours, now).isOpen) return [];
+
+  const { date, minutes } = toZonedTime(now, hours.timeZone);
+
+  return rules.flatMap(rule => {
+    const left = rule.windows
+      .map(window => minutesLeftIn(window, date, minutes))
+      .filter(value => value !== null);
+
+    return left.length > 0
+      ? [{ ...rule, endsInMinutes: Math.max(...left) }]
+      : [];
+  });
+};
+
+/**
+ * Whether a rule covers a drink
+ *
+ * @param {SpecialRule} rule - Promotion
+ * @param {import('../../constants/catalogSchema.js').CatalogItem} drink
+ * @returns {boolean} True when the drink is in the rule's scope
+ */
+export const appliesTo = ({ scope = {} }, drink) =>
+  (!scope.items || scope.items.includes(drink.slug)) &&
+  (!scope.categories || scope.categories.includes(drink.category));
+
+/**
+ * Apply a discount to a price in whole cents, never below zero
+ *
+ * @param {number} cents - Catalog price in cents
+ * @param {SpecialRule['discount']} discount - Percentage or fixed amount off
+ * @returns {number} Discounted price in cents
+ */
+const discountCents = (cents, { percent, amount }) =>
+  Math.max(
+    0,
+    percent !== undefined
+      ? Math.round(cents * (1 - percent / 100))
+      : cents - Math.round(amount * 100)
+  );
+
+/**
+ * Price a drink under the running rules; the lowest price wins
+ *
+ * @param {import('../../constants/catalogSchema.js').CatalogItem} drink
+ * @param {ActiveSpecial[]} active - Running rules (see activeSpecials)
+ * @returns {{
+ *   price: { amount: number, currency: string },
+ *   listPrice: { amount: number, currency: string },
+ *   special: ActiveSpecial|null
+ * }} Price to charge, the catalog price and the rule applied, if any
+ */
+export const priceDrink = (drink, active) => {
+  const listPrice = drink.price;
+  const cents = Math.round(listPrice.amount * 100);
+
+  const best = active
+    .filter(rule => appliesTo(rule, drink))
+    .map(rule => ({ rule, cents: discountCents(cents, rule.discount) }))
+    .reduce(
+      (lowest, option) =>
+        !lowest || option.cents < lowest.cents ? option : lowest,
+      null
+    );
+
+  return best && best.cents < cents
+    ? {
+        price: { amount: best.cents / 100, currency: listPrice.currency },
+        listPrice,
+        special: best.rule,
+      }
+    : { price: listPrice, listPrice, special: null };
+};
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Theme helpers - design tokens, seasonal selection and assets
+ * The house look lives in the --theme-* variables of src/index.css; themes
+ * override them inline on <html>
+ */
+
+import { decorativeAssets } from '../../constants/index.js';
+
+/**
+ * Theme token names and the CSS variable each one sets
+ */
+export const THEME_TOKENS = {
+  accent: '--theme-accent', // Highlights, borders, active links (`yellow`)
+  background: '--theme-background', // Page background
+  text: '--theme-text', // Body copy
+  textMuted: '--theme-text-muted', // Secondary copy (`white-100`)
+  gradientFrom: '--theme-gradient-from', // `text-gradient` top
+  gradientTo: '--theme-gradient-to', // `text-gradient` bottom
+  glow: '--theme-glow', // Centre of `radial-gradient`
+  navBackground: '--theme-nav-background', // Navbar once scrolled
+  noiseOpacity: '--theme-noise-opacity', // `.noisy` texture strength
+  leafFilter: '--theme-leaf-filter', // CSS filter over decorative assets
+  fontDisplay: '--theme-font-display', // Modern Negra headings
+  fontSerif: '--theme-font-serif',
+  fontSans: '--theme-font-sans',
+};
+
+// Fonts can't be blended, so a crossfade swaps them halfway through
+export const FONT_TOKENS = ['fontDisplay', 'fontSerif', 'fontSans'];
+
+/**
+ * A site theme
+ *
+ * @typedef {Object} Theme
+ * @property {string} id - Stable identifier, also the <html data-theme> value
+ * @property {{ from: string, to: string }} [season] - 'MM-DD' range in which
+ *   the theme is picked automatically; may wrap the new year
+ * @property {Object<string, string|number>} tokens - THEME_TOKENS overrides
+ * @property {Object<string, string>} assets - decorativeAssets overrides
+ */
+
+/**
+ * Whether a date falls within a season
+ *
+ * @param {{ from: string, to: string }} season - 'MM-DD' range, inclusive
+ * @param {Date} date - Date to check (local time)
+ * @returns {boolean} True inside the range
+ */
+export const isInSeason = ({ from, to }, date) => {
+  const day = [date.getMonth() + 1, date.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+
+  // '12-01' to '02-28' wraps the new year
+  return from <= to ? day >= from && day <= to : day >= from || day <= to;
+};
+
+/**
+ * The theme picked automatically for a date: the first one whose season
+ * contains it, else the first theme (the house look)
+ *
+ * @param {Theme[]} themes - Available themes, house look first
+ * @param {Date} [date] - Defaults to now
+ * @returns {Theme} Seasonal theme
+ */
+export const seasonalTheme = (themes, date = new Date()) =>
+  themes.find(theme => theme.season && isInSeason(theme.season, date)) ??
+  themes[0];
+
+/**
+ * Decorative image for every slot, with the theme's overrides applied
+ *
+ * @param {Theme} theme - Active theme
+ * @returns {Object<string, string>} Image path by slot
+ */
+export const themeAssets = theme => ({ ...decorativeAssets, ...theme.assets });
+
+/**
+ * Replace the inline theme overrides on an element: tokens the theme leaves
+ * out fall back to the stylesheet's house values
+ *
+ * @param {HTMLElement} element - Usually <html>
+ * @param {Object<string, string|number>} tokens - Theme tokens
+ */
+export const applyThemeTokens = (element, tokens) =>
+  Object.entries(THEME_TOKENS).forEach(([name, variable]) => {
+    if (name in tokens) element.style.setProperty(variable, tokens[name]);
+    else element.style.removeProperty(variable);
+  });
+
+/**
+ * Current value of theme tokens, as GSAP CSS-variable vars
+ *
+ * @param {HTMLElement} element - Usually <html>
+ * @param {string[]} [names] - Token names; defaults to all of them
+ * @returns {Object<string, string>} Value by CSS variable
+ */
+export const readThemeTokens = (element, names = Object.keys(THEME_TOKENS)) => {
+  const style = window.getComputedStyle(element);
+
+  return Object.fromEntries(
+    names.map(name => [
+      THEME_TOKENS[name],
+      style.getPropertyValue(THEME_TOKENS[name]).trim(),
+    ])
+  );
+};
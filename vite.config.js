@@ -1,8 +1,155 @@
-import { defineConfig } from 'vite';
+import { readFileSync } from 'node:fs';
+import { cwd } from 'node:process';
+import { fileURLToPath } from 'node:url';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 import tailwindcss from '@tailwindcss/vite';
+import { validateCatalog } from './constants/catalogSchema.js';
+import {
+  featuredCocktails,
+  lovedMocktails,
+  popularCocktails,
+} from './constants/catalog.js';
+import { businessProfile, contentSource, reviews } from './constants/index.js';
+import {
+  buildMetaTags,
+  buildRobots,
+  buildSitemap,
+  buildStructuredData,
+  serializeJsonLd,
+} from './src/utils/seo.js';
+import { summarizeReviews } from './src/utils/reviews.js';
+import { fetchContent, sanitizeContent } from './src/utils/content.js';
+import { DEFAULT_LOCALE } from './src/i18n/index.js';
+import { readContentFiles } from './scripts/content-files.js';
+
+const catalogPath = fileURLToPath(
+  new URL('./constants/catalog.json', import.meta.url)
+);
+const projectRoot = fileURLToPath(new URL('.', import.meta.url));
+
+// Module exposing the CMS copy fetched at build time to src/services/content.js
+const SNAPSHOT_ID = 'virtual:content-snapshot';
+
+/**
+ * Validates constants/catalog.json before bundling so a bad entry fails
+ * `vite build` (and dev server start-up) with the full list of issues.
+ */
+const catalogValidation = () => ({
+  name: 'catalog-validation',
+  buildStart() {
+    this.addWatchFile(catalogPath);
+    validateCatalog(JSON.parse(readFileSync(catalogPath, 'utf8')));
+  },
+});
+
+/**
+ * Checks the content/ files and, when a CMS is configured, snapshots its copy
+ * into the bundle as `virtual:content-snapshot` so the static build renders
+ * the CMS copy offline. Malformed files or locale copy that doesn't match the
+ * English files fail the build; an unreachable CMS only warns and the local
+ * files ship instead.
+ *
+ * @param {string} [apiUrl] - CMS root (VITE_CONTENT_API_URL)
+ */
+const contentSnapshot = apiUrl => {
+  let snapshot = null;
+
+  return {
+    name: 'content-snapshot',
+    async buildStart() {
+      const local = readContentFiles(projectRoot);
+      const { issues } = sanitizeContent(local, local[DEFAULT_LOCALE]);
+      if (issues.length > 0) {
+        throw new Error(`Invalid content files: ${issues.join(', ')}`);
+      }
+
+      snapshot = null;
+      if (!apiUrl) return;
+
+      try {
+        const fetched = sanitizeContent(
+          await fetchContent(apiUrl, { timeoutMs: contentSource.timeoutMs }),
+          local[DEFAULT_LOCALE]
+        );
+        if (fetched.issues.length > 0) {
+          this.warn(`CMS entries ignored: ${fetched.issues.join(', ')}`);
+        }
+        snapshot = fetched.content;
+      } catch (error) {
+        this.warn(`CMS snapshot skipped, using content/: ${error.message}`);
+      }
+    },
+    resolveId(id) {
+      return id === SNAPSHOT_ID ? `\0${SNAPSHOT_ID}` : undefined;
+    },
+    load(id) {
+      return id === `\0${SNAPSHOT_ID}`
+        ? `export default ${JSON.stringify(snapshot)};`
+        : undefined;
+    },
+  };
+};
+
+/**
+ * Injects meta/Open Graph/Twitter tags, a canonical link and schema.org
+ * JSON-LD into index.html, and emits sitemap.xml and robots.txt, all
+ * generated from businessProfile, the drinks catalog and the shipped reviews.
+ *
+ * @param {string} siteUrl - Production origin used for absolute URLs
+ */
+const seoMetadata = siteUrl => ({
+  name: 'seo-metadata',
+  transformIndexHtml() {
+    const structuredData = buildStructuredData({
+      profile: businessProfile,
+      menuSections: [
+        { name: 'Signature Mojitos', items: featuredCocktails },
+        { name: 'Most Popular Cocktails', items: popularCocktails },
+        { name: 'Most Loved Mocktails', items: lovedMocktails },
+      ],
+      rating: summarizeReviews(reviews),
+      siteUrl,
+    });
+
+    return [
+      ...buildMetaTags({ profile: businessProfile, siteUrl }).map(tag => ({
+        ...tag,
+        injectTo: 'head',
+      })),
+      {
+        tag: 'script',
+        attrs: { type: 'application/ld+json' },
+        children: serializeJsonLd(structuredData),
+        injectTo: 'head',
+      },
+    ];
+  },
+  generateBundle() {
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sitemap.xml',
+      source: buildSitemap(siteUrl),
+    });
+    this.emitFile({
+      type: 'asset',
+      fileName: 'robots.txt',
+      source: buildRobots(siteUrl),
+    });
+  },
+});
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(), tailwindcss()],
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, cwd(), 'VITE_');
+
+  return {
+    plugins: [
+      catalogValidation(),
+      contentSnapshot(env.VITE_CONTENT_API_URL),
+      seoMetadata(env.VITE_SITE_URL || businessProfile.url),
+      react(),
+      tailwindcss(),
+    ],
+  };
 });